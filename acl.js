@@ -0,0 +1,79 @@
+import { BlockList, isIP, isIPv6 } from "net";
+
+/**
+ * Builds a list of addresses and subnets ("192.0.2.1", "2001:db8::/32"...).
+ * @param {string[]} entries The addresses and subnets
+ * @returns {BlockList} The list
+ * @throws {Error} If an entry isn't an address or subnet
+ */
+export const makeAddressList = entries => {
+    const list = new BlockList();
+    for(const entry of entries) {
+        const [address, prefix] = entry.split("/");
+        const family = isIPv6(address) ? "ipv6" : "ipv4";
+        if(!isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix)))
+            throw new Error(`Invalid address: ${entry}`);
+        if(prefix === undefined) list.addAddress(address, family);
+        else list.addSubnet(address, parseInt(prefix), family);
+    }
+    return list;
+};
+
+/**
+ * Checks whether an address is on a list, treating IPv4-mapped IPv6 addresses as IPv4.
+ * @param {BlockList} list The list
+ * @param {string} address The address
+ * @returns {boolean} Whether it's on the list
+ */
+export const inAddressList = (list, address) => {
+    address = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+    return isIP(address) !== 0 && list.check(address, isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+/**
+ * Splits an IPv6 address into its eight 16-bit groups.
+ * @param {string} address The address
+ * @returns {number[]} The groups
+ */
+const ipv6Groups = address => {
+    // A trailing dotted quad (like in ::ffff:192.0.2.1) makes up the last two groups
+    address = address.split("%")[0].replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/,
+        (_, a, b, c, d) => `${(a << 8 | b).toString(16)}:${(c << 8 | d).toString(16)}`);
+    const parse = part => part ? part.split(":").map(group => parseInt(group, 16)) : [];
+    const [head, tail] = address.split("::");
+    if(tail === undefined) return parse(head);
+    const left = parse(head), right = parse(tail);
+    return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+};
+
+/**
+ * Gets the subnet an address is in, so that clients can be grouped by network.
+ * @param {string} address The address
+ * @param {number} ipv4Bits Prefix length for IPv4 addresses (IPv4-mapped ones included)
+ * @param {number} ipv6Bits Prefix length for IPv6 addresses
+ * @returns {string} The subnet ("192.0.2.0/24", "2001:db8:0:0:0:0:0:0/56"...)
+ */
+export const addressPrefix = (address, ipv4Bits, ipv6Bits) => {
+    address = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+    const mask = (value, width, bits) => bits >= width ? value : bits <= 0 ? 0 : value >>> (width - bits) << (width - bits) >>> 0;
+    if(!isIPv6(address)) {
+        const value = address.split(".").reduce((value, octet) => (value << 8 | parseInt(octet)) >>> 0, 0);
+        const masked = mask(value, 32, ipv4Bits);
+        return `${[24, 16, 8, 0].map(shift => masked >>> shift & 255).join(".")}/${ipv4Bits}`;
+    }
+    const groups = ipv6Groups(address).map((group, index) => mask(group, 16, ipv6Bits - index * 16) & 0xffff);
+    return `${groups.map(group => group.toString(16)).join(":")}/${ipv6Bits}`;
+};
+
+// Unspecified, private, shared, loopback, link-local, documentation, benchmarking, multicast and reserved addresses
+const nonPublic = makeAddressList([
+    "0.0.0.0/8", "10.0.0.0/8", "100.64.0.0/10", "127.0.0.0/8", "169.254.0.0/16", "172.16.0.0/12", "192.0.0.0/24",
+    "192.0.2.0/24", "192.168.0.0/16", "198.18.0.0/15", "198.51.100.0/24", "203.0.113.0/24", "224.0.0.0/3",
+    "::/127", "64:ff9b::/96", "100::/64", "2001:db8::/32", "fc00::/7", "fe80::/10", "ff00::/8"
+]);
+/**
+ * Checks whether an address is a public one, i.e. not one of our own network or any other special one.
+ * @param {string} address The address
+ * @returns {boolean} Whether it's an IP address on the public internet
+ */
+export const isPublicAddress = address => isIP(address) !== 0 && !address.includes("%") && !inAddressList(nonPublic, address);
\ No newline at end of file
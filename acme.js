@@ -0,0 +1,503 @@
+import { createHash, createPublicKey, verify, X509Certificate } from "crypto";
+import express from "express";
+import {
+    changeAcmeAccountKey, claimAcmeOrder, generateCert, getAcmeAccount, getAcmeAccountByKey, getAcmeAuthz, getAcmeAuthzs, getAcmeCert,
+    getAcmeOrder, getAcmeOrders, getCAs, getCertBySerial, getCertStatus, getRecords, getValidAcmeAuthzs, getZone,
+    pushAcmeAccount, pushAcmeNonce, pushAcmeOrder, pushAudit, revokeCertByID, updateAcmeAccount, updateAcmeAuthz,
+    updateAcmeOrder, useAcmeNonce
+} from "./index.js";
+import { certSerial, parseCSR, revocationReasons } from "./pki.js";
+import { certInfo } from "./audit.js";
+import Validator from "./validator.js";
+import { REGEX_BASE64URL, REGEX_CERT_NAME, REGEX_UUID } from "./regex.js";
+
+const NONCE_MS = 3600 * 1000;
+const ORDER_MS = 7 * 24 * 3600 * 1000;
+const AUTHZ_MS = 30 * 24 * 3600 * 1000;
+const VALIDITY_DAYS = parseInt(process.env.ACME_VALIDITY_DAYS ?? "90");
+const MAX_IDENTIFIERS = 100;
+const MAX_CONTACTS = 10;
+const MAX_CNAME_CHAIN = 8;
+const MIN_RSA_BITS = 2048;
+// JWS algorithms accepted for account keys and the keys they go with
+const ALGORITHMS = {
+    RS256: { kty: "RSA", hash: "sha256" },
+    ES256: { kty: "EC", crv: "P-256", hash: "sha256" },
+    ES384: { kty: "EC", crv: "P-384", hash: "sha384" },
+    EdDSA: { kty: "OKP", crv: "Ed25519", hash: null }
+};
+// Required members of each key type, in the order they're hashed for the thumbprint (RFC 7638 §3.2)
+const JWK_MEMBERS = {
+    RSA: ["e", "kty", "n"],
+    EC: ["crv", "kty", "x", "y"],
+    OKP: ["crv", "kty", "x"]
+};
+
+/**
+ * Makes an ACME problem document (RFC 8555 §6.7).
+ * @param {string} type Error type (without the ACME URN prefix)
+ * @param {string} detail Human-readable explanation
+ * @param {number} [status] HTTP status
+ * @returns {{ type: string, detail: string, status: number }} The problem document
+ */
+const makeProblem = (type, detail, status = 400) => ({ type: `urn:ietf:params:acme:error:${type}`, detail, status });
+/**
+ * Sends an ACME problem document.
+ * @param {import("express").Response} res The response
+ * @param {string} type Error type (without the ACME URN prefix)
+ * @param {string} detail Human-readable explanation
+ * @param {number} [status] HTTP status
+ */
+const problem = (res, type, detail, status = 400) => res.status(status)
+    .type("application/problem+json")
+    .send(JSON.stringify(makeProblem(type, detail, status)));
+
+/**
+ * Makes an absolute URL of an ACME resource.
+ * Set ACME_URL if the API sits behind a proxy, since clients check the URLs they're given.
+ * @param {import("express").Request} req The request
+ * @param {string} [path] Path of the resource
+ * @returns {string} The URL
+ */
+const acmeUrl = (req, path = "") => (process.env.ACME_URL ?? `${req.protocol}://${req.get("host")}${req.baseUrl}`)
+    .replace(/\/$/, "") + path;
+
+/**
+ * Keeps only the public members of a JWK, or returns null if it's not a key we accept.
+ * @param {JsonWebKey} jwk The key
+ * @returns {JsonWebKey | null} The public key
+ */
+const publicJwk = jwk => {
+    const members = JWK_MEMBERS[jwk?.kty];
+    if(!members || !members.every(member => typeof jwk[member] === "string")) return null;
+    const key = Object.fromEntries(members.map(member => [member, jwk[member]]));
+    try {
+        const details = createPublicKey({ key, format: "jwk" }).asymmetricKeyDetails;
+        if(key.kty === "RSA" && details.modulusLength < MIN_RSA_BITS) return null;
+    } catch {
+        return null;
+    }
+    return key;
+};
+/**
+ * Computes the thumbprint of a JWK (RFC 7638).
+ * @param {JsonWebKey} jwk The key (public members only)
+ * @returns {string} The thumbprint (base64url)
+ */
+const thumbprint = jwk => createHash("sha256").update(JSON.stringify(jwk)).digest("base64url");
+
+/**
+ * Decodes a flattened JWS (RFC 7515 §7.2.2) without verifying it.
+ * @param {object} jws The JWS
+ * @returns {{ header: object, payload: any } | null} Protected header and payload (null for POST-as-GET),
+ * or null if the JWS is malformed
+ */
+const decodeJWS = jws => {
+    const valid = new Validator(jws ?? {});
+    if(!Validator.check([
+        valid.str("protected", { min: 1, regex: REGEX_BASE64URL }),
+        valid.str("payload", { regex: REGEX_BASE64URL }),
+        valid.str("signature", { min: 1, regex: REGEX_BASE64URL })
+    ])) return null;
+    try {
+        const header = JSON.parse(Buffer.from(jws.protected, "base64url").toString());
+        const payload = jws.payload === "" ? null : JSON.parse(Buffer.from(jws.payload, "base64url").toString());
+        return typeof header === "object" && header !== null ? { header, payload } : null;
+    } catch {
+        return null;
+    }
+};
+/**
+ * Verifies the signature of a flattened JWS.
+ * @param {object} jws The JWS
+ * @param {string} alg Algorithm from the protected header
+ * @param {JsonWebKey} jwk The key to verify with
+ * @returns {boolean} Whether the signature is valid
+ */
+const verifyJWS = (jws, alg, jwk) => {
+    const algorithm = ALGORITHMS[alg];
+    if(!algorithm || jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv)) return false;
+    return verify(algorithm.hash, Buffer.from(`${jws.protected}.${jws.payload}`),
+        { key: createPublicKey({ key: jwk, format: "jwk" }), dsaEncoding: "ieee-p1363" },
+        Buffer.from(jws.signature, "base64url"));
+};
+
+/**
+ * Makes a middleware that checks the JWS an ACME request is wrapped in (RFC 8555 §6.2)
+ * and puts the header, payload, key and account into req.acme.
+ * @param {"jwk" | "kid" | "any"} keyType Whether the request has to be signed with a new key, by an account, or either
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const jws = keyType => async (req, res, next) => {
+    if(!req.is("application/jose+json"))
+        return problem(res, "malformed", "Requests have to be application/jose+json", 415);
+    const decoded = decodeJWS(req.body);
+    if(!decoded) return problem(res, "malformed", "Invalid JWS");
+    const { header, payload } = decoded;
+    if(!Object.hasOwn(ALGORITHMS, header.alg))
+        return problem(res, "badSignatureAlgorithm", `Supported algorithms: ${Object.keys(ALGORITHMS).join(", ")}`);
+    if(typeof header.nonce !== "string" || !(await useAcmeNonce(header.nonce)))
+        return problem(res, "badNonce", "Invalid or already used nonce");
+    if(header.url !== acmeUrl(req, req.path))
+        return problem(res, "unauthorized", "The url header doesn't match the request URL", 403);
+    if(("jwk" in header) === ("kid" in header))
+        return problem(res, "malformed", "Exactly one of jwk and kid has to be given");
+    if(keyType !== "any" && !(keyType in header))
+        return problem(res, "malformed", `This request has to be signed with a ${keyType}`);
+
+    let jwk, account = null;
+    if("kid" in header) {
+        const prefix = acmeUrl(req, "/account/");
+        const id = typeof header.kid === "string" && header.kid.startsWith(prefix) ? header.kid.slice(prefix.length) : "";
+        account = id.match(REGEX_UUID) ? await getAcmeAccount(id) : undefined;
+        if(!account) return problem(res, "accountDoesNotExist", "No such account");
+        if(account.status !== "valid") return problem(res, "unauthorized", "The account is deactivated", 403);
+        jwk = account.jwk;
+    } else {
+        jwk = publicJwk(header.jwk);
+        if(!jwk) return problem(res, "badPublicKey", "Unsupported key");
+    }
+    if(!verifyJWS(req.body, header.alg, jwk)) return problem(res, "malformed", "Invalid signature");
+    req.acme = { header, payload, jwk, account };
+    next();
+};
+
+const ownOrder = async (req, res, next) => {
+    const order = await getAcmeOrder(req.params.id);
+    if(!order || order.account !== req.acme.account.id)
+        return problem(res, "malformed", "No such order", 404);
+    req.order = order;
+    next();
+};
+
+/**
+ * Checks whether a list of contacts is acceptable.
+ * @param {any} contact The contacts
+ * @returns {boolean} Whether it's a short enough list of mailto URLs
+ */
+const validContact = contact => Array.isArray(contact) && contact.length <= MAX_CONTACTS
+    && contact.every(url => typeof url === "string" && url.match(/^mailto:[^@,\s]+@[^@,\s]+$/));
+
+/**
+ * Gets the status of an authorization as the client sees it.
+ * @param {import("./index.js").AcmeAuthz} authz The authorization
+ * @returns {string} The status
+ */
+const authzStatus = authz => (authz.status === "pending" || authz.status === "valid") && Number(authz.expires) <= Date.now()
+    ? "expired" : authz.status;
+/**
+ * Moves an order forward once all its authorizations are valid, or fails it if any of them can't become valid anymore.
+ * @param {import("./index.js").AcmeOrder} order The order
+ * @returns {import("./index.js").AcmeOrder} The up-to-date order
+ */
+const refreshOrder = async order => {
+    if(order.status !== "pending" && order.status !== "ready") return order;
+    if(Number(order.expires) <= Date.now())
+        return await updateAcmeOrder(order.id, "invalid", makeProblem("malformed", "The order expired", 403));
+    const statuses = (await getAcmeAuthzs(order.authzs)).map(authzStatus);
+    if(statuses.length !== order.authzs.length || statuses.some(status => status !== "pending" && status !== "valid"))
+        return await updateAcmeOrder(order.id, "invalid", makeProblem("unauthorized", "An authorization failed", 403));
+    if(order.status === "pending" && statuses.every(status => status === "valid"))
+        return await updateAcmeOrder(order.id, "ready");
+    return order;
+};
+
+/**
+ * Checks the dns-01 challenge of an authorization against our own records, following CNAMEs as long as they stay local.
+ * @param {import("./index.js").AcmeAuthz} authz The authorization
+ * @param {import("./index.js").AcmeAccount} account The account it belongs to
+ * @returns {boolean} Whether the TXT record is in place
+ */
+const checkDns01 = async (authz, account) => {
+    const expected = createHash("sha256").update(`${authz.token}.${thumbprint(account.jwk)}`).digest("base64url");
+    const seen = new Set();
+    let name = `_acme-challenge.${authz.identifier}`;
+    for(let i = 0; i < MAX_CNAME_CHAIN && !seen.has(name); i++) {
+        seen.add(name);
+        const records = await getRecords(name);
+        if(records.some(record => record.type === "TXT" && record.value === expected)) return true;
+        const cname = records.find(record => record.type === "CNAME");
+        if(!cname) return false;
+        name = cname.value.replace(/\.$/, "").toLowerCase();
+    }
+    return false;
+};
+
+/**
+ * Makes the PEM chain handed out for a cert: the cert and the CA that issued it.
+ * Like for DoT, the CA is cross-signed after a rollover, so that clients trusting only the other CA can verify it too.
+ * @param {import("./index.js").CertPair} pair The pair
+ * @returns {string} The chain (PEM)
+ */
+const certChain = async pair => {
+    const leaf = new X509Certificate(Buffer.from(pair.cert, "hex"));
+    const ca = (await getCAs()).find(ca => leaf.checkIssued(new X509Certificate(Buffer.from(ca.cert, "hex"))));
+    return leaf.toString() + (ca ? new X509Certificate(Buffer.from(ca.cross_cert ?? ca.cert, "hex")).toString() : "");
+};
+
+/**
+ * Makes the account object sent to clients.
+ * @param {import("express").Request} req The request
+ * @param {import("./index.js").AcmeAccount} account The account
+ * @returns {object} The account object
+ */
+const accountObject = (req, account) => ({
+    status: account.status,
+    contact: account.contact,
+    orders: acmeUrl(req, `/account/${account.id}/orders`)
+});
+/**
+ * Makes the order object sent to clients.
+ * @param {import("express").Request} req The request
+ * @param {import("./index.js").AcmeOrder} order The order
+ * @returns {object} The order object
+ */
+const orderObject = (req, order) => ({
+    status: order.status,
+    expires: new Date(Number(order.expires)).toISOString(),
+    identifiers: order.identifiers,
+    authorizations: order.authzs.map(id => acmeUrl(req, `/authz/${id}`)),
+    finalize: acmeUrl(req, `/order/${order.id}/finalize`),
+    ...(order.status === "valid" && { certificate: acmeUrl(req, `/cert/${order.id}`) }),
+    ...(order.error && { error: order.error })
+});
+/**
+ * Makes the object sent to clients for the dns-01 challenge of an authorization.
+ * @param {import("express").Request} req The request
+ * @param {import("./index.js").AcmeAuthz} authz The authorization
+ * @returns {object} The challenge object
+ */
+const challengeObject = (req, authz) => ({
+    type: "dns-01",
+    url: acmeUrl(req, `/chall/${authz.id}`),
+    token: authz.token,
+    status: authz.status === "valid" || authz.status === "invalid" ? authz.status : "pending",
+    ...(authz.validated && { validated: new Date(Number(authz.validated)).toISOString() }),
+    ...(authz.error && { error: authz.error })
+});
+/**
+ * Makes the authorization object sent to clients.
+ * @param {import("express").Request} req The request
+ * @param {import("./index.js").AcmeAuthz} authz The authorization
+ * @returns {object} The authorization object
+ */
+const authzObject = (req, authz) => ({
+    identifier: { type: "dns", value: authz.identifier },
+    status: authzStatus(authz),
+    expires: new Date(Number(authz.expires)).toISOString(),
+    challenges: [ challengeObject(req, authz) ],
+    ...(authz.wildcard && { wildcard: true })
+});
+
+/** ACME (RFC 8555) server issuing from the yourdns CA, with dns-01 validated against our own records */
+export const acme = express.Router();
+acme.use(express.json({ type: "application/jose+json", limit: 65535 }));
+acme.use(async (req, res, next) => {
+    res.set("Replay-Nonce", await pushAcmeNonce(Date.now() + NONCE_MS));
+    res.set("Cache-Control", "no-store");
+    res.links({ index: acmeUrl(req, "/directory") });
+    next();
+});
+acme.param("id", (req, res, next, id) => {
+    if(!id.match(REGEX_UUID)) return problem(res, "malformed", "No such resource", 404);
+    next();
+});
+
+acme.get("/directory", (req, res) => {
+    return res.status(200).send({
+        newNonce: acmeUrl(req, "/new-nonce"),
+        newAccount: acmeUrl(req, "/new-account"),
+        newOrder: acmeUrl(req, "/new-order"),
+        revokeCert: acmeUrl(req, "/revoke-cert"),
+        keyChange: acmeUrl(req, "/key-change"),
+        meta: { externalAccountRequired: false }
+    });
+});
+acme.head("/new-nonce", (_req, res) => res.status(200).end());
+acme.get("/new-nonce", (_req, res) => res.status(204).end());
+
+acme.post("/new-account", jws("jwk"), async (req, res) => {
+    const payload = req.acme.payload ?? {};
+    const existing = await getAcmeAccountByKey(thumbprint(req.acme.jwk));
+    if(existing)
+        return res.status(200).location(acmeUrl(req, `/account/${existing.id}`)).send(accountObject(req, existing));
+    if(payload.onlyReturnExisting === true)
+        return problem(res, "accountDoesNotExist", "No account exists for this key");
+    const contact = payload.contact ?? [];
+    if(!validContact(contact))
+        return problem(res, "invalidContact", `Up to ${MAX_CONTACTS} mailto contacts are supported`);
+    const account = await pushAcmeAccount(thumbprint(req.acme.jwk), req.acme.jwk, contact);
+    return res.status(201).location(acmeUrl(req, `/account/${account.id}`)).send(accountObject(req, account));
+});
+acme.post("/account/:id", jws("kid"), async (req, res) => {
+    let account = req.acme.account;
+    if(account.id !== req.params.id) return problem(res, "unauthorized", "Not your account", 403);
+    // POST-as-GET just fetches the account
+    if(req.acme.payload !== null) {
+        const contact = req.acme.payload.contact ?? account.contact;
+        if(!validContact(contact))
+            return problem(res, "invalidContact", `Up to ${MAX_CONTACTS} mailto contacts are supported`);
+        const status = req.acme.payload.status ?? account.status;
+        if(status !== account.status && status !== "deactivated")
+            return problem(res, "malformed", "Accounts can only be deactivated");
+        account = await updateAcmeAccount(account.id, contact, status);
+    }
+    return res.status(200).send(accountObject(req, account));
+});
+acme.post("/account/:id/orders", jws("kid"), async (req, res) => {
+    if(req.acme.account.id !== req.params.id) return problem(res, "unauthorized", "Not your account", 403);
+    const orders = await getAcmeOrders(req.params.id);
+    return res.status(200).send({ orders: orders.map(order => acmeUrl(req, `/order/${order.id}`)) });
+});
+acme.post("/key-change", jws("kid"), async (req, res) => {
+    // The payload is another JWS, signed with the new key (RFC 8555 §7.3.5)
+    const inner = decodeJWS(req.acme.payload);
+    const jwk = publicJwk(inner?.header.jwk);
+    if(!inner || !jwk || "nonce" in inner.header || inner.header.url !== req.acme.header.url)
+        return problem(res, "malformed", "Invalid inner JWS");
+    if(!verifyJWS(req.acme.payload, inner.header.alg, jwk))
+        return problem(res, "malformed", "Invalid inner JWS signature");
+    const oldKey = publicJwk(inner.payload?.oldKey);
+    if(inner.payload?.account !== req.acme.header.kid || !oldKey || thumbprint(oldKey) !== req.acme.account.thumbprint)
+        return problem(res, "malformed", "The inner JWS doesn't match the account");
+    const existing = await getAcmeAccountByKey(thumbprint(jwk));
+    if(existing) {
+        res.location(acmeUrl(req, `/account/${existing.id}`));
+        return problem(res, "malformed", "The new key is already used by an account", 409);
+    }
+    const account = await changeAcmeAccountKey(req.acme.account.id, thumbprint(jwk), jwk);
+    return res.status(200).send(accountObject(req, account));
+});
+
+acme.post("/new-order", jws("kid"), async (req, res) => {
+    const payload = req.acme.payload ?? {};
+    if(payload.notBefore !== undefined || payload.notAfter !== undefined)
+        return problem(res, "malformed", "notBefore and notAfter aren't supported");
+    if(!Array.isArray(payload.identifiers) || payload.identifiers.length === 0 || payload.identifiers.length > MAX_IDENTIFIERS)
+        return problem(res, "malformed", `Orders need between 1 and ${MAX_IDENTIFIERS} identifiers`);
+    const names = [];
+    for(const identifier of payload.identifiers) {
+        if(identifier?.type !== "dns")
+            return problem(res, "unsupportedIdentifier", "Only dns identifiers are supported");
+        const name = typeof identifier.value === "string" ? identifier.value.toLowerCase() : "";
+        if(!name.match(REGEX_CERT_NAME))
+            return problem(res, "rejectedIdentifier", `Invalid name: ${name}`);
+        // dns-01 can only ever succeed for names in our own records
+        if(await getZone(name.replace(/^\*\./, "")) === null)
+            return problem(res, "rejectedIdentifier", `${name} isn't hosted here`);
+        if(!names.includes(name)) names.push(name);
+    }
+    const order = await pushAcmeOrder(req.acme.account.id, names.map(value => ({ type: "dns", value })), Date.now() + ORDER_MS);
+    return res.status(201).location(acmeUrl(req, `/order/${order.id}`)).send(orderObject(req, await refreshOrder(order)));
+});
+acme.post("/order/:id", jws("kid"), ownOrder, async (req, res) => {
+    return res.status(200).send(orderObject(req, await refreshOrder(req.order)));
+});
+acme.post("/order/:id/finalize", jws("kid"), ownOrder, async (req, res) => {
+    let order = await refreshOrder(req.order);
+    if(order.status !== "ready")
+        return problem(res, "orderNotReady", `The order is ${order.status}`, 403);
+    const valid = new Validator(req.acme.payload ?? {});
+    if(!valid.str("csr", { min: 1, regex: REGEX_BASE64URL }))
+        return problem(res, "malformed", "A CSR is required");
+    let csr;
+    try {
+        csr = parseCSR(Buffer.from(req.acme.payload.csr, "base64url"));
+    } catch(e) {
+        return problem(res, "badCSR", e.message);
+    }
+    const names = [...new Set(csr.names.map(name => name.toLowerCase()))];
+    const ordered = order.identifiers.map(identifier => identifier.value);
+    if(names.length !== ordered.length || !names.every(name => ordered.includes(name)))
+        return problem(res, "badCSR", "The CSR has to request exactly the names in the order");
+
+    // Finalize requests for the same order can race, only the one that claims it issues a cert
+    const claimed = await claimAcmeOrder(order.id);
+    if(!claimed) {
+        order = await getAcmeOrder(order.id);
+        return problem(res, "orderNotReady", `The order is ${order.status}`, 403);
+    }
+    order = claimed;
+    try {
+        const pair = await generateCert(names[0], false, { names, validityDays: VALIDITY_DAYS, csr, order: order.id });
+        await pushAudit(`acme:${req.acme.account.id}`, "cert.generate", pair.domain, null, certInfo(pair));
+        order = await updateAcmeOrder(order.id, "valid");
+    } catch(e) {
+        console.error(`Couldn't issue the certificate for ACME order ${order.id}:`, e.message);
+        order = await updateAcmeOrder(order.id, "invalid", makeProblem("serverInternal", "Couldn't issue the certificate", 500));
+    }
+    return res.status(200).location(acmeUrl(req, `/order/${order.id}`)).send(orderObject(req, order));
+});
+acme.post("/authz/:id", jws("kid"), async (req, res) => {
+    let authz = await getAcmeAuthz(req.params.id);
+    if(!authz || authz.account !== req.acme.account.id)
+        return problem(res, "malformed", "No such authorization", 404);
+    if(req.acme.payload !== null) {
+        if(req.acme.payload.status !== "deactivated")
+            return problem(res, "malformed", "Authorizations can only be deactivated");
+        if(authzStatus(authz) === "pending" || authzStatus(authz) === "valid")
+            authz = await updateAcmeAuthz(authz.id, "deactivated", Number(authz.expires));
+    }
+    return res.status(200).send(authzObject(req, authz));
+});
+acme.post("/chall/:id", jws("kid"), async (req, res) => {
+    let authz = await getAcmeAuthz(req.params.id);
+    if(!authz || authz.account !== req.acme.account.id)
+        return problem(res, "malformed", "No such challenge", 404);
+    // An empty object asks us to validate, POST-as-GET just polls
+    if(req.acme.payload !== null && authzStatus(authz) === "pending") {
+        if(await checkDns01(authz, req.acme.account))
+            authz = await updateAcmeAuthz(authz.id, "valid", Date.now() + AUTHZ_MS);
+        else
+            authz = await updateAcmeAuthz(authz.id, "invalid", Number(authz.expires), makeProblem("unauthorized",
+                `No TXT record at _acme-challenge.${authz.identifier} matches the key authorization`, 403));
+    }
+    res.links({ up: acmeUrl(req, `/authz/${authz.id}`) });
+    return res.status(200).send(challengeObject(req, authz));
+});
+
+acme.post("/cert/:id", jws("kid"), ownOrder, async (req, res) => {
+    const pair = req.order.status === "valid" ? await getAcmeCert(req.order.id) : undefined;
+    if(!pair) return problem(res, "malformed", "No such certificate", 404);
+    return res.status(200).type("application/pem-certificate-chain").send(await certChain(pair));
+});
+acme.post("/revoke-cert", jws("any"), async (req, res) => {
+    const valid = new Validator(req.acme.payload ?? {});
+    if(!valid.str("certificate", { min: 1, regex: REGEX_BASE64URL }) || !valid.int("reason", { optional: true, min: 0 }))
+        return problem(res, "malformed", "A certificate is required");
+    const code = req.acme.payload.reason ?? revocationReasons.unspecified;
+    const reason = Object.keys(revocationReasons).find(name => revocationReasons[name] === code);
+    if(!reason)
+        return problem(res, "badRevocationReason", `Supported reasons: ${Object.values(revocationReasons).join(", ")}`);
+
+    const der = Buffer.from(req.acme.payload.certificate, "base64url");
+    let serial;
+    try {
+        serial = certSerial(der);
+    } catch {
+        return problem(res, "malformed", "Invalid certificate");
+    }
+    if((await getCertStatus(serial)).status === "revoked")
+        return problem(res, "alreadyRevoked", "The certificate is already revoked");
+    const pair = await getCertBySerial(serial);
+    if(!pair || pair.domain === "." || !der.equals(Buffer.from(pair.cert, "hex")))
+        return problem(res, "malformed", "Unknown certificate", 404);
+
+    // Either the account that ordered the cert, an account authorized for all its names, or the holder of its key
+    const account = req.acme.account;
+    let allowed;
+    if(account) {
+        const order = pair.acme_order ? await getAcmeOrder(pair.acme_order) : undefined;
+        const authorized = new Set((await getValidAcmeAuthzs(account.id))
+            .map(authz => (authz.wildcard ? "*." : "") + authz.identifier));
+        allowed = order?.account === account.id || (pair.names ?? [pair.domain]).every(name => authorized.has(name));
+    } else {
+        const spki = key => key.export({ format: "der", type: "spki" });
+        allowed = spki(createPublicKey({ key: req.acme.jwk, format: "jwk" })).equals(spki(new X509Certificate(der).publicKey));
+    }
+    if(!allowed) return problem(res, "unauthorized", "Not allowed to revoke this certificate", 403);
+
+    await revokeCertByID(pair.id, reason);
+    await pushAudit(account ? `acme:${account.id}` : "acme", "cert.revoke", pair.domain, certInfo(pair), { reason });
+    return res.status(200).end();
+});
\ No newline at end of file
@@ -1,7 +1,36 @@
-import { deleteCert, deleteProxyRule, deleteRecordByID, deleteRecordByName, findByOwner, generateCert, getAllProxyRules, getCert, getCertsByBase, getRecordByID, getRecords, getRecordsByBase, pushProxyRule, pushRecord, recordTypes, updateProxyRule, updateRecord } from "./index.js";
+import { deleteCert, deleteDnssecKeys, deletePolicyList, deleteProxyRule, deleteRecordByID, deleteRecordByName, deleteToken, deleteTsigKey, deleteTsigKeys, deleteView, findByOwner, generateCert, getAllProxyRules, getAudit, getCAs, getClientView, getCert, getCertsByBase, getCertStatus, getExpiringCerts, getPreviousCerts, getDnssecKeys, getHistoryStart, getPolicyListByID, getPolicyLists, getProxyRuleByID, getRecordByID, getRecordHistory, getRecords, getRecordsByBase, getRecordsByBaseAt, getRevokedCerts, getTokenByValue, getTokens, getTsigKeyByName, getTsigKeys, getViewByID, getViews, getViewUsage, getZone, lockBase, pushAudit, pushPolicyList, pushProxyRule, pushRecord, pushToken, pushTsigKey, pushView, restoreRecord, tokenPermissions, transaction, updatePolicyList, updateProxyRule, updateRecord, updateView } from "./index.js";
 import express from "express";
+import { randomBytes } from "crypto";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { isIPv4, isIPv6 } from "net";
 import Validator from "./validator.js";
-import { REGEX_UUID } from "./regex.js";
+import { validateRecord } from "./records.js";
+import { REGEX_CERT_NAME, REGEX_HOSTNAME, REGEX_UUID } from "./regex.js";
+import { resolverCache } from "./cache.js";
+import { isOwnNameserver, parseZone, renderZone } from "./zone.js";
+import { checkQuery, errorResponse, resolveQuery, typeNumber } from "./resolver.js";
+import { disableDnssec, enableDnssec, makeDS, rolloverKey } from "./dnssec.js";
+import { certInfo, keyInfo } from "./audit.js";
+import { answerOCSP, buildCRL, parseCSR, revocationReasons } from "./pki.js";
+import { acme } from "./acme.js";
+import { tsigAlgorithms } from "./tsig.js";
+import { getUpstreamHealth, isPublicUpstream, normalizeUpstream } from "./upstream.js";
+import { applyPolicy, getPolicyHitCount, getPolicyHits, parsePolicyList, policyActions, policyFormats, policyKinds } from "./policy.js";
+import { makeAddressList } from "./acl.js";
+import { renderMetrics } from "./metrics.js";
+import { observeQuery } from "./querylog.js";
+import { finishResponse } from "./edns.js";
+import { allowQuery, defaultRateLimits, getRateLimits, setRateLimits } from "./ratelimit.js";
+
+const MAX_BATCH_SIZE = 1000;
+const MAX_CERT_NAMES = 100;
+const MAX_CERT_VALIDITY_DAYS = 3650;
+const MAX_UPSTREAMS = 16;
+const MAX_VIEW_CLIENTS = 1000;
+const MAX_EXEMPT = 1000;
+const MAX_POLICY_LIST_SIZE = "64mb";
+const DAY_MS = 24 * 3600 * 1000;
 
 /** @typedef {{ error: string }} ErrorObj */
 /**
@@ -13,45 +42,330 @@ const makeError = msg => ({ error: msg });
 
 const errorMsgs = {
     unauthorized: "Unauthorized!",
+    forbidden: "Forbidden!",
     badRequest: "Bad request!",
     invalidType: "Invalid type!",
+    invalidValue: "Invalid value for this record type!",
     invalidID: "Invalid ID!",
     recordNotFound: "Record not found!",
     invalidRegex: "Invalid regex!",
     ruleNotFound: "Rule not found!",
     domainNotFound: "Domain not found!",
+    tokenNotFound: "Token not found!",
+    invalidPermissions: "Invalid permissions!",
+    invalidZone: "Invalid zone file!",
+    zoneNotFound: "Zone not found!",
+    zoneNotSigned: "Zone isn't signed!",
+    invalidRole: "Invalid key role!",
+    invalidCSR: "Invalid certificate signing request!",
+    invalidReason: "Invalid revocation reason!",
+    invalidAlgorithm: "Invalid algorithm!",
+    tsigKeyNotFound: "TSIG key not found!",
+    tsigKeyExists: "A TSIG key with this name already exists!",
+    invalidUpstream: "Invalid upstream server!",
+    invalidList: "Invalid list!",
+    invalidClients: "Invalid client addresses!",
+    policyListNotFound: "Policy list not found!",
+    viewNotFound: "View not found!",
+    viewExists: "A view with this name already exists!",
+    viewInUse: "The view still has records or rules!",
+    recordConflict: "The record already exists, or a CNAME would share its name with other records!",
+    recordExists: "The record still exists!",
+    historyTooOld: "The record history doesn't go back that far!",
+    tooManyQueries: "Too many queries!",
 };
 /** @type {Record<keyof typeof errorMsgs, ErrorObj>} */
 const errors = Object.fromEntries(Object.entries(errorMsgs).map(x => [x[0], makeError(x[1])]));
 
+/**
+ * @typedef {object} Auth Who is making the request
+ * @prop {boolean} admin Whether the request was made with the admin key
+ * @prop {import("./index.js").ApiToken} [token] The scoped token (if not admin)
+ * @prop {string[]} [bases] Bases owned by the token's owner (if not admin)
+ */
+
 export const app = express();
-app.use((req, res, next) => {
-    if(req.originalUrl === "/") return next();
-    if(req.headers.authorization?.replace?.(/^Bearer\s*/, "") !== process.env.ADMIN_KEY)
-        return res.status(401).send(errors.unauthorized);
+app.use(async (req, res, next) => {
+    // DoH, the CRL and OCSP are used by resolvers and TLS clients, which can't authenticate,
+    // and ACME clients sign their requests with their account keys instead
+    if(req.originalUrl === "/" || req.path === "/dns-query" || req.path === "/crl" || req.path.startsWith("/crl/")
+        || req.path === "/ocsp" || req.path.startsWith("/ocsp/") || req.path.startsWith("/acme/")) return next();
+    const key = req.headers.authorization?.replace?.(/^Bearer\s*/, "");
+    if(key && key === process.env.ADMIN_KEY) {
+        req.auth = { admin: true };
+        return next();
+    }
+    const token = key ? await getTokenByValue(key) : null;
+    if(!token) return res.status(401).send(errors.unauthorized);
+    req.auth = {
+        admin: false,
+        token,
+        bases: (await findByOwner(token.owner)).map(record => record.name.slice(2))
+    };
     next();
 });
 app.use(express.json());
 
-const validateRecordBase = (req, res, next) => {
-    const valid = new Validator(req.body);
-    if(!valid.str("name", { min: 1 }) || !valid.str("type", { min: 1, max: 20 })
-            || !valid.int("ttl", { min: 1 }) || !valid.str("value", { min: 1 }))
+/**
+ * Checks whether the requester owns a name.
+ * Names belong to the longest base they're under, so bases nested in the requester's ones can belong to someone else.
+ * @param {Auth} auth Who is making the request
+ * @param {string} name The domain name
+ * @returns {Promise<boolean>} Whether the name is in one of the requester's bases
+ */
+const owns = async (auth, name) => auth.admin || auth.bases.includes(await getZone(name));
+/**
+ * Checks whether the requester may change records at a name.
+ * Tenants can't touch owner records, since that would let them give away or claim bases.
+ * @param {Auth} auth Who is making the request
+ * @param {string} name The domain name
+ * @returns {Promise<boolean>} Whether the requester may write the name
+ */
+const canWrite = async (auth, name) => auth.admin || (!name.startsWith("-.") && await owns(auth, name));
+/**
+ * Checks whether the requester may manage a proxy rule.
+ * @param {Auth} auth Who is making the request
+ * @param {import("./index.js").ProxyRule} rule The rule
+ * @returns {boolean} Whether the rule was made by the requester's owner (or the requester is the admin)
+ */
+const ownsRule = (auth, rule) => auth.admin || rule.owner === auth.token.owner;
+/**
+ * Keeps the items whose names the requester owns.
+ * @template T
+ * @param {Auth} auth Who is making the request
+ * @param {T[]} items The items
+ * @param {(item: T) => string} nameOf Gets the name of an item
+ * @returns {Promise<T[]>} The owned items
+ */
+const filterOwned = async (auth, items, nameOf) => {
+    if(auth.admin) return items;
+    const owned = await Promise.all(items.map(item => owns(auth, nameOf(item))));
+    return items.filter((_, index) => owned[index]);
+};
+
+/**
+ * Records a change made through the API in the audit log.
+ * @param {import("express").Request} req The request that made the change
+ * @param {string} action What was done
+ * @param {string} target What was changed
+ * @param {object | null} before State before the change
+ * @param {object | null} after State after the change
+ * @param {import("./index.js").Queryable} [db] Pool or transaction client to use
+ */
+const audit = async (req, action, target, before, after, db) => {
+    await pushAudit(req.auth.admin ? "admin" : req.auth.token.id, action, target, before ?? null, after ?? null, db);
+};
+/**
+ * Strips the secret from a TSIG key so it can be shown and stored in the audit log.
+ * @param {import("./index.js").TsigKey} key The key
+ * @returns {object} Public info about the key
+ */
+const tsigInfo = key => ({
+    id: key.id,
+    base: key.base,
+    name: key.name,
+    algorithm: key.algorithm,
+    timestamp: key.timestamp
+});
+
+const requireAdmin = (req, res, next) => {
+    if(!req.auth.admin)
+        return res.status(403).send(errors.forbidden);
+    next();
+}
+/**
+ * Makes a middleware that only lets through requests allowed to do something.
+ * @param {import("./index.js").TokenPermission} permission Required permission
+ * @returns {import("express").RequestHandler} The middleware
+ */
+const requirePermission = permission => (req, res, next) => {
+    if(!req.auth.admin && !req.auth.token.permissions.includes(permission))
+        return res.status(403).send(errors.forbidden);
+    next();
+}
+
+/**
+ * Picks the multi-field record fields from a request body.
+ * @param {object} body Request body
+ * @returns {import("./index.js").RecordFields} The fields
+ */
+const recordFields = body => ({
+    priority: body.priority,
+    weight: body.weight,
+    port: body.port,
+    flags: body.flags,
+    tag: body.tag,
+    view: body.view
+});
+
+const validateRecordBase = async (req, res, next) => {
+    const error = validateRecord(req.body);
+    if(error !== null)
+        return res.status(400).send(errors[error]);
+    if(req.body.view && !await getViewByID(req.body.view))
+        return res.status(404).send(errors.viewNotFound);
+    req.valid = new Validator(req.body);
+    next();
+}
+const batchOperations = ["create", "update", "delete"];
+const validateBatch = async (req, res, next) => {
+    const operations = req.body?.operations;
+    if(!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_SIZE)
         return res.status(400).send(errors.badRequest);
-    if(!recordTypes.includes(req.body.type))
-        return res.status(400).send(errors.invalidType);
-    req.valid = valid;
+    const views = new Set((await getViews()).map(view => view.id));
+    for(const [index, operation] of operations.entries()) {
+        if(typeof operation !== "object" || operation === null || !batchOperations.includes(operation.op))
+            return res.status(400).send({ ...errors.badRequest, index });
+        if(operation.op !== "create" && !(typeof operation.id === "string" && operation.id.match(REGEX_UUID)))
+            return res.status(400).send({ ...errors.invalidID, index });
+        if(operation.op !== "delete") {
+            const error = validateRecord(operation);
+            if(error !== null)
+                return res.status(400).send({ ...errors[error], index });
+            if(operation.view && !views.has(operation.view))
+                return res.status(404).send({ ...errors.viewNotFound, index });
+            if(!await canWrite(req.auth, operation.name))
+                return res.status(403).send({ ...errors.forbidden, index });
+        }
+    }
     next();
 }
-const validateProxyRule = (req, res, next) => {
+const validateProxyRule = async (req, res, next) => {
     const valid = new Validator(req.body);
-    if(!valid.str("addr", { min: 1 }) || !valid.str("rule", { min: 1 }))
+    // "addr" is the older way to give the upstreams, as a comma-separated string
+    if(!valid.str("rule", { min: 1 }) || !valid.int("priority", { optional: true, min: -(2 ** 31), max: 2 ** 31 - 1 })
+            || !valid.str("view", { optional: true, regex: REGEX_UUID })
+            || (req.body.upstreams === undefined) === (req.body.addr === undefined))
+        return res.status(400).send(errors.badRequest);
+    const upstreams = req.body.upstreams ?? (typeof req.body.addr === "string" ? req.body.addr.split(",") : null);
+    if(!Array.isArray(upstreams) || upstreams.length === 0 || upstreams.length > MAX_UPSTREAMS)
         return res.status(400).send(errors.badRequest);
+    req.upstreams = upstreams.map(normalizeUpstream);
+    // Tenants' rules can't send queries into our own network
+    const index = req.upstreams.findIndex(upstream => upstream === null || (!req.auth.admin && !isPublicUpstream(upstream)));
+    if(index !== -1)
+        return res.status(400).send({ ...errors.invalidUpstream, index });
     try {
         new RegExp(req.body.rule);
     } catch(_) {
         return res.status(400).send(errors.invalidRegex);
     }
+    if(req.body.view && !await getViewByID(req.body.view))
+        return res.status(404).send(errors.viewNotFound);
+    req.valid = valid;
+    next();
+}
+const validateToken = (req, res, next) => {
+    const valid = new Validator(req.body);
+    if(!valid.str("owner", { min: 1 }) || !valid.str("name", { optional: true, max: 100 })
+            || !Array.isArray(req.body.permissions))
+        return res.status(400).send(errors.badRequest);
+    if(req.body.permissions.some(permission => !tokenPermissions.includes(permission)))
+        return res.status(400).send(errors.invalidPermissions);
+    req.valid = valid;
+    next();
+}
+const validateCertRequest = (req, res, next) => {
+    req.body ??= {};
+    const valid = new Validator(req.body);
+    if(!Validator.check([
+        req.body.names === undefined || (Array.isArray(req.body.names) && req.body.names.length > 0
+            && req.body.names.length <= MAX_CERT_NAMES
+            && req.body.names.every(name => typeof name === "string" && name.match(REGEX_CERT_NAME))),
+        req.body.keyType === undefined || req.body.keyType === "rsa" || req.body.keyType === "ecdsa",
+        valid.int("validityDays", { optional: true, min: 1, max: MAX_CERT_VALIDITY_DAYS }),
+        valid.str("csr", { optional: true, min: 1 })
+    ])) return res.status(400).send(errors.badRequest);
+    if(typeof req.body.csr === "string") {
+        try {
+            req.csr = parseCSR(req.body.csr);
+        } catch(e) {
+            return res.status(400).send({ ...errors.invalidCSR, details: e.message });
+        }
+        if(req.body.keyType !== undefined)
+            return res.status(400).send(errors.badRequest);
+    }
+    req.valid = valid;
+    next();
+}
+const validateTsigKey = (req, res, next) => {
+    req.body ??= {};
+    const valid = new Validator(req.body);
+    if(!valid.str("name", { optional: true, regex: REGEX_HOSTNAME }) || !valid.str("algorithm", { optional: true, min: 1 }))
+        return res.status(400).send(errors.badRequest);
+    if(req.body.algorithm !== undefined && !Object.hasOwn(tsigAlgorithms, req.body.algorithm))
+        return res.status(400).send(errors.invalidAlgorithm);
+    req.valid = valid;
+    next();
+}
+const validatePolicyList = (req, res, next) => {
+    if(typeof req.body !== "string") return res.status(415).send(errors.badRequest);
+    // The list itself is the body, so its settings come in the query
+    const valid = new Validator(req.query);
+    const { format = "hosts", kind = "block", action = "nxdomain", redirect } = req.query;
+    if(!Validator.check([
+        valid.str("name", { min: 1, max: 100 }),
+        valid.str("format", { optional: true }) && policyFormats.includes(format),
+        valid.str("kind", { optional: true }) && policyKinds.includes(kind),
+        valid.str("action", { optional: true }) && policyActions.includes(action),
+        valid.str("redirect", { optional: action !== "redirect", regex: REGEX_HOSTNAME })
+            || (typeof redirect === "string" && (isIPv4(redirect) || isIPv6(redirect))),
+        action === "redirect" || redirect === undefined,
+        valid.str("clients", { optional: true }),
+        valid.str("origin", { optional: true, regex: REGEX_HOSTNAME }),
+        valid.str("priority", { optional: true, regex: /^-?\d{1,9}$/ })
+    ])) return res.status(400).send(errors.badRequest);
+    const clients = (req.query.clients ?? "").split(",").map(x => x.trim()).filter(x => x);
+    try {
+        makeAddressList(clients);
+    } catch(_) {
+        return res.status(400).send(errors.invalidClients);
+    }
+    try {
+        req.parsed = parsePolicyList(format, req.body, req.query.origin);
+    } catch(e) {
+        return res.status(400).send({ ...errors.invalidList, details: e.message });
+    }
+    req.list = {
+        name: req.query.name, format, kind, action, redirect: redirect ?? null, clients,
+        priority: parseInt(req.query.priority ?? "0")
+    };
+    req.valid = valid;
+    next();
+}
+const validateView = (req, res, next) => {
+    const valid = new Validator(req.body);
+    if(!valid.str("name", { min: 1, max: 100 }) || !valid.int("priority", { optional: true, min: -(2 ** 31), max: 2 ** 31 - 1 })
+            || !Array.isArray(req.body.clients) || req.body.clients.length === 0 || req.body.clients.length > MAX_VIEW_CLIENTS)
+        return res.status(400).send(errors.badRequest);
+    try {
+        makeAddressList(req.body.clients);
+    } catch(_) {
+        return res.status(400).send(errors.invalidClients);
+    }
+    req.valid = valid;
+    next();
+}
+const validateRateLimits = (req, res, next) => {
+    const valid = new Validator(req.body);
+    if(!Validator.check([
+        req.body.enabled === undefined || typeof req.body.enabled === "boolean",
+        valid.int("queriesPerSecond", { optional: true, min: 0, max: 1000000 }),
+        valid.int("burst", { optional: true, min: 0, max: 1000000 }),
+        valid.int("responsesPerSecond", { optional: true, min: 0, max: 1000000 }),
+        valid.int("slip", { optional: true, min: 0, max: 10 }),
+        valid.int("ipv4Prefix", { optional: true, min: 0, max: 32 }),
+        valid.int("ipv6Prefix", { optional: true, min: 0, max: 128 }),
+        req.body.exempt === undefined || (Array.isArray(req.body.exempt) && req.body.exempt.length <= MAX_EXEMPT
+            && req.body.exempt.every(entry => typeof entry === "string"))
+    ])) return res.status(400).send(errors.badRequest);
+    try {
+        makeAddressList(req.body.exempt ?? []);
+    } catch(_) {
+        return res.status(400).send(errors.invalidClients);
+    }
+    // Whatever isn't given goes back to its default
+    req.limits = Object.fromEntries(Object.entries(defaultRateLimits).map(([key, value]) => [key, req.body[key] ?? value]));
     req.valid = valid;
     next();
 }
@@ -60,66 +374,317 @@ const validateID = (req, res, next) => {
         return res.status(400).send(errors.invalidID);
     next();
 }
+const validateZoneBase = async (req, res, next) => {
+    if(!await owns(req.auth, req.params.base))
+        return res.status(403).send(errors.forbidden);
+    if(await getZone(req.params.base) !== req.params.base.toLowerCase())
+        return res.status(404).send(errors.zoneNotFound);
+    next();
+}
 
-app.get("/resolve/:domain", async (req, res) => {
-    const records = await getRecords(req.params.domain);
+app.get("/resolve/:domain", requirePermission("records.read"), async (req, res) => {
+    const valid = new Validator(req.query);
+    // Answers what clients in a view get, given directly or through the address of a client
+    if(!valid.str("view", { optional: true, regex: REGEX_UUID })
+            || !valid.str("client", { optional: true, min: 1 }) || (req.query.view && req.query.client)
+            || (req.query.client && !isIPv4(req.query.client) && !isIPv6(req.query.client)))
+        return res.status(400).send(errors.badRequest);
+    if(!await owns(req.auth, req.params.domain))
+        return res.status(403).send(errors.forbidden);
+    if(req.query.view && !await getViewByID(req.query.view))
+        return res.status(404).send(errors.viewNotFound);
+    const view = req.query.client ? await getClientView(req.query.client) : req.query.view ?? null;
+    const records = await getRecords(req.params.domain, view);
     return res.status(200).send(records);
 });
 app.get("/owner/:owner", async (req, res) => {
+    if(!req.auth.admin && req.auth.token.owner !== req.params.owner)
+        return res.status(403).send(errors.forbidden);
     const records = await findByOwner(req.params.owner);
     return res.status(200).send(records);
 });
 
-app.get("/records", async (req, res) => {
+app.get("/records", requirePermission("records.read"), async (req, res) => {
     const valid = new Validator(req.query);
     if(!valid.str("base", { min: 1 }))
         return res.status(400).send(errors.badRequest);
     const { base } = req.query;
-    const records = await getRecordsByBase(base);
+    if(!await owns(req.auth, base))
+        return res.status(403).send(errors.forbidden);
+    const records = await filterOwned(req.auth, await getRecordsByBase(base), record => record.name);
     if(records.length === 0) return res.status(404).send(errors.recordNotFound);
     return res.status(200).send(records);
 });
-app.post("/records", validateRecordBase, async (req, res) => {
-    const record = await pushRecord(req.body.name, req.body.type, req.body.ttl, req.body.value);
+app.post("/records", requirePermission("records.write"), validateRecordBase, async (req, res) => {
+    if(!await canWrite(req.auth, req.body.name))
+        return res.status(403).send(errors.forbidden);
+    const record = await pushRecord(req.body.name, req.body.type, req.body.ttl, req.body.value, recordFields(req.body));
+    await audit(req, "record.create", record.name, null, record);
     return res.status(201).send(record);
 });
-app.get("/records/:id", validateID, async (req, res) => {
+/** Thrown to roll back a batch when one of its operations can't be applied. */
+class BatchError extends Error {
+    /**
+     * @param {number} index Index of the failed operation
+     * @param {number} status HTTP status to respond with
+     * @param {keyof typeof errorMsgs} error What went wrong
+     */
+    constructor(index, status, error) {
+        super(errorMsgs[error]);
+        this.index = index;
+        this.status = status;
+        this.error = error;
+    }
+}
+app.post("/records/batch", requirePermission("records.write"), validateBatch, async (req, res) => {
+    let results;
+    try {
+        results = await transaction(async db => {
+            const results = [];
+            for(const [index, operation] of req.body.operations.entries()) {
+                if(operation.op === "create") {
+                    const record = await pushRecord(operation.name, operation.type, operation.ttl, operation.value, recordFields(operation), db);
+                    await audit(req, "record.create", record.name, null, record, db);
+                    results.push({ op: "create", record });
+                    continue;
+                }
+                const old = await getRecordByID(operation.id, db);
+                if(!old || !await owns(req.auth, old.name)) throw new BatchError(index, 404, "recordNotFound");
+                if(!await canWrite(req.auth, old.name)) throw new BatchError(index, 403, "forbidden");
+                if(operation.op === "update") {
+                    const record = await updateRecord(operation.id, operation.name, operation.type, operation.ttl, operation.value, recordFields(operation), db);
+                    await audit(req, "record.update", record.name, old, record, db);
+                    results.push({ op: "update", record });
+                } else {
+                    await deleteRecordByID(operation.id, db);
+                    await audit(req, "record.delete", old.name, old, null, db);
+                    results.push({ op: "delete", record: old });
+                }
+            }
+            return results;
+        });
+    } catch(e) {
+        if(!(e instanceof BatchError)) throw e;
+        return res.status(e.status).send({ ...errors[e.error], index: e.index });
+    }
+    return res.status(200).send(results);
+});
+app.get("/records/:id", requirePermission("records.read"), validateID, async (req, res) => {
     const record = await getRecordByID(req.params.id);
-    if(!record) return res.status(404).send(errors.recordNotFound);
+    if(!record || !await owns(req.auth, record.name)) return res.status(404).send(errors.recordNotFound);
     return res.status(200).send(record);
 });
-app.delete("/records/:id", validateID, async (req, res) => {
-    await deleteRecordByID(req.params.id);
+app.delete("/records/:id", requirePermission("records.write"), validateID, async (req, res) => {
+    if(!req.auth.admin) {
+        const record = await getRecordByID(req.params.id);
+        if(record && !await canWrite(req.auth, record.name))
+            return res.status(403).send(errors.forbidden);
+    }
+    const record = await deleteRecordByID(req.params.id);
+    if(record) await audit(req, "record.delete", record.name, record, null);
     return res.status(200).send({ status: "OK" });
 });
-app.delete("/records", async (req, res) => {
+app.delete("/records", requirePermission("records.write"), async (req, res) => {
     const valid = new Validator(req.query);
     if(!valid.str("name", { min: 1 }))
         return res.status(400).send(errors.badRequest);
-    await deleteRecordByName(req.query.name);
+    if(!await canWrite(req.auth, req.query.name))
+        return res.status(403).send(errors.forbidden);
+    const records = await deleteRecordByName(req.query.name);
+    for(const record of records)
+        await audit(req, "record.delete", record.name, record, null);
     return res.status(200).send({ status: "OK" });
 });
-app.put("/records/:id", validateRecordBase, validateID, async (req, res) => {
-    const record = await updateRecord(req.params.id, req.body.name, req.body.type, req.body.ttl, req.body.value);
+app.put("/records/:id", requirePermission("records.write"), validateRecordBase, validateID, async (req, res) => {
+    const old = await getRecordByID(req.params.id);
+    if(!old || !await owns(req.auth, old.name)) return res.status(404).send(errors.recordNotFound);
+    if(!await canWrite(req.auth, old.name) || !await canWrite(req.auth, req.body.name))
+        return res.status(403).send(errors.forbidden);
+    const record = await updateRecord(req.params.id, req.body.name, req.body.type, req.body.ttl, req.body.value, recordFields(req.body));
     if(!record) return res.status(404).send(errors.recordNotFound);
+    await audit(req, "record.update", record.name, old, record);
     return res.status(200).send(record);
 });
+app.post("/records/:id/restore", requirePermission("records.write"), validateID, async (req, res) => {
+    if(await getRecordByID(req.params.id))
+        return res.status(409).send(errors.recordExists);
+    // Only deleted records can be brought back, and only while their deletion is in the history
+    const [ latest ] = await getRecordHistory({ record: req.params.id, limit: 1 });
+    if(latest?.action !== "delete" || !await owns(req.auth, latest.name))
+        return res.status(404).send(errors.recordNotFound);
+    if(!await canWrite(req.auth, latest.name))
+        return res.status(403).send(errors.forbidden);
+    if(latest.before.view && !await getViewByID(latest.before.view))
+        return res.status(404).send(errors.viewNotFound);
+    const record = await restoreRecord(latest.before);
+    await audit(req, "record.restore", record.name, null, record);
+    return res.status(201).send(record);
+});
+
+app.get("/zone/:base", requirePermission("records.read"), validateZoneBase, async (req, res) => {
+    const base = req.params.base.toLowerCase();
+    // Zone files are what clients outside of every view get, and bases nested in this one have their own
+    const records = [];
+    for(const record of await getRecordsByBase(base))
+        if(!record.view && await getZone(record.name) === base) records.push(record);
+    if(records.length === 0) return res.status(404).send(errors.recordNotFound);
+    return res.status(200).type("text/dns").send(await renderZone(base, records));
+});
+app.post("/zone/:base", requirePermission("records.write"), validateZoneBase, express.text({ type: () => true }), async (req, res) => {
+    if(typeof req.body !== "string")
+        return res.status(400).send(errors.badRequest);
+    const base = req.params.base.toLowerCase();
+
+    let zone;
+    try {
+        zone = parseZone(req.body, base);
+    } catch(e) {
+        return res.status(400).send({ ...errors.invalidZone, details: e.message });
+    }
+    for(const record of zone.records) {
+        const error = validateRecord({ ...record, ...record.fields });
+        if(error !== null)
+            return res.status(400).send({ ...errors[error], details: `Line ${record.line}: ${record.name} ${record.type}` });
+        if(await getZone(record.name) !== base)
+            return res.status(400).send({ ...errors.invalidZone, details: `Line ${record.line}: ${record.name} is in another zone` });
+        if(!await canWrite(req.auth, record.name))
+            return res.status(403).send({ ...errors.forbidden, details: `Line ${record.line}: ${record.name}` });
+    }
+
+    // The zone file replaces every record of the base except for owner records and records of views
+    const recordKey = record => [record.name, record.type, record.ttl, record.value,
+        ...["priority", "weight", "port", "flags", "tag"].map(field => record.fields?.[field] ?? record[field] ?? "")].join(" ");
+    const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+    const result = await transaction(async db => {
+        await lockBase(base, db);
+        // Stored apex NS records pointing at our own nameservers look like generated ones in the file, which are skipped
+        const current = [];
+        for(const record of await getRecordsByBase(base, db))
+            if(!record.name.startsWith("-.") && !record.view && await getZone(record.name) === base
+                    && !(record.type === "NS" && record.name === base && isOwnNameserver(base, record.value)))
+                current.push(record);
+        const seen = new Set(current.map(recordKey));
+        const importedKeys = new Set(zone.records.map(recordKey));
+        const diff = {
+            added: zone.records.filter(record => {
+                const key = recordKey(record);
+                if(seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            }),
+            removed: current.filter(record => !importedKeys.has(recordKey(record))),
+            unchanged: current.filter(record => importedKeys.has(recordKey(record))).length,
+            ignored: zone.ignored
+        };
+        if(dryRun) return diff;
+        for(const record of diff.removed) {
+            await deleteRecordByID(record.id, db);
+            await audit(req, "record.delete", record.name, record, null, db);
+        }
+        const added = [];
+        for(const record of diff.added) {
+            const pushed = await pushRecord(record.name, record.type, record.ttl, record.value, record.fields, db);
+            await audit(req, "record.create", pushed.name, null, pushed, db);
+            added.push(pushed);
+        }
+        return { ...diff, added };
+    });
+    return res.status(200).send({ dryRun, ...result });
+});
+app.post("/zone/:base/restore", requirePermission("records.write"), validateZoneBase, async (req, res) => {
+    const valid = new Validator(req.body);
+    if(!valid.int("timestamp", { min: 0, max: Date.now() }))
+        return res.status(400).send(errors.badRequest);
+    if(req.body.timestamp < getHistoryStart())
+        return res.status(400).send(errors.historyTooOld);
+    const base = req.params.base.toLowerCase();
+
+    // Owner records and bases nested in this one are left alone, like in zone imports
+    const fields = ["name", "type", "ttl", "value", "priority", "weight", "port", "flags", "tag", "view"];
+    const changed = (a, b) => fields.some(field => String(a[field] ?? "") !== String(b[field] ?? ""));
+    const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+    const result = await transaction(async db => {
+        await lockBase(base, db);
+        const inZone = async record => !record.name.startsWith("-.") && await getZone(record.name) === base;
+        const current = new Map();
+        for(const record of await getRecordsByBase(base, db))
+            if(await inZone(record)) current.set(record.id, record);
+        const target = [], skipped = [];
+        for(const record of await getRecordsByBaseAt(base, req.body.timestamp, db)) {
+            if(!await inZone(record)) continue;
+            // Views can be deleted once they have no records left, so there may be nothing to restore them into
+            if(record.view && !await getViewByID(record.view)) skipped.push(record);
+            else target.push(record);
+        }
+        const targetIDs = new Set(target.map(record => record.id));
+        const diff = {
+            removed: [...current.values()].filter(record => !targetIDs.has(record.id)),
+            updated: target.filter(record => current.has(record.id) && changed(current.get(record.id), record)),
+            added: target.filter(record => !current.has(record.id)),
+            skipped
+        };
+        if(dryRun) return diff;
+        for(const record of diff.removed) {
+            await deleteRecordByID(record.id, db);
+            await audit(req, "record.delete", record.name, record, null, db);
+        }
+        const updated = [];
+        for(const record of diff.updated) {
+            const row = await updateRecord(record.id, record.name, record.type, record.ttl, record.value, recordFields(record), db);
+            await audit(req, "record.update", row.name, current.get(record.id), row, db);
+            updated.push(row);
+        }
+        const added = [];
+        for(const record of diff.added) {
+            const row = await restoreRecord(record, db);
+            await audit(req, "record.restore", row.name, null, row, db);
+            added.push(row);
+        }
+        return { ...diff, updated, added };
+    });
+    return res.status(200).send({ dryRun, ...result });
+});
+app.get("/history/:domain", requirePermission("records.read"), async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!Validator.check([
+        valid.str("subdomains", { optional: true, regex: /^(true|false|1|0)$/ }),
+        valid.strint("limit", { optional: true, min: 1, max: 1000 })
+    ])) return res.status(400).send(errors.badRequest);
+    if(!await owns(req.auth, req.params.domain))
+        return res.status(403).send(errors.forbidden);
+    // Either the changes to the name itself or to everything under it
+    const subdomains = req.query.subdomains === "true" || req.query.subdomains === "1";
+    const entries = await filterOwned(req.auth, await getRecordHistory({
+        [subdomains ? "base" : "name"]: req.params.domain,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    }), entry => entry.name);
+    return res.status(200).send(entries);
+});
 
-app.get("/rules", async (_req, res) => {
-    const rules = await getAllProxyRules();
+app.get("/rules", requirePermission("rules"), async (req, res) => {
+    const rules = (await getAllProxyRules()).filter(rule => ownsRule(req.auth, rule));
     return res.status(200).send(rules);
 });
-app.post("/rules", validateProxyRule, async (req, res) => {
-    const rule = await pushProxyRule(req.body.rule, req.body.addr);
+app.post("/rules", requirePermission("rules"), validateProxyRule, async (req, res) => {
+    // Rules made with a token only apply to the bases of its owner
+    const rule = await pushProxyRule(req.body.rule, req.upstreams, req.body.priority ?? 0, req.body.view ?? null,
+        req.auth.admin ? null : req.auth.token.owner);
+    await audit(req, "rule.create", rule.id, null, rule);
     return res.status(200).send(rule);
 });
-app.put("/rules/:id", validateProxyRule, validateID, async (req, res) => {
-    const rule = await updateProxyRule(req.params.id, req.body.rule, req.body.addr);
+app.put("/rules/:id", requirePermission("rules"), validateProxyRule, validateID, async (req, res) => {
+    const old = await getProxyRuleByID(req.params.id);
+    if(!old || !ownsRule(req.auth, old)) return res.status(404).send(errors.ruleNotFound);
+    const rule = await updateProxyRule(req.params.id, req.body.rule, req.upstreams, req.body.priority ?? 0, req.body.view ?? null);
     if(!rule) return res.status(404).send(errors.ruleNotFound);
+    await audit(req, "rule.update", rule.id, old, rule);
     return res.status(200).send(rule);
 });
-app.delete("/rules/:id", validateID, async (req, res) => {
-    await deleteProxyRule(req.params.id);
+app.delete("/rules/:id", requirePermission("rules"), validateID, async (req, res) => {
+    const old = await getProxyRuleByID(req.params.id);
+    if(old && !ownsRule(req.auth, old)) return res.status(404).send(errors.ruleNotFound);
+    const rule = await deleteProxyRule(req.params.id);
+    if(rule) await audit(req, "rule.delete", rule.id, rule, null);
     return res.status(200).send({ status: "OK" });
 });
 
@@ -127,36 +692,459 @@ app.get("/ca", async (_req, res) => {
     const certData = await getCert(".");
     return res.status(200).send(certData.cert);
 });
-app.get("/cert/:domain", async (req, res) => {
+app.get("/ca/chain", async (_req, res) => {
+    const [ current, ...previous ] = (await getCAs()).map(certInfo);
+    return res.status(200).send({ ...current, previous });
+});
+app.post("/ca/rollover", requireAdmin, async (req, res) => {
+    const old = await getCert(".");
+    const certData = await generateCert(".", true);
+    await audit(req, "ca.rollover", ".", certInfo(old), certInfo(certData));
+    return res.status(200).send(certInfo(certData));
+});
+app.get("/cert/:domain", requirePermission("certs"), async (req, res) => {
     if(req.params.domain === ".") return res.status(403).send({ status: "CA" });
+    if(!await owns(req.auth, req.params.domain)) return res.status(403).send(errors.forbidden);
     const certData = await getCert(req.params.domain);
     if(!certData) return res.status(404).send(errors.domainNotFound);
-    return res.status(200).send(certData);
+    // Certs replaced by a renewal stay available until their grace window is over
+    return res.status(200).send({ ...certData, previous: await getPreviousCerts(req.params.domain) });
+});
+app.get("/certs/expiring", requirePermission("certs"), async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!valid.strint("days", { optional: true, max: MAX_CERT_VALIDITY_DAYS }))
+        return res.status(400).send(errors.badRequest);
+    const now = Date.now();
+    const days = parseInt(req.query.days ?? "30");
+    const certs = (await filterOwned(req.auth, await getExpiringCerts(now + days * DAY_MS), pair => pair.domain.replace(/^\*\./, "")))
+        .map(pair => ({ ...certInfo(pair), expired: Number(pair.until) <= now, daysLeft: Math.floor((Number(pair.until) - now) / DAY_MS) }));
+    return res.status(200).send(certs);
 });
-app.delete("/cert/:domain", async (req, res) => {
+app.delete("/cert/:domain", requirePermission("certs"), async (req, res) => {
     if(req.params.domain === ".") return res.status(403).send({ status: "CA" });
-    await deleteCert(req.params.domain);
+    if(!await owns(req.auth, req.params.domain.replace(/^\*\./, ""))) return res.status(403).send(errors.forbidden);
+    const reason = req.query.reason ?? "cessationOfOperation";
+    if(!Object.hasOwn(revocationReasons, reason))
+        return res.status(400).send(errors.invalidReason);
+    const certData = await deleteCert(req.params.domain, reason);
+    if(certData) await audit(req, "cert.revoke", certData.domain, certInfo(certData), { reason });
     return res.status(200).send({ status: "OK" });
 });
-app.get("/certbase/:domain", async (req, res) => {
+app.get("/certbase/:domain", requirePermission("certs"), async (req, res) => {
     if(req.params.domain === ".") return res.status(403).send({ status: "CA" });
-    const certsData = await getCertsByBase(req.params.domain);
+    if(!await owns(req.auth, req.params.domain)) return res.status(403).send(errors.forbidden);
+    const certsData = await filterOwned(req.auth, await getCertsByBase(req.params.domain), pair => pair.domain.replace(/^\*\./, ""));
     return res.status(200).send(certsData);
 });
-app.post("/cert/:domain", async (req, res) => {
+app.post("/cert/:domain", requirePermission("certs"), validateCertRequest, async (req, res) => {
     if(req.params.domain === ".") return res.status(403).send({ status: "CA" });
-    const certData = await generateCert(req.params.domain);
+    // Wildcard names are owned by whoever owns the name they're under
+    const ownsName = name => owns(req.auth, name.replace(/^\*\./, ""));
+    if(!await ownsName(req.params.domain)) return res.status(403).send(errors.forbidden);
+    const names = req.body.names ?? (req.csr?.names.length > 0 ? req.csr.names : [req.params.domain]);
+    if(!names.every(name => typeof name === "string" && name.match(REGEX_CERT_NAME)))
+        return res.status(400).send(errors.badRequest);
+    if(!(await Promise.all(names.map(ownsName))).every(owned => owned)) return res.status(403).send(errors.forbidden);
+    const old = await getCert(req.params.domain);
+    const certData = await generateCert(req.params.domain, false, {
+        names: names.map(name => name.toLowerCase()),
+        keyType: req.body.keyType,
+        validityDays: req.body.validityDays,
+        csr: req.csr
+    });
+    await audit(req, "cert.generate", certData.domain, certInfo(old), certInfo(certData));
     return res.status(200).send(certData);
 });
 
-app.post("/delete/:domain", async (req, res) => {
-    for(const record of await getRecordsByBase(req.params.domain))
-        await deleteRecordByID(record.id);
-    for(const cert of await getCertsByBase(req.params.domain))
-        await deleteCert(cert.domain);
+// Serials are random, so every CA can simply list all revoked serials
+app.get("/crl", async (_req, res) => {
+    const crl = buildCRL(await getCert("."), await getRevokedCerts(), Math.floor(Date.now() / 1000));
+    return res.status(200).type("application/pkix-crl").send(crl);
+});
+app.get("/crl/:id", validateID, async (req, res) => {
+    const ca = (await getCAs()).find(ca => ca.id === req.params.id);
+    if(!ca) return res.status(404).send(errors.domainNotFound);
+    const crl = buildCRL(ca, await getRevokedCerts(), Math.floor(Date.now() / 1000));
+    return res.status(200).type("application/pkix-crl").send(crl);
+});
+app.post("/ocsp", express.raw({ type: "application/ocsp-request", limit: 65535 }), async (req, res) => {
+    if(!Buffer.isBuffer(req.body))
+        return res.status(415).send(errors.badRequest);
+    const response = await answerOCSP(req.body, await getCAs(), getCertStatus);
+    return res.status(200).type("application/ocsp-response").send(response);
+});
+app.get("/ocsp/*request", async (req, res) => {
+    // The request is base64 in the path, slashes and all (RFC 6960 Appendix A.1)
+    const request = Buffer.from(req.params.request.join("/"), "base64");
+    const response = await answerOCSP(request, await getCAs(), getCertStatus);
+    return res.status(200).type("application/ocsp-response").send(response);
+});
+
+app.use("/acme", acme);
+
+app.post("/delete/:domain", requireAdmin, async (req, res) => {
+    await transaction(async db => {
+        const records = [], certs = [];
+        for(const record of await getRecordsByBase(req.params.domain, db))
+            records.push(await deleteRecordByID(record.id, db));
+        // Certs issued through ACME can share a domain with the one issued through the API
+        for(const domain of new Set((await getCertsByBase(req.params.domain, db)).map(cert => cert.domain)))
+            certs.push(certInfo(await deleteCert(domain, "cessationOfOperation", db)));
+        const keys = (await deleteDnssecKeys(req.params.domain, db)).map(keyInfo);
+        const tsigKeys = (await deleteTsigKeys(req.params.domain, db)).map(tsigInfo);
+        await audit(req, "base.delete", req.params.domain, { records, certs, keys, tsigKeys }, null, db);
+    });
+    return res.status(200).send({ status: "OK" });
+});
+
+app.get("/dnssec/:base", requirePermission("records.read"), validateZoneBase, async (req, res) => {
+    const keys = await getDnssecKeys(req.params.base);
+    return res.status(200).send({ signed: keys.length > 0, keys: keys.map(keyInfo) });
+});
+app.get("/dnssec/:base/ds", requirePermission("records.read"), validateZoneBase, async (req, res) => {
+    const base = req.params.base.toLowerCase();
+    const ksks = (await getDnssecKeys(base)).filter(key => key.role === "KSK");
+    if(ksks.length === 0) return res.status(404).send(errors.zoneNotSigned);
+    return res.status(200).send(ksks.map(key => makeDS(base, key)));
+});
+app.post("/dnssec/:base", requirePermission("records.write"), validateZoneBase, async (req, res) => {
+    const base = req.params.base.toLowerCase();
+    const keys = await enableDnssec(base);
+    await audit(req, "dnssec.enable", base, null, keys.map(keyInfo));
+    return res.status(200).send({
+        keys: keys.map(keyInfo),
+        ds: keys.filter(key => key.role === "KSK").map(key => makeDS(base, key))
+    });
+});
+app.post("/dnssec/:base/rollover", requirePermission("records.write"), validateZoneBase, async (req, res) => {
+    if(req.body?.role !== "KSK" && req.body?.role !== "ZSK")
+        return res.status(400).send(errors.invalidRole);
+    const base = req.params.base.toLowerCase();
+    if((await getDnssecKeys(base)).length === 0)
+        return res.status(404).send(errors.zoneNotSigned);
+    const key = await rolloverKey(base, req.body.role);
+    await audit(req, "dnssec.rollover", base, null, keyInfo(key));
+    return res.status(200).send({
+        key: keyInfo(key),
+        ds: key.role === "KSK" ? makeDS(base, key) : undefined
+    });
+});
+app.delete("/dnssec/:base", requirePermission("records.write"), validateZoneBase, async (req, res) => {
+    const keys = await disableDnssec(req.params.base);
+    if(keys.length > 0) await audit(req, "dnssec.disable", req.params.base, keys.map(keyInfo), null);
+    return res.status(200).send({ status: "OK" });
+});
+
+app.get("/tsig/:base", requirePermission("records.read"), validateZoneBase, async (req, res) => {
+    const keys = await getTsigKeys(req.params.base);
+    return res.status(200).send(keys.map(tsigInfo));
+});
+app.post("/tsig/:base", requirePermission("records.write"), validateZoneBase, validateTsigKey, async (req, res) => {
+    const base = req.params.base.toLowerCase();
+    const name = (req.body.name ?? `tsig-${randomBytes(4).toString("hex")}.${base}`).replace(/\.$/, "");
+    if(await getTsigKeyByName(name))
+        return res.status(409).send(errors.tsigKeyExists);
+    const key = await pushTsigKey(base, name, req.body.algorithm ?? "hmac-sha256");
+    await audit(req, "tsig.create", base, null, tsigInfo(key));
+    return res.status(201).send({ ...tsigInfo(key), secret: key.secret.toString("base64") });
+});
+app.delete("/tsig/:base/:id", requirePermission("records.write"), validateZoneBase, validateID, async (req, res) => {
+    const key = await deleteTsigKey(req.params.base, req.params.id);
+    if(!key) return res.status(404).send(errors.tsigKeyNotFound);
+    await audit(req, "tsig.delete", key.base, tsigInfo(key), null);
+    return res.status(200).send({ status: "OK" });
+});
+
+app.get("/policy/lists", requireAdmin, async (_req, res) => {
+    const lists = await getPolicyLists();
+    return res.status(200).send(lists.map(list => ({ ...list, hits: getPolicyHitCount(list.id) })));
+});
+app.post("/policy/lists", requireAdmin, express.text({ limit: MAX_POLICY_LIST_SIZE }), validatePolicyList, async (req, res) => {
+    const list = await pushPolicyList(req.list, req.parsed.entries);
+    await audit(req, "policy.create", list.id, null, list);
+    return res.status(200).send({ ...list, ignored: req.parsed.ignored });
+});
+app.put("/policy/lists/:id", requireAdmin, validateID, express.text({ limit: MAX_POLICY_LIST_SIZE }), validatePolicyList, async (req, res) => {
+    const old = await getPolicyListByID(req.params.id);
+    const list = await updatePolicyList(req.params.id, req.list, req.parsed.entries);
+    if(!list) return res.status(404).send(errors.policyListNotFound);
+    await audit(req, "policy.update", list.id, old, list);
+    return res.status(200).send({ ...list, ignored: req.parsed.ignored });
+});
+app.delete("/policy/lists/:id", requireAdmin, validateID, async (req, res) => {
+    const list = await deletePolicyList(req.params.id);
+    if(list) await audit(req, "policy.delete", list.id, list, null);
+    return res.status(200).send({ status: "OK" });
+});
+app.get("/policy/hits", requireAdmin, async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!Validator.check([
+        valid.str("list", { optional: true, regex: REGEX_UUID }),
+        valid.str("client", { optional: true, min: 1 }),
+        valid.strint("limit", { optional: true, min: 1, max: 1000 })
+    ])) return res.status(400).send(errors.badRequest);
+    return res.status(200).send(getPolicyHits({
+        list: req.query.list,
+        client: req.query.client,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    }));
+});
+
+app.get("/views", requireAdmin, async (_req, res) => {
+    const views = await getViews();
+    return res.status(200).send(views);
+});
+app.post("/views", requireAdmin, validateView, async (req, res) => {
+    if((await getViews()).some(view => view.name === req.body.name))
+        return res.status(409).send(errors.viewExists);
+    const view = await pushView(req.body.name, req.body.clients, req.body.priority ?? 0);
+    await audit(req, "view.create", view.id, null, view);
+    return res.status(201).send(view);
+});
+app.put("/views/:id", requireAdmin, validateID, validateView, async (req, res) => {
+    const old = await getViewByID(req.params.id);
+    if(!old) return res.status(404).send(errors.viewNotFound);
+    if((await getViews()).some(view => view.name === req.body.name && view.id !== old.id))
+        return res.status(409).send(errors.viewExists);
+    const view = await updateView(req.params.id, req.body.name, req.body.clients, req.body.priority ?? 0);
+    await audit(req, "view.update", view.id, old, view);
+    return res.status(200).send(view);
+});
+app.delete("/views/:id", requireAdmin, validateID, async (req, res) => {
+    const usage = await getViewUsage(req.params.id);
+    if(usage.records > 0 || usage.rules > 0)
+        return res.status(409).send({ ...errors.viewInUse, ...usage });
+    const view = await deleteView(req.params.id);
+    if(view) await audit(req, "view.delete", view.id, view, null);
+    return res.status(200).send({ status: "OK" });
+});
+
+app.get("/upstreams", requireAdmin, async (_req, res) => {
+    return res.status(200).send(getUpstreamHealth());
+});
+
+app.get("/ratelimit", requireAdmin, async (_req, res) => {
+    return res.status(200).send(getRateLimits());
+});
+app.put("/ratelimit", requireAdmin, validateRateLimits, async (req, res) => {
+    const old = getRateLimits();
+    const limits = await setRateLimits(req.limits);
+    await audit(req, "ratelimit.update", "ratelimit", old, limits);
+    return res.status(200).send(limits);
+});
+
+app.get("/metrics", requirePermission("metrics"), async (_req, res) => {
+    return res.status(200).type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+app.get("/cache", requireAdmin, async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!valid.str("name", { optional: true, min: 1 }))
+        return res.status(400).send(errors.badRequest);
+    const now = Date.now();
+    const entries = resolverCache.list().map(entry => {
+        const [server, name, type] = entry.key.split(" ");
+        return {
+            server, name, type,
+            ttl: Math.ceil((entry.expires - now) / 1000),
+            rcode: entry.value.rcode,
+            answers: entry.value.answers
+        };
+    }).filter(entry => !req.query.name || entry.name === req.query.name.toLowerCase());
+    return res.status(200).send({
+        size: resolverCache.entries.size,
+        maxSize: resolverCache.maxSize,
+        hits: resolverCache.hits,
+        misses: resolverCache.misses,
+        entries
+    });
+});
+app.delete("/cache", requireAdmin, async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!valid.str("name", { optional: true, min: 1 }))
+        return res.status(400).send(errors.badRequest);
+    const name = req.query.name?.toLowerCase?.();
+    const flushed = resolverCache.flush(key => !name || key.split(" ")[1] === name);
+    return res.status(200).send({ status: "OK", flushed });
+});
+
+app.get("/tokens", requireAdmin, async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!valid.str("owner", { optional: true, min: 1 }))
+        return res.status(400).send(errors.badRequest);
+    const tokens = await getTokens(req.query.owner);
+    return res.status(200).send(tokens);
+});
+app.post("/tokens", requireAdmin, validateToken, async (req, res) => {
+    const token = await pushToken(req.body.owner, [...new Set(req.body.permissions)], req.body.name);
+    const { token: _, ...info } = token;
+    await audit(req, "token.create", token.id, null, info);
+    return res.status(201).send(token);
+});
+app.delete("/tokens/:id", requireAdmin, validateID, async (req, res) => {
+    const token = await deleteToken(req.params.id);
+    if(!token) return res.status(404).send(errors.tokenNotFound);
+    await audit(req, "token.delete", token.id, token, null);
     return res.status(200).send({ status: "OK" });
 });
 
+app.get("/audit", requirePermission("records.read"), async (req, res) => {
+    const valid = new Validator(req.query);
+    if(!Validator.check([
+        valid.str("base", { optional: !!req.auth.admin, min: 1 }),
+        valid.str("actor", { optional: true, min: 1 }),
+        valid.strint("from", { optional: true }),
+        valid.strint("to", { optional: true }),
+        valid.strint("limit", { optional: true, min: 1, max: 1000 })
+    ])) return res.status(400).send(errors.badRequest);
+    if(req.query.base && !await owns(req.auth, req.query.base))
+        return res.status(403).send(errors.forbidden);
+    const entries = await filterOwned(req.auth, await getAudit({
+        base: req.query.base,
+        actor: req.query.actor,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    }), entry => entry.target);
+    return res.status(200).send(entries);
+});
+
+/**
+ * Renders the RDATA of a resource as text for the JSON flavor of DoH.
+ * @param {object} resource The resource
+ * @returns {string} The RDATA
+ */
+const resourceText = resource => {
+    switch(resource.type) {
+        case Packet.TYPE.CNAME:
+        case Packet.TYPE.PTR:
+            return resource.domain;
+        case Packet.TYPE.NS:
+            return resource.ns;
+        case Packet.TYPE.TXT:
+            return [resource.data].flat().map(str => JSON.stringify(String(str))).join(" ");
+        case Packet.TYPE.MX:
+            return `${resource.priority} ${resource.exchange}`;
+        case Packet.TYPE.SRV:
+            return `${resource.priority} ${resource.weight} ${resource.port} ${resource.target}`;
+        case Packet.TYPE.CAA:
+            return `${resource.flags} ${resource.tag} ${JSON.stringify(resource.value)}`;
+        case Packet.TYPE.SOA:
+            return `${resource.primary} ${resource.admin} ${resource.serial} ${resource.refresh} ${resource.retry} ${resource.expiration} ${resource.minimum}`;
+        default:
+            // Types dns2 doesn't know come as their raw RDATA, rendered the RFC 3597 way
+            if(Buffer.isBuffer(resource.data)) return `\\# ${resource.data.length} ${resource.data.toString("hex")}`;
+            return resource.address ?? "";
+    }
+};
+/**
+ * Calculates how long a DoH response may be cached (RFC 8484 section 5.1).
+ * @param {Packet} response The response
+ * @returns {number} The lowest TTL in the response (or 0 if there are no records)
+ */
+const responseMaxAge = response => {
+    const ttls = [...response.answers, ...response.authorities].map(resource => resource.ttl);
+    return ttls.length > 0 ? Math.min(...ttls) : 0;
+};
+/**
+ * Resolves a DoH query, like our other listeners do.
+ * @param {Packet} query The DNS query
+ * @param {{ address: string, port: number }} rinfo Who sent it
+ * @returns {Promise<Packet>} The response
+ */
+const resolveDoH = async (query, rinfo) => {
+    const rcode = checkQuery(query);
+    if(rcode !== null) return errorResponse(query, rcode);
+    try {
+        return await applyPolicy(query, rinfo) ?? await resolveQuery(query, rinfo);
+    } catch(e) {
+        console.error("Couldn't answer a query:", e.message);
+        return errorResponse(query, Packet.RCODE.SERVFAIL);
+    }
+};
+/**
+ * Resolves a DoH query and sends the response in wire format.
+ * @param {import("express").Request} req The HTTP request
+ * @param {import("express").Response} res The HTTP response
+ * @param {Buffer} message The DNS query
+ */
+const answerDoH = async (req, res, message) => {
+    let query;
+    try {
+        query = Packet.parse(message);
+    } catch(_) {
+        return res.status(400).send(errors.badRequest);
+    }
+    const started = performance.now();
+    const rinfo = { address: req.ip, port: req.socket.remotePort };
+    const response = await resolveDoH(query, rinfo);
+    observeQuery("doh", rinfo, query, response, started);
+    return res.status(200)
+        .set("Cache-Control", `max-age=${responseMaxAge(response)}`)
+        .type("application/dns-message")
+        .send(finishResponse(query, response, false).toBuffer());
+};
+
+// DoH clients are rate limited like the ones of our other listeners, and can't be spoofed, so they're told
+const limitDoH = (req, res, next) => {
+    if(!allowQuery({ address: req.ip, port: req.socket.remotePort }))
+        return res.status(429).set("Retry-After", "1").send(errors.tooManyQueries);
+    next();
+}
+// Shutting down waits for DoH queries too, the server keeps track of them through app.locals.track
+const trackDoH = (req, res, next) => {
+    req.app.locals.track?.(new Promise(resolve => res.on("close", resolve)));
+    next();
+}
+app.get("/dns-query", limitDoH, trackDoH, async (req, res) => {
+    if(typeof req.query.dns === "string") {
+        if(!req.query.dns.match(/^[A-Za-z0-9_-]+$/)) return res.status(400).send(errors.badRequest);
+        return await answerDoH(req, res, Buffer.from(req.query.dns, "base64url"));
+    }
+
+    const valid = new Validator(req.query);
+    if(!valid.str("name", { min: 1, max: 253 }) || !valid.str("type", { optional: true, min: 1 }))
+        return res.status(400).send(errors.badRequest);
+    // Any type can be asked for by number, dns2 not knowing it doesn't matter
+    const type = req.query.type?.match?.(/^\d{1,5}$/) ? parseInt(req.query.type) : typeNumber(req.query.type ?? "A");
+    if(!(type >= 1 && type <= 65535)) return res.status(400).send(errors.invalidType);
+
+    const query = new Packet();
+    query.header.opcode = 0;
+    query.header.rd = 1;
+    query.header.cd = req.query.cd === "1" || req.query.cd === "true" ? 1 : 0;
+    query.questions.push({ name: req.query.name.replace(/\.$/, ""), type, class: Packet.CLASS.IN });
+    const started = performance.now();
+    const rinfo = { address: req.ip, port: req.socket.remotePort };
+    const response = await resolveDoH(query, rinfo);
+    observeQuery("doh", rinfo, query, response, started);
+    const resourceJson = resource => ({ name: resource.name, type: resource.type, TTL: resource.ttl, data: resourceText(resource) });
+    return res.status(200)
+        .set("Cache-Control", `max-age=${responseMaxAge(response)}`)
+        .type("application/dns-json")
+        .send(JSON.stringify({
+            Status: response.header.rcode,
+            TC: !!response.header.tc,
+            RD: !!response.header.rd,
+            RA: !!response.header.ra,
+            AD: !!response.header.ad,
+            CD: !!response.header.cd,
+            Question: response.questions.map(question => ({ name: question.name, type: question.type })),
+            Answer: response.answers.map(resourceJson),
+            Authority: response.authorities.map(resourceJson)
+        }));
+});
+app.post("/dns-query", limitDoH, trackDoH, express.raw({ type: "application/dns-message", limit: 65535 }), async (req, res) => {
+    if(!Buffer.isBuffer(req.body)) return res.status(415).send(errors.badRequest);
+    return await answerDoH(req, res, req.body);
+});
+
 app.get("/", (_req, res) => {
     res.send("yourdns");
+});
+
+// The database rejects duplicate records and CNAMEs next to other records, wherever they come from
+app.use((err, _req, res, next) => {
+    if(err.code === "23505" && err.constraint?.startsWith("records_")) return res.status(409).send(errors.recordConflict);
+    next(err);
 });
\ No newline at end of file
@@ -0,0 +1,29 @@
+import { keyTag } from "./dnssec.js";
+
+/**
+ * Strips the private key from a cert/key pair so it can be shown and stored in the audit log.
+ * @param {import("./index.js").CertPair | undefined} pair The pair
+ * @returns {object | null} Public info about the pair
+ */
+export const certInfo = pair => pair ? {
+    id: pair.id, domain: pair.domain, cert: pair.cert, timestamp: pair.timestamp, until: pair.until,
+    names: pair.names, key_type: pair.key_type, serial: pair.serial, superseded: pair.superseded, cross_cert: pair.cross_cert,
+    acme_order: pair.acme_order
+} : null;
+/**
+ * Strips the private key from a DNSSEC key so it can be shown and stored in the audit log.
+ * @param {import("./index.js").DnssecKey} key The key
+ * @returns {object} Public info about the key
+ */
+export const keyInfo = key => ({
+    id: key.id,
+    base: key.base,
+    role: key.role,
+    algorithm: key.algorithm,
+    keyTag: keyTag(key),
+    public: key.public.toString("base64"),
+    timestamp: key.timestamp,
+    activate: key.activate,
+    retire: key.retire,
+    remove: key.remove
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { Collector } from "./metrics.js";
+
+/**
+ * @typedef {object} CachedResponse A cached upstream response
+ * @prop {object[]} answers Answer section
+ * @prop {object[]} authorities Authority section
+ * @prop {number} rcode Response code
+ * @prop {number} [subnetScope] Prefix length of the client subnet it's good for, if it was asked with one (RFC 7871)
+ */
+/**
+ * @typedef {object} CacheEntry A cache entry
+ * @prop {string} key Entry key
+ * @prop {CachedResponse} value Cached response
+ * @prop {number} stored When the entry was stored (ms)
+ * @prop {number} expires When the entry expires (ms)
+ */
+
+export default class Cache {
+    /**
+     * Constructs a new LRU cache.
+     *
+     * @param {number} maxSize Maximum amount of entries
+     */
+    constructor(maxSize) {
+        /** @type {Map<string, CacheEntry>} */
+        this.entries = new Map();
+        this.maxSize = maxSize;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Gets a live entry and marks it as recently used.
+     *
+     * @param {string} key Entry key
+     * @returns {CacheEntry | null} The entry (or null if it's missing or expired)
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if(!entry || entry.expires <= Date.now()) {
+            if(entry) this.entries.delete(key);
+            this.misses++;
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry;
+    }
+
+    /**
+     * Stores an entry, evicting the least recently used ones if the cache is full.
+     *
+     * @param {string} key Entry key
+     * @param {CachedResponse} value Cached response
+     * @param {number} ttl TTL in seconds
+     */
+    set(key, value, ttl) {
+        if(ttl <= 0 || this.maxSize <= 0) return;
+        this.entries.delete(key);
+        const now = Date.now();
+        this.entries.set(key, { key, value, stored: now, expires: now + ttl * 1000 });
+        while(this.entries.size > this.maxSize)
+            this.entries.delete(this.entries.keys().next().value);
+    }
+
+    /**
+     * Deletes all entries whose key matches a predicate.
+     *
+     * @param {(key: string) => boolean} [predicate] Which entries to delete (all by default)
+     * @returns {number} Amount of deleted entries
+     */
+    flush(predicate = () => true) {
+        let count = 0;
+        for(const key of [...this.entries.keys()])
+            if(predicate(key)) {
+                this.entries.delete(key);
+                count++;
+            }
+        return count;
+    }
+
+    /**
+     * Lists all live entries.
+     *
+     * @returns {CacheEntry[]} The entries, least recently used first
+     */
+    list() {
+        const now = Date.now();
+        return [...this.entries.values()].filter(entry => entry.expires > now);
+    }
+}
+
+/**
+ * Makes a resolver cache key.
+ * @param {string} server Upstream servers the response comes from
+ * @param {string} name Queried name
+ * @param {string} type Queried type name
+ * @returns {string} The key
+ */
+export const cacheKey = (server, name, type) => `${server} ${name.toLowerCase()} ${type}`;
+
+/**
+ * Calculates how long an upstream response may be cached: the lowest answer TTL,
+ * or the SOA minimum for negative responses (RFC 2308).
+ * @param {CachedResponse} response The response
+ * @returns {number} TTL in seconds (0 if it must not be cached)
+ */
+export const responseTTL = response => {
+    if(response.rcode !== Packet.RCODE.NOERROR && response.rcode !== Packet.RCODE.NXDOMAIN)
+        return 0;
+    if(response.rcode === Packet.RCODE.NOERROR && response.answers.length > 0)
+        return Math.min(...response.answers.map(answer => answer.ttl));
+    const soa = response.authorities.find(authority => authority.type === Packet.TYPE.SOA);
+    if(!soa) return 0;
+    return Math.min(soa.ttl, soa.minimum);
+};
+
+/**
+ * Returns a copy of a cached response with TTLs decreased by the time it spent in the cache.
+ * @param {CacheEntry} entry The entry
+ * @returns {CachedResponse} The response
+ */
+export const agedResponse = entry => {
+    const age = Math.floor((Date.now() - entry.stored) / 1000);
+    const aged = resource => ({ ...resource, ttl: Math.max(resource.ttl - age, 0) });
+    return {
+        answers: entry.value.answers.map(aged),
+        authorities: entry.value.authorities.map(aged),
+        rcode: entry.value.rcode,
+        subnetScope: entry.value.subnetScope
+    };
+};
+
+export const resolverCache = new Cache(parseInt(process.env.CACHE_SIZE ?? "10000"));
+new Collector("yourdns_cache_entries", "Entries in the resolver cache", "gauge", () => [[{}, resolverCache.entries.size]]);
+new Collector("yourdns_cache_hits_total", "Resolver cache lookups that found a live entry", "counter", () => [[{}, resolverCache.hits]]);
+new Collector("yourdns_cache_misses_total", "Resolver cache lookups that didn't", "counter", () => [[{}, resolverCache.misses]]);
\ No newline at end of file
@@ -0,0 +1,379 @@
+import { createHash, generateKeyPairSync, sign } from "crypto";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import {
+    deleteDnssecKeys, getDnssecKeys, getRecords, getZone, getZoneKeys, getZoneNames,
+    hasRecordsBelow, pushDnssecKey, retireDnssecKeys, transaction
+} from "./index.js";
+import { makeSOA } from "./zone.js";
+
+// ECDSA P-256 with SHA-256 (RFC 6605): small keys and signatures, fast to sign on the fly
+const ALGORITHM = 13;
+const DIGEST_SHA256 = 2;
+const PROTOCOL = 3;
+const FLAGS = { KSK: 257, ZSK: 256 };
+
+// dns2 doesn't know these types, so their RDATA is built here and sent as raw data
+const TYPE_RRSIG = 46;
+const TYPE_NSEC = 47;
+
+const DNSKEY_TTL = 3600;
+const SIGNATURE_VALIDITY = 7 * 24 * 3600;
+const INCEPTION_SKEW = 3600;
+// A new ZSK is published for a while before it signs so that resolvers have it cached by then
+const PUBLISH_MS = 2 * DNSKEY_TTL * 1000;
+const ROLLOVER_DELAY_MS = parseInt(process.env.DNSSEC_ROLLOVER_DELAY ?? "86400") * 1000;
+
+/**
+ * Encodes a domain name in canonical wire format (lowercase, uncompressed).
+ * @param {string} name The name
+ * @returns {Buffer} The encoded name
+ */
+const nameToWire = name => Packet.Name.encode(name.toLowerCase().replace(/\.$/, ""));
+
+/**
+ * Compares two names in canonical DNS order (RFC 4034 §6.1).
+ * @param {string} a A name
+ * @param {string} b Another name
+ * @returns {number} Negative if a sorts first, positive if b does, 0 if they're equal
+ */
+export const compareNames = (a, b) => {
+    const labelsA = a.toLowerCase().split(".").reverse();
+    const labelsB = b.toLowerCase().split(".").reverse();
+    for(let i = 0; i < Math.min(labelsA.length, labelsB.length); i++) {
+        const diff = Buffer.compare(Buffer.from(labelsA[i]), Buffer.from(labelsB[i]));
+        if(diff !== 0) return diff;
+    }
+    return labelsA.length - labelsB.length;
+};
+
+/**
+ * Builds the DNSKEY RDATA of a key.
+ * @param {import("./index.js").DnssecKey} key The key
+ * @returns {Buffer} The RDATA
+ */
+const dnskeyData = key => {
+    const head = Buffer.alloc(4);
+    head.writeUInt16BE(FLAGS[key.role]);
+    head[2] = PROTOCOL;
+    head[3] = key.algorithm;
+    return Buffer.concat([head, key.public]);
+};
+
+/**
+ * Calculates the key tag of a key (RFC 4034 Appendix B).
+ * @param {import("./index.js").DnssecKey} key The key
+ * @returns {number} The key tag
+ */
+export const keyTag = key => {
+    const data = dnskeyData(key);
+    let ac = 0;
+    for(let i = 0; i < data.length; i++)
+        ac += i & 1 ? data[i] : data[i] << 8;
+    ac += (ac >> 16) & 0xffff;
+    return ac & 0xffff;
+};
+
+/**
+ * Builds the DS record handed to the parent zone for a KSK.
+ * @param {string} base The base
+ * @param {import("./index.js").DnssecKey} key The KSK
+ * @returns {{ keyTag: number, algorithm: number, digestType: number, digest: string, record: string }} The DS
+ */
+export const makeDS = (base, key) => {
+    const digest = createHash("sha256")
+        .update(Buffer.concat([nameToWire(base), dnskeyData(key)]))
+        .digest("hex").toUpperCase();
+    const tag = keyTag(key);
+    return {
+        keyTag: tag,
+        algorithm: key.algorithm,
+        digestType: DIGEST_SHA256,
+        digest,
+        record: `${base}. IN DS ${tag} ${key.algorithm} ${DIGEST_SHA256} ${digest}`
+    };
+};
+
+/**
+ * Builds the DNSKEY resources of a base.
+ * @param {string} base The base
+ * @param {import("./index.js").DnssecKey[]} keys Published keys of the base
+ * @returns {object[]} The DNSKEY resources
+ */
+export const makeDNSKEYs = (base, keys) => keys.map(key => ({
+    name: base,
+    type: Packet.TYPE.DNSKEY,
+    class: Packet.CLASS.IN,
+    ttl: DNSKEY_TTL,
+    flags: FLAGS[key.role],
+    protocol: PROTOCOL,
+    algorithm: key.algorithm,
+    key: key.public.toString("base64")
+}));
+
+/**
+ * Checks whether a key signs right now.
+ * @param {import("./index.js").DnssecKey} key The key
+ * @param {number} now Current time (ms)
+ * @returns {boolean} Whether it's active
+ */
+const isActive = (key, now) => Number(key.activate) <= now && (key.retire === null || Number(key.retire) > now);
+
+/**
+ * Generates a new ECDSA P-256 key pair.
+ * @returns {{ key: Buffer, publicKey: Buffer }} Private key (PKCS#8 DER) and public key in DNSKEY format
+ */
+const generateKeyPair = () => {
+    const { privateKey, publicKey } = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+    const { x, y } = publicKey.export({ format: "jwk" });
+    return {
+        key: privateKey.export({ format: "der", type: "pkcs8" }),
+        publicKey: Buffer.concat([Buffer.from(x, "base64url"), Buffer.from(y, "base64url")])
+    };
+};
+
+/**
+ * Turns on signing for a base by creating its KSK and ZSK (unless it already has keys).
+ * @param {string} base The base
+ * @returns {import("./index.js").DnssecKey[]} Keys of the base
+ */
+export const enableDnssec = async base => await transaction(async db => {
+    const existing = await getDnssecKeys(base, db);
+    if(existing.length > 0) return existing;
+    const now = Date.now();
+    const keys = [];
+    for(const role of ["KSK", "ZSK"]) {
+        const { key, publicKey } = generateKeyPair();
+        keys.push(await pushDnssecKey(base, role, ALGORITHM, key, publicKey, now, db));
+    }
+    return keys;
+});
+
+/**
+ * Turns off signing for a base. The DS has to be removed from the parent first!
+ * @param {string} base The base
+ * @returns {import("./index.js").DnssecKey[]} The deleted keys
+ */
+export const disableDnssec = async base => await deleteDnssecKeys(base);
+
+/**
+ * Starts rolling over a key of a base without breaking validation.
+ * A new ZSK is pre-published and takes over once resolvers have seen it, the old one stays published
+ * until signatures made with it have expired from caches.
+ * A new KSK signs the DNSKEY set right away along with the old one, which keeps signing until the delay
+ * is over, so that the DS in the parent can be swapped in the meantime.
+ * @param {string} base The base
+ * @param {"KSK" | "ZSK"} role Which key to roll over
+ * @returns {import("./index.js").DnssecKey} The new key
+ */
+export const rolloverKey = async (base, role) => await transaction(async db => {
+    const now = Date.now();
+    const activate = role === "ZSK" ? now + PUBLISH_MS : now;
+    const retire = role === "ZSK" ? activate : now + ROLLOVER_DELAY_MS;
+    const remove = role === "ZSK" ? retire + ROLLOVER_DELAY_MS : retire;
+    await retireDnssecKeys(base, role, retire, remove, db);
+    const { key, publicKey } = generateKeyPair();
+    return await pushDnssecKey(base, role, ALGORITHM, key, publicKey, activate, db);
+});
+
+/**
+ * Lowercases the domain names inside the RDATA of a resource, as needed for its canonical form.
+ * @param {object} resource The resource
+ * @returns {object} A copy of the resource
+ */
+const canonicalFields = resource => {
+    const copy = { ...resource, name: resource.name.toLowerCase() };
+    for(const field of ["domain", "ns", "exchange", "target", "primary", "admin"])
+        if(typeof copy[field] === "string") copy[field] = copy[field].toLowerCase();
+    return copy;
+};
+
+/**
+ * Signs an RRset with a key (RFC 4034 §3.1.8.1).
+ * @param {object[]} rrset Resources with the same owner, class and type
+ * @param {import("./index.js").DnssecKey & { privateKey: import("crypto").KeyObject }} key The signing key
+ * @param {string} zone The base the RRset belongs to
+ * @returns {object} The RRSIG resource
+ */
+const signRRset = (rrset, key, zone) => {
+    const [ first ] = rrset;
+    const ttl = Math.min(...rrset.map(rr => rr.ttl));
+    for(const rr of rrset) rr.ttl = ttl;
+    const labels = first.name.replace(/\.$/, "").split(".").filter(label => label !== "");
+    const now = Math.floor(Date.now() / 1000);
+
+    const head = Buffer.alloc(18);
+    head.writeUInt16BE(first.type, 0);
+    head[2] = key.algorithm;
+    head[3] = labels[0] === "*" ? labels.length - 1 : labels.length;
+    head.writeUInt32BE(ttl, 4);
+    head.writeUInt32BE(now + SIGNATURE_VALIDITY, 8);
+    head.writeUInt32BE(now - INCEPTION_SKEW, 12);
+    head.writeUInt16BE(keyTag(key), 16);
+    const rdata = Buffer.concat([head, nameToWire(zone)]);
+
+    const owner = nameToWire(first.name).length;
+    const rrs = rrset
+        .map(rr => Packet.Resource.encode(canonicalFields({ ...rr, ttl }), new Packet.Writer()))
+        .sort((a, b) => Buffer.compare(a.subarray(owner + 10), b.subarray(owner + 10)))
+        .filter((rr, i, all) => i === 0 || !rr.equals(all[i - 1]));
+    const signature = sign("sha256", Buffer.concat([rdata, ...rrs]), {
+        key: key.privateKey,
+        dsaEncoding: "ieee-p1363"
+    });
+
+    return {
+        name: first.name,
+        type: TYPE_RRSIG,
+        class: Packet.CLASS.IN,
+        ttl,
+        data: Buffer.concat([rdata, signature])
+    };
+};
+
+/**
+ * Encodes the type bitmap of an NSEC record (RFC 4034 §4.1.2).
+ * @param {number[]} types Types present at the name
+ * @returns {Buffer} The bitmap
+ */
+const typeBitmap = types => {
+    const windows = new Map();
+    for(const type of types) {
+        const window = type >> 8;
+        if(!windows.has(window)) windows.set(window, Buffer.alloc(32));
+        windows.get(window)[(type & 0xff) >> 3] |= 0x80 >> (type & 7);
+    }
+    const parts = [];
+    for(const window of [...windows.keys()].sort((a, b) => a - b)) {
+        const bitmap = windows.get(window);
+        let length = 32;
+        while(length > 0 && bitmap[length - 1] === 0) length--;
+        parts.push(Buffer.from([window, length]), bitmap.subarray(0, length));
+    }
+    return Buffer.concat(parts);
+};
+
+/**
+ * Gets the types present at a name of a signed base, the DNSSEC ones included.
+ * @param {string} name The name
+ * @param {string} zone The base
+ * @param {import("crypto").UUID | null} [view] View of the client
+ * @returns {number[]} The types
+ */
+const typesAt = async (name, zone, view = null) => {
+    const records = await getRecords(name, view);
+    const types = new Set(records.map(record => Packet.TYPE[record.type]));
+    if(name === zone) {
+        types.add(Packet.TYPE.SOA);
+        types.add(Packet.TYPE.NS);
+        types.add(Packet.TYPE.DNSKEY);
+    }
+    types.add(TYPE_RRSIG);
+    types.add(TYPE_NSEC);
+    return [...types];
+};
+
+/**
+ * Gets the names of a signed base in NSEC chain order.
+ * @param {string} zone The base
+ * @returns {string[]} The names, the apex first
+ */
+const nsecChain = async zone => [...new Set([zone, ...await getZoneNames(zone)])].sort(compareNames);
+/**
+ * Builds the NSEC record of a name, pointing to the next name of the chain.
+ * @param {string} owner The name
+ * @param {string[]} chain The NSEC chain
+ * @param {string} zone The base
+ * @param {number} ttl TTL
+ * @param {import("crypto").UUID | null} [view] View of the client
+ * @returns {object} The NSEC resource
+ */
+const makeNSEC = async (owner, chain, zone, ttl, view = null) => ({
+    name: owner,
+    type: TYPE_NSEC,
+    class: Packet.CLASS.IN,
+    ttl,
+    data: Buffer.concat([nameToWire(chain[(chain.indexOf(owner) + 1) % chain.length]), typeBitmap(await typesAt(owner, zone, view))])
+});
+/**
+ * Builds the NSEC records of every name of a signed base (for zone transfers).
+ * @param {string} zone The base
+ * @returns {object[]} The NSEC resources
+ */
+export const makeNSECs = async zone => {
+    const chain = await nsecChain(zone);
+    const soa = await makeSOA(zone);
+    const nsecs = [];
+    for(const owner of chain)
+        nsecs.push(await makeNSEC(owner, chain, zone, Math.min(soa.ttl, soa.minimum)));
+    return nsecs;
+};
+
+/**
+ * Adds NSEC records proving that a name or type doesn't exist to the authority section (RFC 4035 §3.1.3).
+ * The chain is derived from the current records, so it's always in sync with them.
+ * @param {Packet} res The response
+ * @param {string} zone The base
+ * @param {string} name The name that was asked for
+ * @param {boolean} nxdomain Whether the name doesn't exist at all (otherwise just the type doesn't)
+ * @param {import("crypto").UUID | null} [view] View of the client
+ */
+export const addDenial = async (res, zone, name, nxdomain, view = null) => {
+    name = name.toLowerCase();
+    const chain = await nsecChain(zone);
+    const soa = await makeSOA(zone);
+    const ttl = Math.min(soa.ttl, soa.minimum);
+    const added = new Set();
+    const addNSEC = async owner => {
+        if(added.has(owner)) return;
+        added.add(owner);
+        res.authorities.push(await makeNSEC(owner, chain, zone, ttl, view));
+    };
+    // The NSEC whose owner sorts right before a name covers it
+    const cover = async target => await addNSEC(chain.findLast(owner => compareNames(owner, target) < 0) ?? zone);
+
+    if(!nxdomain) {
+        if(chain.includes(name)) await addNSEC(name);
+        else await cover(name);
+        return;
+    }
+    await cover(name);
+    // Also prove there's no wildcard at the closest encloser that could have matched
+    let encloser = name;
+    do encloser = encloser.slice(encloser.indexOf(".") + 1);
+    while(encloser !== zone && !chain.includes(encloser) && !(await hasRecordsBelow(encloser)));
+    await cover(`*.${encloser}`);
+};
+
+/**
+ * Signs every RRset of a response that belongs to a signed base.
+ * The DNSKEY set is signed by the active KSKs, everything else by the active ZSKs.
+ * @param {Packet} res The response
+ */
+export const signResponse = async res => {
+    const now = Date.now();
+    for(const section of ["answers", "authorities", "additionals"]) {
+        const rrsets = new Map();
+        for(const resource of res[section]) {
+            if(resource.type === Packet.TYPE.EDNS || resource.type === TYPE_RRSIG) continue;
+            const key = `${resource.name.toLowerCase()} ${resource.type}`;
+            if(!rrsets.has(key)) rrsets.set(key, []);
+            rrsets.get(key).push(resource);
+        }
+        for(const rrset of rrsets.values()) {
+            const zone = await getZone(rrset[0].name);
+            if(zone === null) continue;
+            const role = rrset[0].type === Packet.TYPE.DNSKEY ? "KSK" : "ZSK";
+            for(const key of await getZoneKeys(zone))
+                if(key.role === role && isActive(key, now))
+                    res[section].push(signRRset(rrset, key, zone));
+        }
+    }
+};
+
+/**
+ * Checks whether a base is signed.
+ * @param {string} base The base
+ * @returns {boolean} Whether it has any keys
+ */
+export const isSigned = async base => (await getZoneKeys(base)).length > 0;
\ No newline at end of file
@@ -0,0 +1,66 @@
+import tls from "tls";
+import { hostname } from "os";
+import { createPrivateKey, X509Certificate } from "crypto";
+import { changes, generateCert, getCert } from "./index.js";
+import { createStreamHandler } from "./stream.js";
+
+const DOT_HOSTNAME = process.env.DOT_HOSTNAME ?? hostname();
+const DOT_IDLE_TIMEOUT = parseInt(process.env.DOT_IDLE_TIMEOUT ?? "10000");
+const DOT_MAX_CONNECTIONS = parseInt(process.env.DOT_MAX_CONNECTIONS ?? "1000");
+const RENEW_BEFORE_MS = 7 * 24 * 3600 * 1000;
+const ROTATION_CHECK_MS = 3600 * 1000;
+
+/**
+ * Converts a hex DER certificate to PEM.
+ * @param {string} hex The certificate (hex)
+ * @returns {string} The certificate (PEM)
+ */
+const certToPem = hex => new X509Certificate(Buffer.from(hex, "hex")).toString();
+
+/**
+ * Gets the TLS credentials for our own hostname, issuing a cert from the yourdns CA if there's none yet
+ * or the current one is about to expire.
+ * @returns {{ key: string, cert: string }} Key and certificate chain (PEM)
+ */
+const getCredentials = async () => {
+    let pair = await getCert(DOT_HOSTNAME);
+    // Certs issued for a CSR have no key we could use
+    if(!pair || !pair.key || Number(pair.until) - Date.now() < RENEW_BEFORE_MS)
+        pair = await generateCert(DOT_HOSTNAME);
+    const ca = await getCert(".");
+    // After a CA rollover, the cross-signed cert lets clients that only trust the old CA verify us too
+    return {
+        key: createPrivateKey({ key: Buffer.from(pair.key, "hex"), format: "der", type: pair.key_type === "ec" ? "sec1" : "pkcs1" })
+            .export({ format: "pem", type: "pkcs8" }),
+        cert: certToPem(pair.cert) + certToPem(ca.cross_cert ?? ca.cert)
+    };
+};
+
+/**
+ * Creates a DNS-over-TLS (RFC 7858) server.
+ * TLS connections are framed exactly like DNS over TCP, so they're handled just like our TCP listener's.
+ * @param {(req: import("dns2").DnsRequest, send: (res: import("dns2").DnsResponse) => void, client: import("tls").TLSSocket) => void} handle Request handler
+ * @returns {tls.Server} The server (not listening yet)
+ */
+export const createDoTServer = async handle => {
+    const server = tls.createServer({ ...await getCredentials(), allowHalfOpen: true }, createStreamHandler(handle, DOT_IDLE_TIMEOUT));
+    server.maxConnections = DOT_MAX_CONNECTIONS;
+    server.on("tlsClientError", () => {});
+
+    // The cert may be regenerated through the API or by another instance
+    const rotate = async () => {
+        try {
+            server.setSecureContext(await getCredentials());
+        } catch(e) {
+            console.error("Couldn't rotate the DoT certificate:", e.message);
+        }
+    };
+    changes.on("certs", rotate);
+    const timer = setInterval(rotate, ROTATION_CHECK_MS).unref();
+    server.on("close", () => {
+        changes.off("certs", rotate);
+        clearInterval(timer);
+    });
+
+    return server;
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { isIPv4, isIPv6 } from "net";
+import dns2 from "dns2";
+const { Packet } = dns2;
+
+// What we advertise and send at most over UDP, small enough to avoid fragmentation (DNS Flag Day 2020)
+export const EDNS_UDP_SIZE = parseInt(process.env.EDNS_UDP_SIZE ?? "1232");
+// Clients without EDNS get at most this much over UDP (RFC 1035 §4.2.1)
+const MIN_UDP_SIZE = 512;
+const RCODE_BADVERS = 16;
+
+/**
+ * @typedef {object} ClientSubnet An EDNS Client Subnet option (RFC 7871), as dns2 decodes it
+ * @prop {number} ednsCode Option code (8)
+ * @prop {number} family Address family (1 for IPv4, 2 for IPv6)
+ * @prop {number} sourcePrefixLength How much of the address the client gave
+ * @prop {number} scopePrefixLength How much of it the answer depends on
+ * @prop {string} ip The address
+ */
+
+/**
+ * Gets the OPT record of a message.
+ * @param {Packet} message The message
+ * @returns {object | null} The OPT record (or null if the message doesn't use EDNS)
+ */
+export const getOpt = message => message.additionals.find(additional => additional.type === Packet.TYPE.EDNS) ?? null;
+
+/**
+ * Gets the client subnet a message carries.
+ * @param {Packet} message The message
+ * @returns {ClientSubnet | null} The client subnet (or null if there's none)
+ */
+export const getClientSubnet = message => getOpt(message)?.rdata?.find(option => option.ednsCode === Packet.EDNS_OPTION_CODE.ECS) ?? null;
+
+/**
+ * Builds an OPT record advertising our UDP payload size.
+ * @param {{ doFlag?: boolean, subnet?: ClientSubnet | null }} [opts] The DO bit and the client subnet to carry
+ * @returns {object} The OPT record
+ */
+export const makeOpt = ({ doFlag = false, subnet = null } = {}) =>
+    Packet.Resource.EDNS(subnet ? [subnet] : [], { udpPayloadSize: EDNS_UDP_SIZE, doFlag });
+
+/**
+ * Checks the EDNS part of a query (RFC 6891 §6.1.1, §6.1.3, RFC 7871 §7.1.1).
+ * @param {Packet} req The query
+ * @returns {number | null} The response code to refuse it with (or null if it's fine)
+ */
+export const checkEdns = req => {
+    const opts = req.additionals.filter(additional => additional.type === Packet.TYPE.EDNS);
+    if(opts.length > 1) return Packet.RCODE.FORMERR;
+    if(opts.length === 1 && opts[0].version > 0) return RCODE_BADVERS;
+    const subnet = getClientSubnet(req);
+    if(subnet && !(subnet.family === 1 && isIPv4(subnet.ip) && subnet.sourcePrefixLength <= 32
+        || subnet.family === 2 && isIPv6(subnet.ip) && subnet.sourcePrefixLength <= 128) || subnet?.scopePrefixLength > 0)
+        return Packet.RCODE.FORMERR;
+    return null;
+};
+
+/**
+ * Gets how large a UDP response to a query may be.
+ * @param {Packet} req The query
+ * @returns {number} The size in bytes
+ */
+const udpLimit = req => {
+    const opt = getOpt(req);
+    return opt ? Math.min(Math.max(opt.class, MIN_UDP_SIZE), EDNS_UDP_SIZE) : MIN_UDP_SIZE;
+};
+
+/**
+ * Finishes a response before it's sent: it gets our OPT record if the query had one (echoing the DO bit
+ * and the client subnet), and over UDP, it's truncated if it's too large so the client retries over TCP.
+ * @param {Packet} req The query
+ * @param {Packet & { subnetScope?: number }} res The response
+ * @param {boolean} udp Whether it goes out over UDP
+ * @returns {Packet} The response to send
+ */
+export const finishResponse = (req, res, udp) => {
+    res.additionals = res.additionals.filter(additional => additional.type !== Packet.TYPE.EDNS);
+    const opt = getOpt(req);
+    if(opt) {
+        const subnet = getClientSubnet(req);
+        res.additionals.push(makeOpt({
+            doFlag: opt.doFlag,
+            // Answers we don't get from upstreams don't depend on the client's subnet (RFC 7871 §7.2.1)
+            subnet: subnet && { ...subnet, scopePrefixLength: res.subnetScope ?? 0 }
+        }));
+    }
+    if(!udp || res.toBuffer().length <= udpLimit(req)) return res;
+
+    const truncated = Packet.createResponseFromRequest(req);
+    truncated.header = { ...res.header, tc: 1 };
+    truncated.additionals = res.additionals.filter(additional => additional.type === Packet.TYPE.EDNS);
+    return truncated;
+};
\ No newline at end of file
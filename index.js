@@ -1,11 +1,24 @@
-import { randomUUID } from "crypto";
+import { createHash, createPrivateKey, generateKeyPairSync, randomBytes, randomUUID, X509Certificate } from "crypto";
+import { EventEmitter } from "events";
 import { Pool } from "pg";
 import forge from "node-forge";
 const { pki, asn1 } = forge;
+import { certSerial, normalizeSerial, ocspExtension, revocationReasons, signCertificate } from "./pki.js";
+import { inAddressList, makeAddressList } from "./acl.js";
+import { CHANGES_CHANNEL, getSchemaVersion, latestVersion, migrate } from "./migrations.js";
 
 const VALID_MS = 365 * 24 * 3600 * 1000;
 const VALID_MS_CA = 25 * VALID_MS;
+const DAY_MS = 24 * 3600 * 1000;
 const CA_NAME = "yourdns";
+const LISTEN_RETRY_MS = 5000;
+// How long cached data is kept while we aren't listening for changes, and could thus miss some
+const UNLISTENED_CACHE_MS = 1000;
+const JOURNAL_MS = parseInt(process.env.IXFR_JOURNAL_DAYS ?? "7") * 24 * 3600 * 1000;
+const HISTORY_MS = parseInt(process.env.RECORD_HISTORY_DAYS ?? "30") * DAY_MS;
+// SOA serials are 32-bit and wrap around (RFC 1982)
+const SERIAL_MODULO = 2 ** 32;
+const POLICY_CHUNK_SIZE = 1000;
 
 export const pool = new Pool({
     host: process.env.POSTGRES_HOST,
@@ -21,193 +34,918 @@ export const pool = new Pool({
  * @prop {RecordType} type The record type
  * @prop {number} ttl TTL
  * @prop {stirng} value Record value
+ * @prop {number | null} priority Priority (MX, SRV)
+ * @prop {number | null} weight Weight (SRV)
+ * @prop {number | null} port Port (SRV)
+ * @prop {number | null} flags Flags (CAA)
+ * @prop {string | null} tag Property tag (CAA)
+ * @prop {import("crypto").UUID | null} view View the record is limited to (null for every client)
+ */
+/**
+ * @typedef {object} RecordFields Extra fields of multi-field records
+ * @prop {number} [priority] Priority (MX, SRV)
+ * @prop {number} [weight] Weight (SRV)
+ * @prop {number} [port] Port (SRV)
+ * @prop {number} [flags] Flags (CAA)
+ * @prop {string} [tag] Property tag (CAA)
+ * @prop {import("crypto").UUID | null} [view] View the record is limited to
  */
 /**
  * @typedef {object} ProxyRule A proxy rule
  * @prop {import("crypto").UUID} id Rule UUID
  * @prop {string} rule Rule as regex
- * @prop {string} addr Address of server to proxy the request to
+ * @prop {import("./upstream.js").Upstream[]} upstreams Servers to proxy the request to, in order
+ * @prop {number} priority Rules with lower priorities are checked first
+ * @prop {import("crypto").UUID | null} view View the rule is limited to (null for every client)
+ * @prop {string} timestamp Creation timestamp, rules with the same priority are checked oldest first (decimal string)
+ * @prop {string | null} owner Owner of the token the rule was made with, it then only applies to the owner's bases (null for the admin key)
+ * @prop {string | null} addr Address of the single server older rules proxied to (moved into upstreams)
+ */
+/**
+ * @typedef {object} View A set of clients that get their own records and proxy rules (split horizon)
+ * @prop {import("crypto").UUID} id View UUID
+ * @prop {string} name View name
+ * @prop {string[]} clients Addresses and subnets of the clients in the view
+ * @prop {number} priority Views with lower priorities are checked first when a client is in several
+ * @prop {string} timestamp Creation timestamp (decimal string)
  */
 /**
  * @typedef {object} CertPair A key and certificate pair
  * @prop {import("crypto").UUID} id Pair UUID
  * @prop {string} domain Pair domain
- * @prop {string} key Key (hex)
+ * @prop {string | null} key Key (hex, PKCS#1 for RSA and SEC1 for EC, null if issued for a CSR)
  * @prop {string} cert Cert (hex)
  * @prop {string} timestamp Creation timestamp (decimal string)
  * @prop {string} until Expiry timestamp (decimal string)
+ * @prop {string[] | null} names Names the cert is valid for
+ * @prop {"rsa" | "ec" | null} key_type Key algorithm (null means RSA)
+ * @prop {string | null} serial Serial number (hex)
+ * @prop {string | null} superseded When the pair was replaced by a renewal (decimal string), null for the current one
+ * @prop {string | null} cross_cert CA only: the cert cross-signed by the CA it replaced (hex)
+ * @prop {import("crypto").UUID | null} acme_order The ACME order the cert was issued for, null if issued through the API
+ */
+/**
+ * @typedef {object} CertOptions Options for issuing a cert
+ * @prop {string[]} [names] Names (wildcards included) to put in the SAN, the domain by default
+ * @prop {"rsa" | "ecdsa"} [keyType] Key algorithm, RSA 2048 by default
+ * @prop {number} [validityDays] Validity in days, a year by default
+ * @prop {{ publicKey: Buffer, keyType: "rsa" | "ec" }} [csr] Public key from a parsed CSR, in which case no key is generated
+ * @prop {boolean} [grace] Keep the replaced cert around (and unrevoked) instead of revoking it right away
+ * @prop {import("crypto").UUID} [order] ACME order the cert is issued for, such certs don't replace the domain's current one
+ */
+/**
+ * @typedef {object} ApiToken A scoped API token
+ * @prop {import("crypto").UUID} id Token UUID
+ * @prop {string} owner Owner the token is scoped to (as in owner records)
+ * @prop {TokenPermission[]} permissions Granted permissions
+ * @prop {string | null} name Human-readable label
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ */
+/**
+ * @typedef {object} AuditEntry An audit log entry
+ * @prop {import("crypto").UUID} id Entry UUID
+ * @prop {string} actor Who made the change ("admin", a token ID, "scheduler", "acme[:<ACME account ID>]" or "tsig:<TSIG key ID>")
+ * @prop {string} action What was done (e.g. "record.update")
+ * @prop {string} target What was changed (domain name, rule ID...)
+ * @prop {object | null} before State before the change
+ * @prop {object | null} after State after the change
+ * @prop {string} timestamp When the change was made (decimal string)
+ */
+/**
+ * @typedef {object} DnssecKey A DNSSEC signing key of a base
+ * @prop {import("crypto").UUID} id Key UUID
+ * @prop {string} base The base the key signs
+ * @prop {"KSK" | "ZSK"} role Key signing key or zone signing key
+ * @prop {number} algorithm DNSSEC algorithm number
+ * @prop {Buffer} key Private key (PKCS#8 DER)
+ * @prop {Buffer} public Public key as it appears in the DNSKEY record
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ * @prop {string} activate When the key starts signing (decimal string)
+ * @prop {string | null} retire When the key stops signing (decimal string)
+ * @prop {string | null} remove When the key stops being published (decimal string)
+ */
+/**
+ * @typedef {object} JournalEntry A change to a base, kept around for incremental zone transfers
+ * @prop {string} base The base
+ * @prop {string} serial The serial the change brought the base to (decimal string)
+ * @prop {Record[]} removed Records removed by the change
+ * @prop {Record[]} added Records added by the change
+ * @prop {string} timestamp Change timestamp (decimal string)
+ */
+/**
+ * @typedef {object} RecordHistoryEntry A change to a record, kept for RECORD_HISTORY_DAYS so that it can be undone
+ * @prop {import("crypto").UUID} id Entry UUID
+ * @prop {string} seq Orders changes made within the same millisecond (decimal string)
+ * @prop {import("crypto").UUID} record The record's UUID
+ * @prop {"create" | "update" | "delete"} action What happened to the record
+ * @prop {string} name The record's name (before the change if it was deleted)
+ * @prop {string | null} old_name The record's name before the change, if it was renamed
+ * @prop {Record | null} before The record before the change
+ * @prop {Record | null} after The record after the change
+ * @prop {string} timestamp Change timestamp (decimal string)
+ */
+/**
+ * @typedef {object} TsigKey A TSIG key allowed to send dynamic updates for a base
+ * @prop {import("crypto").UUID} id Key UUID
+ * @prop {string} base The base the key may update
+ * @prop {string} name Key name, as sent in the TSIG record
+ * @prop {string} algorithm HMAC algorithm name (e.g. "hmac-sha256")
+ * @prop {Buffer} secret The shared secret
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ */
+/**
+ * @typedef {object} PolicyList A blocklist or allowlist
+ * @prop {import("crypto").UUID} id List UUID
+ * @prop {string} name List name
+ * @prop {"hosts" | "rpz"} format Format the list was imported from
+ * @prop {"block" | "allow"} kind Whether matching names are blocked or let through
+ * @prop {"nxdomain" | "nodata" | "null" | "redirect"} action What blocked names get, unless their entry says otherwise
+ * @prop {string | null} redirect Address or name blocked names are redirected to
+ * @prop {string[]} clients Addresses and subnets the list applies to (everyone if empty)
+ * @prop {number} priority Lists with lower priorities are checked first
+ * @prop {number} entries Number of entries
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ */
+/**
+ * @typedef {object} PolicyEntry A name on a policy list
+ * @prop {string} name The name (the parent of the matched names if it's a wildcard)
+ * @prop {boolean} wildcard Whether it matches the names below instead
+ * @prop {"nxdomain" | "nodata" | "null" | "redirect" | "passthru" | null} action What the name gets (the list's action if null)
+ * @prop {{ type: string, value: string, ttl: number }[] | null} data Records to redirect to
+ */
+/**
+ * @typedef {object} AcmeAccount An ACME account
+ * @prop {import("crypto").UUID} id Account UUID
+ * @prop {string} thumbprint JWK thumbprint of the account key (RFC 7638)
+ * @prop {JsonWebKey} jwk The account key
+ * @prop {string[]} contact Contact URLs
+ * @prop {"valid" | "deactivated"} status Account status
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ */
+/**
+ * @typedef {object} AcmeOrder An ACME order
+ * @prop {import("crypto").UUID} id Order UUID
+ * @prop {import("crypto").UUID} account The account that placed the order
+ * @prop {"pending" | "ready" | "processing" | "valid" | "invalid"} status Order status
+ * @prop {{ type: "dns", value: string }[]} identifiers Requested names
+ * @prop {import("crypto").UUID[]} authzs Authorizations needed for the names
+ * @prop {string} expires Expiry timestamp (decimal string)
+ * @prop {object | null} error Problem document explaining why the order is invalid
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ */
+/**
+ * @typedef {object} AcmeAuthz An ACME authorization, along with its only (dns-01) challenge
+ * @prop {import("crypto").UUID} id Authorization UUID
+ * @prop {import("crypto").UUID} account The account the authorization belongs to
+ * @prop {string} identifier The name (without the wildcard label)
+ * @prop {boolean} wildcard Whether the authorization is for the wildcard under the name
+ * @prop {"pending" | "valid" | "invalid" | "deactivated"} status Authorization status
+ * @prop {string} token Challenge token
+ * @prop {string} expires Expiry timestamp (decimal string)
+ * @prop {string | null} validated When the challenge was validated (decimal string)
+ * @prop {object | null} error Problem document explaining why the challenge failed
+ * @prop {string} timestamp Creation timestamp (decimal string)
+ */
+/**
+ * Brings the database schema up to date (unless AUTO_MIGRATE is false, then it only has to be)
+ * and starts listening for changes.
  */
 export const init = async () => {
-    await pool.query(`CREATE TABLE IF NOT EXISTS proxy_rules (
-        id uuid UNIQUE NOT NULL,
-        rule TEXT NOT NULL,
-        addr TEXT NOT NULL,
-        
-        PRIMARY KEY (id)
-    )`);
-    await pool.query(`CREATE TABLE IF NOT EXISTS records (
-        id uuid UNIQUE NOT NULL,
-        name TEXT NOT NULL,
-        type varchar(20) NOT NULL,
-        ttl INTEGER NOT NULL,
-        value TEXT,
-        timestamp NUMERIC NOT NULL,
-        
-        PRIMARY KEY (id)
-    )`);
-    await pool.query(`CREATE TABLE IF NOT EXISTS certs (
-        id uuid UNIQUE NOT NULL,
-        domain TEXT NOT NULL,
-
-        key bytea NOT NULL,
-        cert bytea NOT NULL,
-
-        timestamp NUMERIC NOT NULL,
-        until NUMERIC NOT NULL,
-
-        PRIMARY KEY (id)
-    )`);
+    if(process.env.AUTO_MIGRATE === "false") {
+        const version = await getSchemaVersion(pool);
+        if(version !== latestVersion)
+            throw new Error(`The database schema is at version ${version} instead of ${latestVersion}, run npm run migrate`);
+    } else await migrate(pool);
+    await listenForChanges();
 
     if(!(await getCert(".")))
         await generateCert(".", true);
 };
 
-export const deinit = async () => await pool.end();
+/** @typedef {Pool | import("pg").PoolClient} Queryable Something to run queries on */
+/**
+ * Runs queries in a single transaction, rolling everything back if any of them fails.
+ * @template T
+ * @param {(db: import("pg").PoolClient) => Promise<T>} fn Function running the queries on the given client
+ * @returns {T} What the function returned
+ */
+export const transaction = async fn => {
+    const client = await pool.connect();
+    client.changedSnapshot = false;
+    try {
+        await client.query("BEGIN");
+        const result = await fn(client);
+        await client.query("COMMIT");
+        // Snapshots loaded while the transaction was running may have missed its changes
+        if(client.changedSnapshot) invalidateSnapshot();
+        return result;
+    } catch(e) {
+        await client.query("ROLLBACK");
+        throw e;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Runs queries in a transaction, or in the one already running if given its client.
+ * @template T
+ * @param {Queryable} db Pool or transaction client
+ * @param {(db: import("pg").PoolClient) => Promise<T>} fn Function running the queries on the given client
+ * @returns {T} What the function returned
+ */
+const inTransaction = async (db, fn) => db === pool ? await transaction(fn) : await fn(db);
+
+export const deinit = async () => {
+    stopped = true;
+    listener?.release();
+    await pool.end();
+};
+
+/**
+ * @typedef {object} Snapshot In-memory copy of the data the DNS handler needs
+ * @prop {Map<string, Record[]>} exact Records without wildcards by name
+ * @prop {{ record: Record, regex: RegExp, labels: number }[]} wildcards Records with wildcards
+ * @prop {Set<string>} bases Bases with an owner record
+ * @prop {Map<string, Set<string>>} owners Owners of each base
+ * @prop {Set<string>} parents Every proper suffix of every record name
+ * @prop {Map<string, number>} serials Zone serials (stored or memoized)
+ * @prop {(ProxyRule & { regex: RegExp })[]} rules Proxy rules with compiled regexes
+ * @prop {Map<string, (DnssecKey & { privateKey: import("crypto").KeyObject })[]>} keys Published DNSSEC keys by base
+ * @prop {(View & { list: import("net").BlockList })[]} views Views with their clients, in the order they're checked in
+ */
+/**
+ * Emits the name of a table whenever its data changes on any instance.
+ * @type {EventEmitter}
+ */
+export const changes = new EventEmitter();
+
+/** @type {Promise<Snapshot> | null} */
+let snapshot = null;
+let generation = 0;
+/** @type {Promise<{ lists: PolicyList[], entries: (PolicyEntry & { list: import("crypto").UUID })[] }> | null} */
+let policies = null;
+let policyGeneration = 0;
+/** @type {import("pg").PoolClient | null} */
+let listener = null;
+let stopped = false;
+
+/**
+ * Drops the in-memory snapshot so that the next query reloads it.
+ */
+export const invalidateSnapshot = () => {
+    generation++;
+    snapshot = null;
+};
+
+/**
+ * Drops the snapshot once a change is visible to other connections:
+ * right away when it was made through the pool, and once it's committed when it was made in a transaction.
+ * @param {Queryable} db Pool or transaction client the change was made through
+ */
+const snapshotChanged = db => {
+    if(db === pool) invalidateSnapshot();
+    else db.changedSnapshot = true;
+};
+
+/**
+ * Drops the in-memory copy of the policy lists so that the next query reloads it.
+ * They're kept apart from the snapshot, since they can be huge and change much less often.
+ */
+const invalidatePolicies = () => {
+    policyGeneration++;
+    policies = null;
+};
+
+/**
+ * Keeps a connection listening for change notifications from the triggers.
+ * The snapshot is only kept for long while we're listening, since otherwise we'd miss changes.
+ */
+const listenForChanges = async () => {
+    try {
+        listener = await pool.connect();
+    } catch(e) {
+        console.error("Couldn't listen for changes:", e.message);
+        setTimeout(listenForChanges, LISTEN_RETRY_MS).unref();
+        return;
+    }
+    listener.on("notification", ({ payload }) => {
+        if(payload === "policy_lists") invalidatePolicies();
+        else if(payload !== "certs" && payload !== "settings") invalidateSnapshot();
+        changes.emit(payload);
+    });
+    listener.on("error", e => {
+        console.error("Change listener failed:", e.message);
+        listener.release(e);
+        listener = null;
+        invalidateSnapshot();
+        invalidatePolicies();
+        if(!stopped) setTimeout(listenForChanges, LISTEN_RETRY_MS).unref();
+    });
+    await listener.query(`LISTEN ${CHANGES_CHANNEL}`);
+    invalidateSnapshot();
+    invalidatePolicies();
+};
+
+/**
+ * Drops cached data after UNLISTENED_CACHE_MS, unless it was replaced in the meantime.
+ * @param {() => boolean} current Checks whether the data is still the cached one
+ * @param {() => void} drop Drops it
+ */
+const expire = (current, drop) => {
+    setTimeout(() => {
+        if(current()) drop();
+    }, UNLISTENED_CACHE_MS).unref();
+};
+
+/**
+ * Loads the snapshot from the database.
+ * @returns {Snapshot} The snapshot
+ */
+const loadSnapshot = async () => {
+    const records = (await pool.query(`SELECT * FROM records ORDER BY timestamp ASC`)).rows;
+    const rules = await getAllProxyRules();
+    const keys = (await pool.query(`SELECT * FROM dnssec_keys
+        WHERE remove IS NULL OR remove > $1
+        ORDER BY timestamp ASC`, [Date.now()])).rows;
+    const serials = (await pool.query(`SELECT * FROM zone_serials`)).rows;
+    const views = await getViews();
+
+    /** @type {Snapshot} */
+    const data = {
+        exact: new Map(),
+        wildcards: [],
+        bases: new Set(),
+        owners: new Map(),
+        parents: new Set(),
+        serials: new Map(serials.map(row => [row.base, Number(row.serial)])),
+        rules: rules.map(rule => ({ ...rule, regex: new RegExp(rule.rule, "i") })),
+        keys: new Map(),
+        views: views.map(view => ({ ...view, list: makeAddressList(view.clients) }))
+    };
+    for(const key of keys) {
+        if(!data.keys.has(key.base)) data.keys.set(key.base, []);
+        data.keys.get(key.base).push({
+            ...key,
+            privateKey: createPrivateKey({ key: key.key, format: "der", type: "pkcs8" })
+        });
+    }
+    for(const record of records) {
+        const labels = record.name.split(".");
+        if(record.name.includes("*"))
+            data.wildcards.push({
+                record,
+                regex: new RegExp("^" + record.name.split("*")
+                    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$"),
+                labels: labels.length
+            });
+        else {
+            if(!data.exact.has(record.name)) data.exact.set(record.name, []);
+            data.exact.get(record.name).push(record);
+        }
+        if(record.type === "TXT" && record.name.startsWith("-.")) {
+            const base = record.name.slice(2);
+            data.bases.add(base);
+            if(!data.owners.has(base)) data.owners.set(base, new Set());
+            data.owners.get(base).add(record.value);
+        }
+        for(let i = 1; i < labels.length; i++)
+            data.parents.add(labels.slice(i).join("."));
+    }
+    return data;
+};
+
+/**
+ * Gets the current snapshot, loading it if needed.
+ * @returns {Snapshot} The snapshot
+ */
+const getSnapshot = async () => {
+    if(snapshot) return await snapshot;
+    const loading = loadSnapshot();
+    const loadingGeneration = generation;
+    snapshot = loading;
+    // Don't keep a failed load or one that raced with a change
+    loading.then(() => {
+        if(generation !== loadingGeneration && snapshot === loading) snapshot = null;
+        else if(!listener) expire(() => snapshot === loading, () => snapshot = null);
+    }, () => {
+        if(snapshot === loading) snapshot = null;
+    });
+    return await loading;
+};
+
+export const recordTypes = ["A", "AAAA", "CNAME", "TXT", "MX", "NS", "SRV", "CAA", "PTR"];
+/** @typedef {"A" | "AAAA" | "CNAME" | "TXT" | "MX" | "NS" | "SRV" | "CAA" | "PTR"} RecordType */
+
+/**
+ * Bumps the serial of a base.
+ * @param {string} base The base
+ * @param {Queryable} db Pool or transaction client to use
+ * @returns {number} The new serial
+ */
+const bumpSerial = async (base, db) => {
+    // Starting from the current time keeps the serial above the timestamp-based one used so far
+    const row = (await db.query(`INSERT INTO zone_serials (base, serial) VALUES (LOWER($1), $2)
+        ON CONFLICT (base) DO UPDATE SET serial = (zone_serials.serial + 1) % ${SERIAL_MODULO}
+        RETURNING serial`, [base, Math.floor(Date.now() / 1000)])).rows[0];
+    return Number(row.serial);
+};
+/**
+ * Keeps a record change in the record history, and forgets changes older than RECORD_HISTORY_DAYS.
+ * @param {Record[]} removed Records removed by the change
+ * @param {Record[]} added Records added by the change
+ * @param {Queryable} db Pool or transaction client to use
+ */
+const recordHistory = async (removed, added, db) => {
+    const now = Date.now();
+    const before = new Map(removed.map(record => [record.id, record]));
+    const after = new Map(added.map(record => [record.id, record]));
+    for(const id of new Set([...before.keys(), ...after.keys()])) {
+        const old = before.get(id) ?? null, current = after.get(id) ?? null;
+        const name = (current ?? old).name;
+        await db.query(`INSERT INTO record_history (id, record, action, name, old_name, before, after, timestamp)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [randomUUID(), id, !old ? "create" : !current ? "delete" : "update", name,
+                old && old.name !== name ? old.name : null,
+                old && JSON.stringify(old), current && JSON.stringify(current), now]);
+    }
+    await db.query(`DELETE FROM record_history WHERE timestamp < $1`, [now - HISTORY_MS]);
+};
+/**
+ * Bumps the serials of the bases touched by a record change, journals the change for IXFR
+ * and keeps it in the record history.
+ * @param {Record[]} removed Records removed by the change
+ * @param {Record[]} added Records added by the change
+ * @param {Queryable} db Pool or transaction client to use
+ */
+const journalChange = async (removed, added, db) => {
+    await recordHistory(removed, added, db);
+    /** @type {Map<string, { removed: Record[], added: Record[] }>} */
+    const changes = new Map();
+    const resets = new Set();
+    for(const [list, records] of [["removed", removed], ["added", added]])
+        for(const record of records) {
+            const base = await getZone(record.name);
+            // Secondaries only get what clients outside of every view get
+            if(base === null || record.view) continue;
+            if(!changes.has(base)) changes.set(base, { removed: [], added: [] });
+            changes.get(base)[list].push(record);
+            // Owner records move the boundaries between bases, which a diff can't express
+            if(record.name.startsWith("-.")) {
+                const owned = record.name.slice(2);
+                resets.add(owned);
+                const parent = owned.includes(".") ? await getZone(owned.slice(owned.indexOf(".") + 1)) : null;
+                if(parent !== null) resets.add(parent);
+            }
+        }
+    const now = Date.now();
+    for(const base of resets) {
+        await bumpSerial(base, db);
+        await db.query(`DELETE FROM zone_journal WHERE base = LOWER($1)`, [base]);
+        changes.delete(base);
+    }
+    for(const [base, change] of changes) {
+        const serial = await bumpSerial(base, db);
+        await db.query(`DELETE FROM zone_journal WHERE base = $1 AND (serial = $2 OR timestamp < $3)`,
+            [base, serial, now - JOURNAL_MS]);
+        await db.query(`INSERT INTO zone_journal (base, serial, removed, added, timestamp)
+            VALUES ($1, $2, $3, $4, $5)`,
+            [base, serial, JSON.stringify(change.removed), JSON.stringify(change.added), now]);
+    }
+};
+/**
+ * Gets the serials of all bases that changed since serials were introduced.
+ * @returns {{ base: string, serial: string }[]} The serials (decimal strings)
+ */
+export const getZoneSerials = async () => {
+    return (await pool.query(`SELECT * FROM zone_serials`)).rows;
+};
+/**
+ * Gets the journaled changes of a base, oldest first.
+ * @param {string} base The base
+ * @returns {JournalEntry[]} The changes
+ */
+export const getJournal = async base => {
+    return (await pool.query(`SELECT * FROM zone_journal
+        WHERE base = LOWER($1)
+        ORDER BY timestamp ASC, serial ASC`, [base])).rows;
+};
 
-export const recordTypes = ["A", "AAAA", "CNAME", "TXT"];
-/** @typedef {"A" | "AAAA" | "CNAME" | "TXT"} RecordType */
+/**
+ * Gets the history of records, newest first.
+ * @param {object} filter Filter
+ * @param {string} [filter.name] Only changes to records with this name (before or after the change)
+ * @param {string} [filter.base] Only changes to records under this base
+ * @param {import("crypto").UUID} [filter.record] Only changes to this record
+ * @param {number} [filter.limit] Maximum amount of entries
+ * @returns {RecordHistoryEntry[]} The entries
+ */
+export const getRecordHistory = async ({ name = null, base = null, record = null, limit = 100 } = {}) => {
+    return (await pool.query(`SELECT * FROM record_history
+        WHERE ($1::TEXT IS NULL OR name = LOWER($1) OR old_name = LOWER($1))
+        AND ($2::TEXT IS NULL OR name = LOWER($2) OR reverse(name) LIKE reverse('.' || LOWER($2)) || '%'
+            OR old_name = LOWER($2) OR reverse(old_name) LIKE reverse('.' || LOWER($2)) || '%')
+        AND ($3::uuid IS NULL OR record = $3)
+        ORDER BY timestamp DESC, seq DESC
+        LIMIT $4`, [name, base, record, limit])).rows;
+};
+/**
+ * Gets the records a base had at a point in time, by undoing the changes made to them since.
+ * Only goes back RECORD_HISTORY_DAYS.
+ * @param {string} base The base
+ * @param {number} timestamp The point in time (ms)
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {Record[]} The records, oldest first
+ */
+export const getRecordsByBaseAt = async (base, timestamp, db = pool) => {
+    base = base.toLowerCase();
+    /** @type {Map<import("crypto").UUID, Record | null>} */
+    const states = new Map((await getRecordsByBase(base, db)).map(record => [record.id, record]));
+    const changes = (await db.query(`SELECT * FROM record_history
+        WHERE timestamp > $2 AND (name = $1 OR reverse(name) LIKE reverse('.' || $1) || '%'
+            OR old_name = $1 OR reverse(old_name) LIKE reverse('.' || $1) || '%')
+        ORDER BY timestamp DESC, seq DESC`, [base, timestamp])).rows;
+    // Going back in time, each record ends up as it was before the first change made to it since
+    for(const change of changes) states.set(change.record, change.before);
+    return [...states.values()]
+        .filter(record => record && (record.name === base || record.name.endsWith("." + base)))
+        .sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+};
+/**
+ * Gets how far back the record history goes.
+ * @returns {number} The oldest point in time records can be restored to (ms)
+ */
+export const getHistoryStart = () => Date.now() - HISTORY_MS;
 
 /**
  * Pushes a new record to the database.
  * @param {RecordType} type The record's type
  * @param {number} ttl TTL
  * @param {string} value Record value
+ * @param {RecordFields} [fields] Extra fields for multi-field records
+ * @param {Queryable} [db] Pool or transaction client to use
  * @returns {Record} The new record
  */
-export const pushRecord = async (name, type, ttl, value) => {
-    return (await pool.query(`INSERT INTO records (id, name, type, ttl, value, timestamp)
-        VALUES ($1, LOWER($2), $3, $4, $5, $6) RETURNING *`,
-        [randomUUID(), name, type, ttl, value, Date.now()])).rows?.[0];
-};
+export const pushRecord = async (name, type, ttl, value, fields = {}, db = pool) => await inTransaction(db, async db => {
+    const row = (await db.query(`INSERT INTO records (id, name, type, ttl, value, timestamp, priority, weight, port, flags, tag, view)
+        VALUES ($1, LOWER($2), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+        [randomUUID(), name, type, ttl, value, Date.now(),
+            fields.priority ?? null, fields.weight ?? null, fields.port ?? null,
+            fields.flags ?? null, fields.tag ?? null, fields.view ?? null])).rows?.[0];
+    await journalChange([], [row], db);
+    snapshotChanged(db);
+    return row;
+});
 /**
  * Gets a record by ID.
  * @param {import("crypto").UUID} id The record's UUID
+ * @param {Queryable} [db] Pool or transaction client to use
  * @returns {Record} The new record
  */
-export const getRecordByID = async id => {
-    return (await pool.query(`SELECT * FROM records WHERE id = $1`,
+export const getRecordByID = async (id, db = pool) => {
+    return (await db.query(`SELECT * FROM records WHERE id = $1`,
         [id])).rows?.[0];
 };
 /**
  * Deleted a record by ID.
  * @param {import("crypto").UUID} id The record's UUID
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {Record | undefined} The deleted record
  */
-export const deleteRecordByID = async id => {
-    await pool.query(`DELETE FROM records WHERE id = $1`,
-        [id]);
-};
+export const deleteRecordByID = async (id, db = pool) => await inTransaction(db, async db => {
+    const row = (await db.query(`DELETE FROM records WHERE id = $1 RETURNING *`,
+        [id])).rows?.[0];
+    if(row) await journalChange([row], [], db);
+    snapshotChanged(db);
+    return row;
+});
 /**
  * Deleted a record by its name.
  * @param {string} name The record's name
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {Record[]} The deleted records
  */
-export const deleteRecordByName = async name => {
-    await pool.query(`DELETE FROM records WHERE name = $1`,
-        [name]);
-};
+export const deleteRecordByName = async (name, db = pool) => await inTransaction(db, async db => {
+    const rows = (await db.query(`DELETE FROM records WHERE name = $1 RETURNING *`,
+        [name])).rows;
+    await journalChange(rows, [], db);
+    snapshotChanged(db);
+    return rows;
+});
 /**
  * Updates a record in the database.
  * @param {import("crypto").UUID} id The record's UUID
  * @param {RecordType} type The record's type
  * @param {number} ttl TTL
  * @param {string} value Record value
+ * @param {RecordFields} [fields] Extra fields for multi-field records
+ * @param {Queryable} [db] Pool or transaction client to use
  * @returns {Record} The updated record
  */
-export const updateRecord = async (id, name, type, ttl, value) => {
-    return (await pool.query(`UPDATE records
-        SET name = LOWER($2), type = $3, ttl = $4, value = $5
+export const updateRecord = async (id, name, type, ttl, value, fields = {}, db = pool) => await inTransaction(db, async db => {
+    const old = (await db.query(`SELECT * FROM records WHERE id = $1 FOR UPDATE`, [id])).rows?.[0];
+    const row = (await db.query(`UPDATE records
+        SET name = LOWER($2), type = $3, ttl = $4, value = $5,
+            priority = $6, weight = $7, port = $8, flags = $9, tag = $10, view = $11
         WHERE id = $1
         RETURNING *`,
-        [id, name, type, ttl, value])).rows?.[0];
-};
+        [id, name, type, ttl, value,
+            fields.priority ?? null, fields.weight ?? null, fields.port ?? null,
+            fields.flags ?? null, fields.tag ?? null, fields.view ?? null])).rows?.[0];
+    if(row) await journalChange([old], [row], db);
+    snapshotChanged(db);
+    return row;
+});
+/**
+ * Puts a record back as it was, under its old ID unless another record has taken it since.
+ * @param {Record} record The record
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {Record} The restored record
+ */
+export const restoreRecord = async (record, db = pool) => await inTransaction(db, async db => {
+    const taken = !!(await getRecordByID(record.id, db));
+    const row = (await db.query(`INSERT INTO records (id, name, type, ttl, value, timestamp, priority, weight, port, flags, tag, view)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+        [taken ? randomUUID() : record.id, record.name, record.type, record.ttl, record.value, record.timestamp,
+            record.priority, record.weight, record.port, record.flags, record.tag, record.view])).rows?.[0];
+    await journalChange([], [row], db);
+    snapshotChanged(db);
+    return row;
+});
 
 /**
  * Gets all matching records.
+ * Records of a view replace the records of the same type everyone else gets (all of them if either side has a CNAME).
  * @param {string} name Required name
+ * @param {import("crypto").UUID | null} [view] View of the client (null for records without a view only)
  * @returns {Record[]} Matching records
  */
-export const getRecords = async name => {
-    return (await pool.query(`SELECT * FROM records
-        WHERE LOWER($1) LIKE replace(name, '*', '%')
-        AND array_length(string_to_array(name, '.'), 1)
-        = array_length(string_to_array($1, '.'), 1)
-        ORDER BY timestamp ASC`, [name])).rows;
+export const getRecords = async (name, view = null) => {
+    const data = await getSnapshot();
+    name = name.toLowerCase();
+    const labels = name.split(".").length;
+    const records = [...(data.exact.get(name) ?? [])];
+    for(const wildcard of data.wildcards)
+        if(wildcard.labels === labels && wildcard.regex.test(name))
+            records.push(wildcard.record);
+    const scoped = view === null ? [] : records.filter(record => record.view === view);
+    const types = new Set(scoped.map(record => record.type));
+    const replaced = types.has("CNAME") || (types.size > 0 && records.some(record => !record.view && record.type === "CNAME"));
+    return records.filter(record => record.view ? record.view === view : !replaced && !types.has(record.type))
+        .sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+};
+
+/**
+ * Finds the base a name belongs to among the given ones, i.e. the longest of them the name is under.
+ * Names in a base nested in another one belong to the nested base.
+ * @param {Set<string>} bases The bases
+ * @param {string} name The domain name
+ * @returns {string | null} The base or null if the name isn't under any of them
+ */
+export const findZone = (bases, name) => {
+    const labels = name.toLowerCase().split(".");
+    for(let i = 0; i < labels.length; i++) {
+        const base = labels.slice(i).join(".");
+        if(bases.has(base)) return base;
+    }
+    return null;
+};
+/**
+ * Finds the hosted base a name belongs to, i.e. the longest suffix of the name that has an owner record.
+ * @param {string} name The domain name
+ * @returns {string | null} The base or null if we aren't authoritative for the name
+ */
+export const getZone = async name => findZone((await getSnapshot()).bases, name);
+
+/**
+ * Gets the SOA serial of a base.
+ * Bases that haven't changed since serials were introduced use the timestamp of their latest change in seconds.
+ * @param {string} base The base
+ * @returns {number} The serial
+ */
+export const getZoneSerial = async base => {
+    const data = await getSnapshot();
+    base = base.toLowerCase();
+    if(!data.serials.has(base)) {
+        let latest = 0;
+        const inBase = name => name === base || name.endsWith("." + base);
+        for(const [name, records] of data.exact)
+            if(inBase(name))
+                for(const record of records) latest = Math.max(latest, Number(record.timestamp));
+        for(const { record } of data.wildcards)
+            if(inBase(record.name)) latest = Math.max(latest, Number(record.timestamp));
+        data.serials.set(base, Math.floor(latest / 1000));
+    }
+    return data.serials.get(base);
+};
+
+/**
+ * Checks whether there are any records below a name (so that it exists as an empty non-terminal).
+ * @param {string} name The domain name
+ * @returns {boolean} Whether there are records below the name
+ */
+export const hasRecordsBelow = async name => {
+    return (await getSnapshot()).parents.has(name.toLowerCase());
+};
+
+/**
+ * Gets the names of all records under a base, wildcards included and owner records excluded.
+ * @param {string} base The base
+ * @returns {string[]} The names (unsorted, without duplicates)
+ */
+export const getZoneNames = async base => {
+    const data = await getSnapshot();
+    base = base.toLowerCase();
+    const inBase = name => (name === base || name.endsWith("." + base)) && !name.startsWith("-.");
+    const names = new Set([...data.exact.keys()].filter(inBase));
+    for(const { record } of data.wildcards)
+        if(inBase(record.name)) names.add(record.name);
+    return [...names];
 };
 
 /**
  * Gets all records with the specified base.
  * @param {string} base Required base
+ * @param {Queryable} [db] Pool or transaction client to use
  * @returns {Record[]} Matching records
  */
-export const getRecordsByBase = async base => {
-    return (await pool.query(`SELECT * FROM records
-        WHERE name = LOWER($1) OR name LIKE '%.' || LOWER($1)
+export const getRecordsByBase = async (base, db = pool) => {
+    return (await db.query(`SELECT * FROM records
+        WHERE name = LOWER($1) OR reverse(name) LIKE reverse('.' || LOWER($1)) || '%'
         ORDER BY timestamp ASC`, [base])).rows;
 };
 
 /**
- * Gets ALL proxy rules.
+ * Makes concurrent transactions changing the records of a base wait for each other, until the current one ends.
+ * @param {string} base The base
+ * @param {import("pg").PoolClient} db Transaction client
+ */
+export const lockBase = async (base, db) => {
+    await db.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [base.toLowerCase()]);
+};
+
+/**
+ * Gets ALL proxy rules, in the order they're checked in.
  * @returns {ProxyRule[]} Proxy rules
  */
 export const getAllProxyRules = async () => {
-    return (await pool.query(`SELECT * FROM proxy_rules`)).rows;
+    return (await pool.query(`SELECT * FROM proxy_rules ORDER BY priority ASC, timestamp ASC, id ASC`)).rows;
 };
 
 /**
- * Gets the DNS server to ask by domain (or null if we have to resolve ourselves).
+ * Gets the DNS servers to ask by domain (or null if we have to resolve ourselves).
  * @param {string} domain The domain to check
- * @returns {string | null} The DNS server or null if domain doesn't match anything
+ * @param {import("crypto").UUID | null} [view] View of the client (rules of other views are skipped)
+ * @returns {import("./upstream.js").Upstream[] | null} The DNS servers of the first matching rule or null if domain doesn't match anything
  */
-export const getProxyDNS = async domain => {
-    const rules = await getAllProxyRules();
+export const getProxyDNS = async (domain, view = null) => {
+    const { rules, bases, owners } = await getSnapshot();
+    // Rules of tenants only apply to names in their own bases
+    const domainOwners = owners.get(findZone(bases, domain));
     for(const rule of rules)
-        if(domain.match(new RegExp(rule.rule, "i"))) return rule.addr;
+        if((!rule.view || rule.view === view) && (!rule.owner || domainOwners?.has(rule.owner)) && rule.regex.test(domain))
+            return rule.upstreams;
     return null;
 }
 
 /**
  * Pushes a new proxy rule to the database.
  * @param {string} ruleRegex Rule as a string RegEx
- * @param {string} addr Address of DNS server to ask
+ * @param {import("./upstream.js").Upstream[]} upstreams DNS servers to ask, in order
+ * @param {number} priority Rule priority
+ * @param {import("crypto").UUID | null} [view] View the rule is limited to
+ * @param {string | null} [owner] Owner whose bases the rule is limited to
  * @returns {ProxyRule} The proxy rule
  */
-export const pushProxyRule = async (ruleRegex, addr) => {
-    return (await pool.query(`INSERT INTO proxy_rules (id, rule, addr)
-        VALUES ($1, $2, $3) RETURNING *`,
-        [randomUUID(), ruleRegex, addr])).rows?.[0];
+export const pushProxyRule = async (ruleRegex, upstreams, priority, view = null, owner = null) => {
+    const row = (await pool.query(`INSERT INTO proxy_rules (id, rule, upstreams, priority, view, timestamp, owner)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [randomUUID(), ruleRegex, JSON.stringify(upstreams), priority, view, Date.now(), owner])).rows?.[0];
+    invalidateSnapshot();
+    return row;
 };
 
 /**
  * Updates a proxy rule to the database.
  * @param {import("crypto").UUID} id Rule ID
  * @param {string} ruleRegex Rule as a string RegEx
- * @param {string} addr Address of DNS server to ask
+ * @param {import("./upstream.js").Upstream[]} upstreams DNS servers to ask, in order
+ * @param {number} priority Rule priority
+ * @param {import("crypto").UUID | null} [view] View the rule is limited to
  * @returns {ProxyRule} The proxy rule
  */
-export const updateProxyRule = async (id, ruleRegex, addr) => {
-    return (await pool.query(`UPDATE proxy_rules
-        SET rule = $2, addr = $3
+export const updateProxyRule = async (id, ruleRegex, upstreams, priority, view = null) => {
+    const row = (await pool.query(`UPDATE proxy_rules
+        SET rule = $2, upstreams = $3, priority = $4, view = $5, addr = NULL
         WHERE id = $1
         RETURNING *`,
-        [id, ruleRegex, addr])).rows?.[0];
+        [id, ruleRegex, JSON.stringify(upstreams), priority, view])).rows?.[0];
+    invalidateSnapshot();
+    return row;
 };
 
 /**
  * Updates a proxy rule to the database.
  * @param {import("crypto").UUID} id Rule ID
+ * @returns {ProxyRule | undefined} The deleted rule
  */
 export const deleteProxyRule = async id => {
-    await pool.query(`DELETE FROM proxy_rules WHERE id = $1`,
-        [id]);
+    const row = (await pool.query(`DELETE FROM proxy_rules WHERE id = $1 RETURNING *`,
+        [id])).rows?.[0];
+    invalidateSnapshot();
+    return row;
+};
+
+/**
+ * Gets a proxy rule by ID.
+ * @param {import("crypto").UUID} id Rule ID
+ * @returns {ProxyRule | undefined} The rule
+ */
+export const getProxyRuleByID = async id => {
+    return (await pool.query(`SELECT * FROM proxy_rules WHERE id = $1`,
+        [id])).rows?.[0];
+};
+
+/**
+ * Gets all views, in the order they're checked in.
+ * @returns {View[]} Views
+ */
+export const getViews = async () => {
+    return (await pool.query(`SELECT * FROM views ORDER BY priority ASC, timestamp ASC`)).rows;
+};
+
+/**
+ * Gets a view by ID.
+ * @param {import("crypto").UUID} id View ID
+ * @returns {View | undefined} The view
+ */
+export const getViewByID = async id => {
+    return (await pool.query(`SELECT * FROM views WHERE id = $1`, [id])).rows?.[0];
+};
+
+/**
+ * Finds the view a client is in.
+ * @param {string} address Address of the client
+ * @returns {import("crypto").UUID | null} ID of the first view with the client in it (or null if it isn't in any)
+ */
+export const getClientView = async address => {
+    const { views } = await getSnapshot();
+    return views.find(view => inAddressList(view.list, address))?.id ?? null;
+};
+
+/**
+ * Pushes a new view to the database.
+ * @param {string} name View name
+ * @param {string[]} clients Addresses and subnets of the clients in the view
+ * @param {number} priority View priority
+ * @returns {View} The view
+ */
+export const pushView = async (name, clients, priority) => {
+    const row = (await pool.query(`INSERT INTO views (id, name, clients, priority, timestamp)
+        VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [randomUUID(), name, clients, priority, Date.now()])).rows?.[0];
+    invalidateSnapshot();
+    return row;
+};
+
+/**
+ * Updates a view in the database.
+ * @param {import("crypto").UUID} id View ID
+ * @param {string} name View name
+ * @param {string[]} clients Addresses and subnets of the clients in the view
+ * @param {number} priority View priority
+ * @returns {View | undefined} The view
+ */
+export const updateView = async (id, name, clients, priority) => {
+    const row = (await pool.query(`UPDATE views
+        SET name = $2, clients = $3, priority = $4
+        WHERE id = $1
+        RETURNING *`,
+        [id, name, clients, priority])).rows?.[0];
+    invalidateSnapshot();
+    return row;
+};
+
+/**
+ * Counts the records and proxy rules limited to a view.
+ * @param {import("crypto").UUID} id View ID
+ * @returns {{ records: number, rules: number }} The counts
+ */
+export const getViewUsage = async id => {
+    const records = (await pool.query(`SELECT COUNT(*) AS count FROM records WHERE view = $1`, [id])).rows[0].count;
+    const rules = (await pool.query(`SELECT COUNT(*) AS count FROM proxy_rules WHERE view = $1`, [id])).rows[0].count;
+    return { records: Number(records), rules: Number(rules) };
+};
+
+/**
+ * Deletes a view from the database.
+ * @param {import("crypto").UUID} id View ID
+ * @returns {View | undefined} The deleted view
+ */
+export const deleteView = async id => {
+    const row = (await pool.query(`DELETE FROM views WHERE id = $1 RETURNING *`, [id])).rows?.[0];
+    invalidateSnapshot();
+    return row;
 };
 
 /**
@@ -223,6 +961,92 @@ export const findByOwner = async owner => {
         ORDER BY timestamp ASC`, [owner])).rows;
 };
 
+export const tokenPermissions = ["records.read", "records.write", "certs", "rules", "metrics"];
+/** @typedef {"records.read" | "records.write" | "certs" | "rules" | "metrics"} TokenPermission */
+
+const hashToken = token => createHash("sha256").update(token).digest("hex");
+
+/**
+ * Mints a new API token.
+ * @param {string} owner Owner to scope the token to
+ * @param {TokenPermission[]} permissions Granted permissions
+ * @param {string} [name] Human-readable label
+ * @returns {ApiToken & { token: string }} The token info along with the token itself (only available here)
+ */
+export const pushToken = async (owner, permissions, name = null) => {
+    const token = randomBytes(32).toString("hex");
+    const row = (await pool.query(`INSERT INTO api_tokens (id, owner, hash, permissions, name, timestamp)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, owner, permissions, name, timestamp`,
+        [randomUUID(), owner, hashToken(token), permissions, name, Date.now()])).rows?.[0];
+    return { ...row, token };
+};
+/**
+ * Finds the API token matching a bearer value.
+ * @param {string} token The token
+ * @returns {ApiToken | undefined} The token info
+ */
+export const getTokenByValue = async token => {
+    return (await pool.query(`SELECT id, owner, permissions, name, timestamp FROM api_tokens
+        WHERE hash = $1`, [hashToken(token)])).rows?.[0];
+};
+/**
+ * Lists API tokens.
+ * @param {string} [owner] Only list tokens of this owner
+ * @returns {ApiToken[]} The tokens
+ */
+export const getTokens = async (owner = null) => {
+    return (await pool.query(`SELECT id, owner, permissions, name, timestamp FROM api_tokens
+        WHERE $1::TEXT IS NULL OR owner = $1
+        ORDER BY timestamp ASC`, [owner])).rows;
+};
+/**
+ * Revokes an API token.
+ * @param {import("crypto").UUID} id Token ID
+ * @returns {ApiToken | undefined} The revoked token
+ */
+export const deleteToken = async id => {
+    return (await pool.query(`DELETE FROM api_tokens WHERE id = $1
+        RETURNING id, owner, permissions, name, timestamp`, [id])).rows?.[0];
+};
+
+/**
+ * Appends an entry to the audit log.
+ * @param {string} actor Who made the change
+ * @param {string} action What was done
+ * @param {string} target What was changed
+ * @param {object | null} before State before the change
+ * @param {object | null} after State after the change
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {AuditEntry} The entry
+ */
+export const pushAudit = async (actor, action, target, before = null, after = null, db = pool) => {
+    return (await db.query(`INSERT INTO audit_log (id, actor, action, target, before, after, timestamp)
+        VALUES ($1, $2, $3, LOWER($4), $5, $6, $7) RETURNING *`,
+        [randomUUID(), actor, action, target,
+            before === null ? null : JSON.stringify(before),
+            after === null ? null : JSON.stringify(after),
+            Date.now()])).rows?.[0];
+};
+/**
+ * Gets audit log entries, newest first.
+ * @param {object} filter Filter
+ * @param {string} [filter.base] Only entries targeting names under this base
+ * @param {string} [filter.actor] Only entries by this actor
+ * @param {number} [filter.from] Only entries made at or after this timestamp
+ * @param {number} [filter.to] Only entries made at or before this timestamp
+ * @param {number} [filter.limit] Maximum amount of entries
+ * @returns {AuditEntry[]} The entries
+ */
+export const getAudit = async ({ base = null, actor = null, from = null, to = null, limit = 100 } = {}) => {
+    return (await pool.query(`SELECT * FROM audit_log
+        WHERE ($1::TEXT IS NULL OR target = LOWER($1) OR target LIKE '%.' || LOWER($1))
+        AND ($2::TEXT IS NULL OR actor = $2)
+        AND ($3::NUMERIC IS NULL OR timestamp >= $3)
+        AND ($4::NUMERIC IS NULL OR timestamp <= $4)
+        ORDER BY timestamp DESC
+        LIMIT $5`, [base, actor, from, to, limit])).rows;
+};
+
 const buf2hex = obj => typeof obj === "object" ? Object.fromEntries(Object.entries(obj).map(x => {
     if(x[1] instanceof Buffer) return [x[0], x[1].toString("hex")];
     return x;
@@ -235,25 +1059,106 @@ const buf2hex = obj => typeof obj === "object" ? Object.fromEntries(Object.entri
  */
 export const getCert = async domain => {
     return buf2hex((await pool.query(`SELECT * FROM certs
-        WHERE domain = $1`, [domain])).rows?.[0]);
+        WHERE domain = $1 AND superseded IS NULL AND acme_order IS NULL`, [domain])).rows?.[0]);
 }
 /**
- * Deletes a cert/key pair for a domain.
+ * Gets the pairs of a domain that were replaced by a renewal but are still in their grace window.
  * @param {string} domain Domain
+ * @returns {CertPair[]} The pairs, newest first
+ */
+export const getPreviousCerts = async domain => {
+    return (await pool.query(`SELECT * FROM certs
+        WHERE domain = $1 AND superseded IS NOT NULL
+        ORDER BY superseded DESC`, [domain])).rows.map(buf2hex);
+}
+/**
+ * Gets all CA pairs, the current one first and then the ones it replaced.
+ * @returns {CertPair[]} The CA pairs
  */
-export const deleteCert = async domain => {
-    await pool.query(`DELETE FROM certs
-        WHERE domain = $1`, [domain]);
+export const getCAs = async () => {
+    return (await pool.query(`SELECT * FROM certs
+        WHERE domain = '.'
+        ORDER BY superseded IS NOT NULL, superseded DESC`)).rows.map(buf2hex);
 }
+/**
+ * Revokes and deletes the cert/key pair of a domain.
+ * @param {string} domain Domain
+ * @param {import("./pki.js").RevocationReason} [reason] Why the cert is revoked
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {CertPair | undefined} The deleted pair (the current one, if there was one)
+ */
+export const deleteCert = async (domain, reason = "cessationOfOperation", db = pool) => {
+    const pairs = (await db.query(`DELETE FROM certs
+        WHERE domain = $1 RETURNING *`, [domain])).rows;
+    for(const pair of pairs) await revokePair(pair, reason, db);
+    return buf2hex(pairs.find(pair => pair.superseded === null && pair.acme_order === null) ?? pairs[0]);
+}
+/**
+ * Records a cert as revoked so that it shows up in the CRL and OCSP responses.
+ * @param {CertPair} pair The pair (as stored)
+ * @param {import("./pki.js").RevocationReason} reason Why the cert is revoked
+ * @param {Queryable} db Pool or transaction client to use
+ */
+const revokePair = async (pair, reason, db) => {
+    if(pair.domain === ".") return;
+    await db.query(`INSERT INTO revoked_certs (id, serial, domain, reason, revoked, until)
+        VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (serial) DO NOTHING`,
+        [randomUUID(), pair.serial ?? certSerial(pair.cert), pair.domain, revocationReasons[reason],
+            Date.now(), pair.until]);
+};
+/**
+ * Gets the revoked certs that haven't expired yet.
+ * @returns {import("./pki.js").RevokedCert[]} The revoked certs
+ */
+export const getRevokedCerts = async () => {
+    return (await pool.query(`SELECT * FROM revoked_certs
+        WHERE until > $1
+        ORDER BY revoked ASC`, [Date.now()])).rows;
+};
+/**
+ * Looks up the status of a cert issued by the CA.
+ * @param {string} serial Serial number (hex)
+ * @returns {import("./pki.js").CertStatus} The status
+ */
+export const getCertStatus = async serial => {
+    serial = normalizeSerial(serial);
+    const revoked = (await pool.query(`SELECT * FROM revoked_certs WHERE serial = $1`, [serial])).rows?.[0];
+    if(revoked) return { status: "revoked", revoked: Number(revoked.revoked), reason: revoked.reason };
+    const current = (await pool.query(`SELECT id FROM certs WHERE serial = $1 AND domain != '.'`, [serial])).rows?.[0];
+    return { status: current ? "good" : "unknown" };
+};
 /**
  * Gets all cert/key pairs for all doains matching the given 2nd-level domain.
  * @param {string} base 2nd-level domain
+ * @param {Queryable} [db] Pool or transaction client to use
  * @returns {CertPair[]} The cert/key pairs
  */
-export const getCertsByBase = async base => {
+export const getCertsByBase = async (base, db = pool) => {
+    return (await db.query(`SELECT * FROM certs
+        WHERE (domain = $1 OR reverse(domain) LIKE reverse('.' || $1) || '%') AND domain != '-.' || $1
+        AND superseded IS NULL`, [base])).rows.map(buf2hex);
+}
+/**
+ * Gets the current leaf pairs that expire before a given time.
+ * @param {number} before Timestamp
+ * @returns {CertPair[]} The pairs, soonest to expire first
+ */
+export const getExpiringCerts = async before => {
     return (await pool.query(`SELECT * FROM certs
-        WHERE (domain = $1 OR domain LIKE '%.' || $1) AND domain != '-.' || $1`, [base])).rows.map(buf2hex);
+        WHERE until < $1 AND domain != '.' AND superseded IS NULL AND acme_order IS NULL
+        ORDER BY until ASC`, [before])).rows.map(buf2hex);
 }
+/**
+ * Revokes and deletes the leaf pairs whose grace window after a renewal has ended.
+ * @param {number} before Pairs superseded before this timestamp are purged
+ * @returns {CertPair[]} The purged pairs
+ */
+export const purgeSupersededCerts = async before => await transaction(async db => {
+    const pairs = (await db.query(`DELETE FROM certs
+        WHERE superseded < $1 AND domain != '.' RETURNING *`, [before])).rows;
+    for(const pair of pairs) await revokePair(pair, "superseded", db);
+    return pairs.map(buf2hex);
+});
 /**
  * Deletes a cert/key pair by ID.
  * @param {import("crypto").UUID} id ID
@@ -261,58 +1166,612 @@ export const getCertsByBase = async base => {
 export const removeCertByID = async id => {
     await pool.query(`DELETE FROM certs WHERE id = $1`, [id]);
 }
+/**
+ * Gets a cert/key pair by the serial number of its cert.
+ * @param {string} serial Serial number (hex)
+ * @returns {CertPair | undefined} The pair
+ */
+export const getCertBySerial = async serial => {
+    return buf2hex((await pool.query(`SELECT * FROM certs
+        WHERE serial = $1`, [normalizeSerial(serial)])).rows?.[0]);
+}
+/**
+ * Revokes and deletes a cert/key pair by ID.
+ * @param {import("crypto").UUID} id ID
+ * @param {import("./pki.js").RevocationReason} reason Why the cert is revoked
+ * @returns {CertPair | undefined} The deleted pair
+ */
+export const revokeCertByID = async (id, reason) => await transaction(async db => {
+    const pair = (await db.query(`DELETE FROM certs WHERE id = $1 RETURNING *`, [id])).rows?.[0];
+    if(pair) await revokePair(pair, reason, db);
+    return buf2hex(pair);
+});
+/**
+ * Gets the cert issued for an ACME order.
+ * @param {import("crypto").UUID} order Order ID
+ * @returns {CertPair | undefined} The pair
+ */
+export const getAcmeCert = async order => {
+    return buf2hex((await pool.query(`SELECT * FROM certs
+        WHERE acme_order = $1`, [order])).rows?.[0]);
+}
 
 /**
  * Generates a cert/key pair.
+ * The CA signs with its RSA key, leaf certs can have RSA or ECDSA keys, or just a public key from a CSR.
+ * A cert that gets replaced is revoked as superseded, unless it's given a grace window.
+ * Certs issued for ACME orders stand on their own and don't replace anything.
+ * Generating a CA while there already is one rolls it over: the new CA gets its own name and is cross-signed
+ * by the old one (and the other way around), so that clients trusting either can verify certs of both.
  * @param {string} domain Domain for the cert
  * @param {boolean} ca Whether to generate a CA
+ * @param {CertOptions} [options] Options for leaf certs
  * @returns {CertPair} The cert/key pair
  */
-export const generateCert = async (domain, ca = false) => {
-    const old = await getCert(domain);
+export const generateCert = async (domain, ca = false, { names = [domain], keyType = "rsa", validityDays = null, csr = null, grace = false, order = null } = {}) => {
+    const old = order ? undefined : (await pool.query(`SELECT * FROM certs
+        WHERE domain = $1 AND superseded IS NULL AND acme_order IS NULL`, [ca ? "." : domain])).rows?.[0];
 
     const id = randomUUID();
-    const keys = pki.rsa.generateKeyPair(2048);
     const cert = pki.createCertificate();
-    cert.publicKey = keys.publicKey;
-    cert.serialNumber = id.replaceAll("-", "");
+    cert.serialNumber = makeSerial(id);
 
     const now = new Date();
-    const until = new Date(now.getTime() + (ca ? VALID_MS_CA : VALID_MS));
+    const until = new Date(now.getTime() + (ca ? VALID_MS_CA : (validityDays ? validityDays * DAY_MS : VALID_MS)));
     cert.validity.notBefore = now;
     cert.validity.notAfter = until;
 
-    const rootAttrs = [{ name: "commonName", value: CA_NAME }];
     const hash = forge.md.sha256.create();
+    let keyBin, certBin, storedKeyType, crossBin = null, oldCross = null;
     if(ca) {
-        cert.setSubject(rootAttrs);
-        cert.setIssuer(rootAttrs);
-        cert.setExtensions([
+        const keys = pki.rsa.generateKeyPair(2048);
+        const attrs = [{ name: "commonName", value: old ? `${CA_NAME} ${id.slice(0, 8)}` : CA_NAME }];
+        const extensions = [
             { name: "basicConstraints", cA: true },
             { name: "keyUsage", keyCertSign: true, digitalSignature: true, cRLSign: true },
-        ]);
+        ];
+        cert.publicKey = keys.publicKey;
+        cert.setSubject(attrs);
+        cert.setIssuer(attrs);
+        cert.setExtensions(extensions);
         cert.sign(keys.privateKey, hash);
+        keyBin = Buffer.from(asn1.toDer(pki.privateKeyToAsn1(keys.privateKey)).getBytes(), "binary");
+        certBin = Buffer.from(asn1.toDer(pki.certificateToAsn1(cert)).getBytes(), "binary");
+        storedKeyType = "rsa";
+
+        if(old) {
+            const oldCert = pki.certificateFromAsn1(asn1.fromDer(old.cert.toString("binary")));
+            const oldKey = pki.privateKeyFromAsn1(asn1.fromDer(old.key.toString("binary")));
+            const crossSign = (subject, publicKey, issuer, privateKey, notAfter) => {
+                const cross = pki.createCertificate();
+                cross.serialNumber = makeSerial(randomUUID());
+                cross.publicKey = publicKey;
+                cross.validity.notBefore = now;
+                cross.validity.notAfter = notAfter;
+                cross.setSubject(subject);
+                cross.setIssuer(issuer);
+                cross.setExtensions(extensions);
+                cross.sign(privateKey, forge.md.sha256.create());
+                return Buffer.from(asn1.toDer(pki.certificateToAsn1(cross)).getBytes(), "binary");
+            };
+            // The new CA can't outlive the old one's signature, and vice versa
+            crossBin = crossSign(attrs, keys.publicKey, oldCert.subject.attributes, oldKey,
+                new Date(Math.min(until.getTime(), Number(old.until))));
+            oldCross = crossSign(oldCert.subject.attributes, oldCert.publicKey, attrs, keys.privateKey,
+                new Date(Number(old.until)));
+        }
     } else {
-        const attrs = [{ name: "commonName", value: domain }];
-        cert.setSubject(attrs);
-        cert.setIssuer(rootAttrs);
-        cert.setExtensions([
-            { name: "subjectAltName", altNames: [{ type: 2, value: domain }] }
-        ]);
-
-        const caCert = await getCert(".");
-        const privateKey = pki.privateKeyFromAsn1(
-            asn1.fromDer(Buffer.from(caCert.key, "hex").toString("binary"))
+        let publicKey;
+        if(csr) {
+            keyBin = null;
+            publicKey = csr.publicKey;
+            storedKeyType = csr.keyType;
+        } else {
+            storedKeyType = keyType === "ecdsa" ? "ec" : "rsa";
+            const keys = storedKeyType === "ec"
+                ? generateKeyPairSync("ec", { namedCurve: "prime256v1" })
+                : generateKeyPairSync("rsa", { modulusLength: 2048 });
+            keyBin = keys.privateKey.export({ format: "der", type: storedKeyType === "ec" ? "sec1" : "pkcs1" });
+            publicKey = keys.publicKey.export({ format: "der", type: "spki" });
+        }
+
+        const caPair = await getCert(".");
+        const caCert = pki.certificateFromAsn1(asn1.fromDer(Buffer.from(caPair.cert, "hex").toString("binary")));
+        cert.setSubject([{ name: "commonName", value: names[0] }]);
+        cert.setIssuer(caCert.subject.attributes);
+        const extensions = [
+            { name: "subjectAltName", altNames: names.map(value => ({ type: 2, value })) },
+            { name: "keyUsage", digitalSignature: true, keyEncipherment: storedKeyType === "rsa" },
+            { name: "extKeyUsage", serverAuth: true, clientAuth: true }
+        ];
+        if(process.env.PKI_URL) extensions.push(
+            { name: "cRLDistributionPoints", altNames: [{ type: 6, value: `${process.env.PKI_URL}/crl/${caPair.id}` }] },
+            ocspExtension(`${process.env.PKI_URL}/ocsp`)
         );
-        cert.sign(privateKey, hash);
+        cert.setExtensions(extensions);
+
+        certBin = signCertificate(cert, publicKey, caPair);
     }
 
-    const keyBin = Buffer.from(asn1.toDer(pki.privateKeyToAsn1(keys.privateKey)).getBytes(), "binary");
-    const certBin = Buffer.from(asn1.toDer(pki.certificateToAsn1(cert)).getBytes(), "binary");
+    const row = await transaction(async db => {
+        // Old CAs stay trusted for as long as the certs they issued are around
+        if(old && (grace || ca))
+            await db.query(`UPDATE certs SET superseded = $2, cross_cert = COALESCE($3, cross_cert) WHERE id = $1`,
+                [old.id, now.getTime(), oldCross]);
+        else if(old) {
+            await db.query(`DELETE FROM certs WHERE id = $1`, [old.id]);
+            await revokePair(old, "superseded", db);
+        }
+        return (await db.query(`INSERT INTO certs (id, domain, key, cert, timestamp, until, names, key_type, serial, cross_cert, acme_order)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`, [id, ca ? "." : domain,
+                keyBin, certBin,
+                now.getTime(), until.getTime(),
+                ca ? null : names, storedKeyType, normalizeSerial(cert.serialNumber), crossBin, order])).rows?.[0];
+    });
+    return buf2hex(row);
+}
+
+/**
+ * Makes a cert serial number from a UUID.
+ * Serials are positive, so a leading zero byte is needed when the top bit is set.
+ * @param {import("crypto").UUID} id The UUID
+ * @returns {string} The serial (hex)
+ */
+const makeSerial = id => {
+    const serial = id.replaceAll("-", "");
+    return parseInt(serial[0], 16) >= 8 ? "00" + serial : serial;
+};
+
+/**
+ * Renews a leaf cert, keeping its names, key type and validity period.
+ * Certs issued for a CSR are renewed for the same public key, others get a new key.
+ * The old cert stays valid and available until the grace window is over.
+ * @param {CertPair} pair The pair to renew
+ * @returns {CertPair} The new pair
+ */
+export const renewCert = async pair => {
+    const der = Buffer.from(pair.cert, "hex");
+    return await generateCert(pair.domain, false, {
+        names: pair.names ?? [pair.domain],
+        keyType: pair.key_type === "ec" ? "ecdsa" : "rsa",
+        validityDays: Math.round((Number(pair.until) - Number(pair.timestamp)) / DAY_MS),
+        csr: pair.key ? null : {
+            publicKey: new X509Certificate(der).publicKey.export({ format: "der", type: "spki" }),
+            keyType: pair.key_type ?? "rsa"
+        },
+        grace: true
+    });
+};
+
+/**
+ * Gets the DNSSEC keys of a base straight from the snapshot, private keys included.
+ * @param {string} base The base
+ * @returns {(DnssecKey & { privateKey: import("crypto").KeyObject })[]} The keys that haven't been removed yet
+ */
+export const getZoneKeys = async base => {
+    const now = Date.now();
+    return ((await getSnapshot()).keys.get(base.toLowerCase()) ?? [])
+        .filter(key => key.remove === null || Number(key.remove) > now);
+};
+/**
+ * Gets the DNSSEC keys of a base, leaving out the ones past their removal time.
+ * @param {string} base The base
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {DnssecKey[]} The keys
+ */
+export const getDnssecKeys = async (base, db = pool) => {
+    return (await db.query(`SELECT * FROM dnssec_keys
+        WHERE base = LOWER($1) AND (remove IS NULL OR remove > $2)
+        ORDER BY timestamp ASC`, [base, Date.now()])).rows;
+};
+/**
+ * Stores a new DNSSEC key.
+ * @param {string} base The base the key signs
+ * @param {"KSK" | "ZSK"} role Key role
+ * @param {number} algorithm DNSSEC algorithm number
+ * @param {Buffer} key Private key (PKCS#8 DER)
+ * @param {Buffer} publicKey Public key as it appears in the DNSKEY record
+ * @param {number} activate When the key starts signing
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {DnssecKey} The key
+ */
+export const pushDnssecKey = async (base, role, algorithm, key, publicKey, activate, db = pool) => {
+    const row = (await db.query(`INSERT INTO dnssec_keys (id, base, role, algorithm, key, public, timestamp, activate)
+        VALUES ($1, LOWER($2), $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [randomUUID(), base, role, algorithm, key, publicKey, Date.now(), activate])).rows?.[0];
+    // The keys are part of the zone, so secondaries have to pick them up
+    await bumpSerial(base, db);
+    snapshotChanged(db);
+    return row;
+};
+/**
+ * Schedules the keys of a role that are still signing to stop signing and later to be removed.
+ * @param {string} base The base
+ * @param {"KSK" | "ZSK"} role Key role
+ * @param {number} retire When the keys stop signing
+ * @param {number} remove When the keys stop being published
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {DnssecKey[]} The retired keys
+ */
+export const retireDnssecKeys = async (base, role, retire, remove, db = pool) => {
+    const rows = (await db.query(`UPDATE dnssec_keys
+        SET retire = $3, remove = $4
+        WHERE base = LOWER($1) AND role = $2 AND (retire IS NULL OR retire > $3)
+        RETURNING *`, [base, role, retire, remove])).rows;
+    if(rows.length > 0) await bumpSerial(base, db);
+    snapshotChanged(db);
+    return rows;
+};
+/**
+ * Deletes all DNSSEC keys of a base, which turns signing off.
+ * @param {string} base The base
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {DnssecKey[]} The deleted keys
+ */
+export const deleteDnssecKeys = async (base, db = pool) => {
+    const rows = (await db.query(`DELETE FROM dnssec_keys WHERE base = LOWER($1) RETURNING *`,
+        [base])).rows;
+    if(rows.length > 0) await bumpSerial(base, db);
+    snapshotChanged(db);
+    return rows;
+};
+/**
+ * Deletes the DNSSEC keys past their removal time, bumping the serials of their bases.
+ * @param {number} before Keys removed before this timestamp are deleted
+ * @returns {DnssecKey[]} The deleted keys
+ */
+export const purgeDnssecKeys = async before => await transaction(async db => {
+    const rows = (await db.query(`DELETE FROM dnssec_keys WHERE remove <= $1 RETURNING *`, [before])).rows;
+    for(const base of new Set(rows.map(row => row.base))) await bumpSerial(base, db);
+    snapshotChanged(db);
+    return rows;
+});
 
-    if(old) await removeCertByID(old.id);
-    return buf2hex((await pool.query(`INSERT INTO certs (id, domain, key, cert, timestamp, until)
-        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`, [id, ca ? "." : domain,
-            keyBin, certBin,
-            now.getTime(), until.getTime()])).rows?.[0]);
-}
\ No newline at end of file
+/**
+ * Creates a TSIG key with a random secret.
+ * @param {string} base The base the key may update
+ * @param {string} name Key name
+ * @param {string} algorithm HMAC algorithm name
+ * @returns {TsigKey} The key
+ */
+export const pushTsigKey = async (base, name, algorithm) => {
+    // 64 bytes is as long as the largest digest we support
+    return (await pool.query(`INSERT INTO tsig_keys (id, base, name, algorithm, secret, timestamp)
+        VALUES ($1, LOWER($2), LOWER($3), $4, $5, $6) RETURNING *`,
+        [randomUUID(), base, name, algorithm, randomBytes(64), Date.now()])).rows?.[0];
+};
+/**
+ * Gets the TSIG keys of a base.
+ * @param {string} base The base
+ * @returns {TsigKey[]} The keys
+ */
+export const getTsigKeys = async base => {
+    return (await pool.query(`SELECT * FROM tsig_keys
+        WHERE base = LOWER($1)
+        ORDER BY timestamp ASC`, [base])).rows;
+};
+/**
+ * Gets a TSIG key by its name.
+ * @param {string} name Key name
+ * @returns {TsigKey | undefined} The key
+ */
+export const getTsigKeyByName = async name => {
+    return (await pool.query(`SELECT * FROM tsig_keys WHERE name = LOWER($1)`, [name])).rows?.[0];
+};
+/**
+ * Deletes a TSIG key of a base.
+ * @param {string} base The base
+ * @param {import("crypto").UUID} id Key ID
+ * @returns {TsigKey | undefined} The deleted key
+ */
+export const deleteTsigKey = async (base, id) => {
+    return (await pool.query(`DELETE FROM tsig_keys
+        WHERE base = LOWER($1) AND id = $2 RETURNING *`, [base, id])).rows?.[0];
+};
+/**
+ * Deletes all TSIG keys of a base.
+ * @param {string} base The base
+ * @param {Queryable} [db] Pool or transaction client to use
+ * @returns {TsigKey[]} The deleted keys
+ */
+export const deleteTsigKeys = async (base, db = pool) => {
+    return (await db.query(`DELETE FROM tsig_keys WHERE base = LOWER($1) RETURNING *`, [base])).rows;
+};
+
+/**
+ * Issues a new ACME anti-replay nonce, also dropping the expired ones.
+ * @param {number} until When the nonce expires
+ * @returns {string} The nonce
+ */
+export const pushAcmeNonce = async until => {
+    const nonce = randomBytes(16).toString("base64url");
+    await pool.query(`DELETE FROM acme_nonces WHERE until <= $1`, [Date.now()]);
+    await pool.query(`INSERT INTO acme_nonces (nonce, until) VALUES ($1, $2)`, [nonce, until]);
+    return nonce;
+};
+/**
+ * Uses up an ACME nonce.
+ * @param {string} nonce The nonce
+ * @returns {boolean} Whether the nonce was issued by us and hadn't been used or expired yet
+ */
+export const useAcmeNonce = async nonce => {
+    return (await pool.query(`DELETE FROM acme_nonces
+        WHERE nonce = $1 AND until > $2 RETURNING nonce`, [nonce, Date.now()])).rows.length > 0;
+};
+
+/**
+ * Creates an ACME account.
+ * @param {string} thumbprint JWK thumbprint of the account key
+ * @param {JsonWebKey} jwk The account key
+ * @param {string[]} contact Contact URLs
+ * @returns {AcmeAccount} The account
+ */
+export const pushAcmeAccount = async (thumbprint, jwk, contact) => {
+    return (await pool.query(`INSERT INTO acme_accounts (id, thumbprint, jwk, contact, status, timestamp)
+        VALUES ($1, $2, $3, $4, 'valid', $5) RETURNING *`,
+        [randomUUID(), thumbprint, jwk, contact, Date.now()])).rows?.[0];
+};
+/**
+ * Gets an ACME account by ID.
+ * @param {import("crypto").UUID} id ID
+ * @returns {AcmeAccount | undefined} The account
+ */
+export const getAcmeAccount = async id => {
+    return (await pool.query(`SELECT * FROM acme_accounts WHERE id = $1`, [id])).rows?.[0];
+};
+/**
+ * Gets an ACME account by its key.
+ * @param {string} thumbprint JWK thumbprint of the account key
+ * @returns {AcmeAccount | undefined} The account
+ */
+export const getAcmeAccountByKey = async thumbprint => {
+    return (await pool.query(`SELECT * FROM acme_accounts WHERE thumbprint = $1`, [thumbprint])).rows?.[0];
+};
+/**
+ * Updates the contacts and status of an ACME account.
+ * @param {import("crypto").UUID} id ID
+ * @param {string[]} contact Contact URLs
+ * @param {"valid" | "deactivated"} status Account status
+ * @returns {AcmeAccount | undefined} The updated account
+ */
+export const updateAcmeAccount = async (id, contact, status) => {
+    return (await pool.query(`UPDATE acme_accounts SET contact = $2, status = $3
+        WHERE id = $1 RETURNING *`, [id, contact, status])).rows?.[0];
+};
+/**
+ * Replaces the key of an ACME account.
+ * @param {import("crypto").UUID} id ID
+ * @param {string} thumbprint JWK thumbprint of the new key
+ * @param {JsonWebKey} jwk The new key
+ * @returns {AcmeAccount | undefined} The updated account
+ */
+export const changeAcmeAccountKey = async (id, thumbprint, jwk) => {
+    return (await pool.query(`UPDATE acme_accounts SET thumbprint = $2, jwk = $3
+        WHERE id = $1 RETURNING *`, [id, thumbprint, jwk])).rows?.[0];
+};
+
+/**
+ * Creates an ACME order, along with authorizations for the names the account isn't authorized for yet.
+ * @param {import("crypto").UUID} account Account ID
+ * @param {{ type: "dns", value: string }[]} identifiers Requested names (lowercase)
+ * @param {number} expires When the order and its new authorizations expire
+ * @returns {AcmeOrder} The order
+ */
+export const pushAcmeOrder = async (account, identifiers, expires) => await transaction(async db => {
+    const now = Date.now();
+    const authzs = [];
+    for(const { value } of identifiers) {
+        const wildcard = value.startsWith("*.");
+        const identifier = value.replace(/^\*\./, "");
+        const existing = (await db.query(`SELECT id FROM acme_authzs
+            WHERE account = $1 AND identifier = $2 AND wildcard = $3 AND status = 'valid' AND expires > $4
+            ORDER BY expires DESC LIMIT 1`, [account, identifier, wildcard, now])).rows?.[0];
+        authzs.push(existing?.id ?? (await db.query(`INSERT INTO acme_authzs (id, account, identifier, wildcard, status, token, expires, timestamp)
+            VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7) RETURNING id`,
+            [randomUUID(), account, identifier, wildcard, randomBytes(32).toString("base64url"), expires, now])).rows[0].id);
+    }
+    return (await db.query(`INSERT INTO acme_orders (id, account, status, identifiers, authzs, expires, timestamp)
+        VALUES ($1, $2, 'pending', $3, $4, $5, $6) RETURNING *`,
+        [randomUUID(), account, JSON.stringify(identifiers), authzs, expires, now])).rows?.[0];
+});
+/**
+ * Gets an ACME order by ID.
+ * @param {import("crypto").UUID} id ID
+ * @returns {AcmeOrder | undefined} The order
+ */
+export const getAcmeOrder = async id => {
+    return (await pool.query(`SELECT * FROM acme_orders WHERE id = $1`, [id])).rows?.[0];
+};
+/**
+ * Gets the orders of an ACME account that haven't expired yet.
+ * @param {import("crypto").UUID} account Account ID
+ * @returns {AcmeOrder[]} The orders, oldest first
+ */
+export const getAcmeOrders = async account => {
+    return (await pool.query(`SELECT * FROM acme_orders
+        WHERE account = $1 AND expires > $2
+        ORDER BY timestamp ASC`, [account, Date.now()])).rows;
+};
+/**
+ * Updates the status of an ACME order.
+ * @param {import("crypto").UUID} id ID
+ * @param {AcmeOrder["status"]} status New status
+ * @param {object | null} [error] Problem document explaining why the order is invalid
+ * @returns {AcmeOrder | undefined} The updated order
+ */
+export const updateAcmeOrder = async (id, status, error = null) => {
+    return (await pool.query(`UPDATE acme_orders SET status = $2, error = $3
+        WHERE id = $1 RETURNING *`, [id, status, error])).rows?.[0];
+};
+/**
+ * Moves a ready ACME order to processing, unless something else already did.
+ * @param {import("crypto").UUID} id ID
+ * @returns {AcmeOrder | undefined} The claimed order (or undefined if it wasn't ready)
+ */
+export const claimAcmeOrder = async id => {
+    return (await pool.query(`UPDATE acme_orders SET status = 'processing'
+        WHERE id = $1 AND status = 'ready' RETURNING *`, [id])).rows?.[0];
+};
+/**
+ * Gets an ACME authorization by ID.
+ * @param {import("crypto").UUID} id ID
+ * @returns {AcmeAuthz | undefined} The authorization
+ */
+export const getAcmeAuthz = async id => {
+    return (await pool.query(`SELECT * FROM acme_authzs WHERE id = $1`, [id])).rows?.[0];
+};
+/**
+ * Gets several ACME authorizations.
+ * @param {import("crypto").UUID[]} ids IDs
+ * @returns {AcmeAuthz[]} The authorizations
+ */
+export const getAcmeAuthzs = async ids => {
+    return (await pool.query(`SELECT * FROM acme_authzs WHERE id = ANY($1)`, [ids])).rows;
+};
+/**
+ * Gets the authorizations of an ACME account that are valid right now.
+ * @param {import("crypto").UUID} account Account ID
+ * @returns {AcmeAuthz[]} The authorizations
+ */
+export const getValidAcmeAuthzs = async account => {
+    return (await pool.query(`SELECT * FROM acme_authzs
+        WHERE account = $1 AND status = 'valid' AND expires > $2`, [account, Date.now()])).rows;
+};
+/**
+ * Updates the status of an ACME authorization.
+ * @param {import("crypto").UUID} id ID
+ * @param {AcmeAuthz["status"]} status New status
+ * @param {number} expires New expiry timestamp
+ * @param {object | null} [error] Problem document explaining why the challenge failed
+ * @returns {AcmeAuthz | undefined} The updated authorization
+ */
+export const updateAcmeAuthz = async (id, status, expires, error = null) => {
+    return (await pool.query(`UPDATE acme_authzs SET status = $2, expires = $3, error = $4,
+        validated = CASE WHEN $2 = 'valid' THEN $5 ELSE validated END
+        WHERE id = $1 RETURNING *`, [id, status, expires, error, Date.now()])).rows?.[0];
+};
+
+/**
+ * Gets all policy lists, in the order they're checked in.
+ * @returns {PolicyList[]} The lists
+ */
+export const getPolicyLists = async () => {
+    return (await pool.query(`SELECT * FROM policy_lists ORDER BY priority ASC, timestamp ASC`)).rows;
+};
+/**
+ * Gets a policy list by ID.
+ * @param {import("crypto").UUID} id List ID
+ * @returns {PolicyList | undefined} The list
+ */
+export const getPolicyListByID = async id => {
+    return (await pool.query(`SELECT * FROM policy_lists WHERE id = $1`, [id])).rows?.[0];
+};
+/**
+ * Gets every policy list along with all their entries, from memory if possible.
+ * @returns {{ lists: PolicyList[], entries: (PolicyEntry & { list: import("crypto").UUID })[] }} The lists and entries
+ */
+export const getPolicies = async () => {
+    if(policies) return await policies;
+    const loading = (async () => ({
+        lists: await getPolicyLists(),
+        entries: (await pool.query(`SELECT * FROM policy_entries`)).rows
+    }))();
+    const loadingGeneration = policyGeneration;
+    policies = loading;
+    loading.then(() => {
+        if(policyGeneration !== loadingGeneration && policies === loading) policies = null;
+        else if(!listener) expire(() => policies === loading, () => policies = null);
+    }, () => {
+        if(policies === loading) policies = null;
+    });
+    return await loading;
+};
+/**
+ * Stores the entries of a policy list.
+ * @param {import("crypto").UUID} list List ID
+ * @param {PolicyEntry[]} entries The entries
+ * @param {import("pg").PoolClient} db Transaction client to use
+ */
+const insertPolicyEntries = async (list, entries, db) => {
+    // Lists can have hundreds of thousands of entries, so they go in in chunks
+    for(let i = 0; i < entries.length; i += POLICY_CHUNK_SIZE) {
+        const chunk = entries.slice(i, i + POLICY_CHUNK_SIZE);
+        await db.query(`INSERT INTO policy_entries (list, name, wildcard, action, data)
+            VALUES ${chunk.map((_, j) => `($1, $${j * 4 + 2}, $${j * 4 + 3}, $${j * 4 + 4}, $${j * 4 + 5})`).join(", ")}`,
+            [list, ...chunk.flatMap(entry => [entry.name, entry.wildcard, entry.action,
+                entry.data === null ? null : JSON.stringify(entry.data)])]);
+    }
+};
+/**
+ * Creates a policy list.
+ * @param {Omit<PolicyList, "id" | "entries" | "timestamp">} list List settings
+ * @param {PolicyEntry[]} entries The entries
+ * @returns {PolicyList} The list
+ */
+export const pushPolicyList = async (list, entries) => {
+    const row = await transaction(async db => {
+        const row = (await db.query(`INSERT INTO policy_lists
+            (id, name, format, kind, action, redirect, clients, priority, entries, timestamp)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [randomUUID(), list.name, list.format, list.kind, list.action, list.redirect, list.clients, list.priority,
+                entries.length, Date.now()])).rows[0];
+        await insertPolicyEntries(row.id, entries, db);
+        return row;
+    });
+    invalidatePolicies();
+    return row;
+};
+/**
+ * Replaces a policy list with a new import.
+ * @param {import("crypto").UUID} id List ID
+ * @param {Omit<PolicyList, "id" | "entries" | "timestamp">} list List settings
+ * @param {PolicyEntry[]} entries The entries
+ * @returns {PolicyList | undefined} The list
+ */
+export const updatePolicyList = async (id, list, entries) => {
+    const row = await transaction(async db => {
+        const row = (await db.query(`UPDATE policy_lists
+            SET name = $2, format = $3, kind = $4, action = $5, redirect = $6, clients = $7, priority = $8, entries = $9
+            WHERE id = $1 RETURNING *`,
+            [id, list.name, list.format, list.kind, list.action, list.redirect, list.clients, list.priority,
+                entries.length])).rows?.[0];
+        if(!row) return row;
+        await db.query(`DELETE FROM policy_entries WHERE list = $1`, [id]);
+        await insertPolicyEntries(id, entries, db);
+        return row;
+    });
+    invalidatePolicies();
+    return row;
+};
+/**
+ * Deletes a policy list.
+ * @param {import("crypto").UUID} id List ID
+ * @returns {PolicyList | undefined} The deleted list
+ */
+export const deletePolicyList = async id => {
+    const row = await transaction(async db => {
+        await db.query(`DELETE FROM policy_entries WHERE list = $1`, [id]);
+        return (await db.query(`DELETE FROM policy_lists WHERE id = $1 RETURNING *`, [id])).rows?.[0];
+    });
+    invalidatePolicies();
+    return row;
+};
+/**
+ * Gets a setting stored in the database.
+ * @param {string} name Setting name
+ * @returns {object | undefined} Its value (or undefined if it was never set)
+ */
+export const getSetting = async name => {
+    return (await pool.query(`SELECT value FROM settings WHERE name = $1`, [name])).rows?.[0]?.value;
+};
+/**
+ * Stores a setting in the database, replacing its previous value.
+ * @param {string} name Setting name
+ * @param {object} value Its value
+ * @returns {object} The stored value
+ */
+export const putSetting = async (name, value) => {
+    return (await pool.query(`INSERT INTO settings (name, value, timestamp) VALUES ($1, $2, $3)
+        ON CONFLICT (name) DO UPDATE SET value = EXCLUDED.value, timestamp = EXCLUDED.timestamp
+        RETURNING value`, [name, JSON.stringify(value), Date.now()])).rows?.[0]?.value;
+};
\ No newline at end of file
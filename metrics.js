@@ -0,0 +1,185 @@
+// A tiny Prometheus registry, rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+const DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/** @type {{ render: () => string }[]} Every metric, in the order they're exported in */
+const registry = [];
+
+/**
+ * Escapes a label value.
+ * @param {string} value The value
+ * @returns {string} The escaped value
+ */
+const escapeLabel = value => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+/**
+ * Renders a set of labels.
+ * @param {Record<string, string>} labels The labels
+ * @returns {string} The labels in braces (or nothing if there are none)
+ */
+const renderLabels = labels => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}` : "";
+};
+/**
+ * Renders the HELP and TYPE lines of a metric.
+ * @param {string} name Metric name
+ * @param {string} help Description
+ * @param {string} type Metric type
+ * @returns {string} The lines
+ */
+const renderHeader = (name, help, type) => `# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}\n# TYPE ${name} ${type}\n`;
+
+export class Counter {
+    /**
+     * Constructs a new counter and registers it.
+     *
+     * @param {string} name Metric name
+     * @param {string} help Description
+     * @param {string[]} labelNames Names of its labels
+     */
+    constructor(name, help, labelNames) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        /** @type {Map<string, { labels: Record<string, string>, value: number }>} */
+        this.series = new Map();
+        registry.push(this);
+    }
+
+    /**
+     * Increases the counter of a label set.
+     *
+     * @param {Record<string, string>} labels Label values
+     * @param {number} [value] How much to add
+     */
+    inc(labels, value = 1) {
+        const key = this.labelNames.map(label => labels[label]).join("\0");
+        if(!this.series.has(key))
+            this.series.set(key, { labels: Object.fromEntries(this.labelNames.map(label => [label, labels[label]])), value: 0 });
+        this.series.get(key).value += value;
+    }
+
+    /**
+     * Renders the counter.
+     *
+     * @returns {string} The counter in the text format
+     */
+    render() {
+        let text = renderHeader(this.name, this.help, "counter");
+        for(const { labels, value } of this.series.values())
+            text += `${this.name}${renderLabels(labels)} ${value}\n`;
+        return text;
+    }
+}
+
+export class Histogram {
+    /**
+     * Constructs a new histogram and registers it.
+     *
+     * @param {string} name Metric name
+     * @param {string} help Description
+     * @param {string[]} labelNames Names of its labels
+     * @param {number[]} [buckets] Upper bounds of the buckets, ascending
+     */
+    constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        /** @type {Map<string, { labels: Record<string, string>, counts: number[], sum: number, count: number }>} */
+        this.series = new Map();
+        registry.push(this);
+    }
+
+    /**
+     * Records a value for a label set.
+     *
+     * @param {Record<string, string>} labels Label values
+     * @param {number} value The value
+     */
+    observe(labels, value) {
+        const key = this.labelNames.map(label => labels[label]).join("\0");
+        if(!this.series.has(key))
+            this.series.set(key, {
+                labels: Object.fromEntries(this.labelNames.map(label => [label, labels[label]])),
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            });
+        const series = this.series.get(key);
+        for(const [index, bound] of this.buckets.entries())
+            if(value <= bound) series.counts[index]++;
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Renders the histogram.
+     *
+     * @returns {string} The histogram in the text format
+     */
+    render() {
+        let text = renderHeader(this.name, this.help, "histogram");
+        for(const { labels, counts, sum, count } of this.series.values()) {
+            for(const [index, bound] of this.buckets.entries())
+                text += `${this.name}_bucket${renderLabels({ ...labels, le: String(bound) })} ${counts[index]}\n`;
+            text += `${this.name}_bucket${renderLabels({ ...labels, le: "+Inf" })} ${count}\n`;
+            text += `${this.name}_sum${renderLabels(labels)} ${sum}\n`;
+            text += `${this.name}_count${renderLabels(labels)} ${count}\n`;
+        }
+        return text;
+    }
+}
+
+export class Collector {
+    /**
+     * Constructs a new metric whose values are kept elsewhere and read when it's scraped, and registers it.
+     *
+     * @param {string} name Metric name
+     * @param {string} help Description
+     * @param {"gauge" | "counter"} type Metric type
+     * @param {() => [Record<string, string>, number][]} collect Gets the current values by label set
+     */
+    constructor(name, help, type, collect) {
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+        this.type = type;
+        registry.push(this);
+    }
+
+    /**
+     * Renders the metric.
+     *
+     * @returns {string} The metric in the text format
+     */
+    render() {
+        let text = renderHeader(this.name, this.help, this.type);
+        for(const [labels, value] of this.collect())
+            text += `${this.name}${renderLabels(labels)} ${value}\n`;
+        return text;
+    }
+}
+
+/**
+ * Renders every registered metric.
+ * @returns {string} The metrics in the text format
+ */
+export const renderMetrics = () => registry.map(metric => metric.render()).join("");
+
+export const queriesTotal = new Counter("yourdns_queries_total",
+    "DNS queries answered, by transport, the path that answered them, type and response code",
+    ["transport", "source", "qtype", "rcode"]);
+export const queryDuration = new Histogram("yourdns_query_duration_seconds",
+    "Time taken to answer DNS queries, by the path that answered them, type and response code",
+    ["source", "qtype", "rcode"]);
+export const upstreamQueriesTotal = new Counter("yourdns_upstream_queries_total",
+    "Queries sent to upstream servers, by upstream and result",
+    ["upstream", "result"]);
+export const upstreamDuration = new Histogram("yourdns_upstream_duration_seconds",
+    "Time taken by upstream servers to answer, failures included",
+    ["upstream"]);
+export const rateLimitedTotal = new Counter("yourdns_rate_limited_total",
+    "Queries and responses held back by rate limiting, by kind and what was done instead",
+    ["kind", "action"]);
\ No newline at end of file
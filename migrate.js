@@ -0,0 +1,30 @@
+import "dotenv/config";
+
+import { pool } from "./index.js";
+import { getAppliedMigrations, latestVersion, migrate, migrations } from "./migrations.js";
+
+// npm run migrate              brings the schema up to date
+// npm run migrate -- <version> migrates up or down to a version (down to 1, the baseline)
+// npm run migrate -- status    lists the migrations and whether they're applied
+const [ arg ] = process.argv.slice(2);
+try {
+    if(arg === "status") {
+        const applied = new Map((await getAppliedMigrations(pool)).map(migration => [migration.version, migration]));
+        for(const { version, name } of migrations) {
+            const timestamp = applied.get(version)?.timestamp;
+            console.log(`${timestamp ? "applied" : "pending"} ${version} ${name}${timestamp ? ` (${new Date(parseInt(timestamp)).toISOString()})` : ""}`);
+        }
+    } else {
+        if(arg !== undefined && !/^\d+$/.test(arg)) throw new Error(`Unknown command ${arg}`);
+        const target = arg === undefined ? latestVersion : parseInt(arg);
+        const done = await migrate(pool, target);
+        for(const { version, name, direction } of done)
+            console.log(`${direction === "up" ? "Applied" : "Reverted"} ${version} ${name}`);
+        console.log(done.length > 0 ? `The schema is at version ${target}` : `The schema is already at version ${target}`);
+    }
+} catch(e) {
+    console.error(e.message);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
\ No newline at end of file
@@ -0,0 +1,449 @@
+import { certSerial } from "./pki.js";
+import { parseUpstream } from "./upstream.js";
+
+export const CHANGES_CHANNEL = "yourdns_changes";
+// Tables whose changes are announced on CHANGES_CHANNEL, so that every instance drops its cached copies
+const NOTIFY_TABLES = ["records", "proxy_rules", "certs", "dnssec_keys", "zone_serials", "policy_lists", "views", "settings"];
+const LOCK_KEY = "yourdns_migrations";
+// Stands in for "every client" in the record constraints, since NULLs never conflict with each other
+const NO_VIEW = "'00000000-0000-0000-0000-000000000000'::uuid";
+
+/**
+ * @typedef {object} Migration A change to the database schema
+ * @prop {number} version Schema version the migration brings the database to
+ * @prop {string} name What it does
+ * @prop {(db: import("pg").PoolClient) => Promise<void>} up Applies it
+ * @prop {((db: import("pg").PoolClient) => Promise<void>) | null} down Reverts it (null if it can't be reverted)
+ */
+/**
+ * @typedef {object} AppliedMigration A migration applied to the database
+ * @prop {number} version Schema version
+ * @prop {string} name What it does
+ * @prop {string} timestamp When it was applied (decimal string)
+ */
+
+/** @type {Migration[]} Every migration, in order. Released ones must never change, add new ones instead */
+export const migrations = [
+    {
+        version: 1,
+        name: "baseline",
+        // Databases from before migrations already have some of this, so everything is only created if it's missing
+        up: async db => {
+            await db.query(`CREATE TABLE IF NOT EXISTS proxy_rules (
+                id uuid UNIQUE NOT NULL,
+                rule TEXT NOT NULL,
+                addr TEXT NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`ALTER TABLE proxy_rules ADD COLUMN IF NOT EXISTS owner TEXT`);
+            await db.query(`ALTER TABLE proxy_rules
+                ALTER COLUMN addr DROP NOT NULL,
+                ADD COLUMN IF NOT EXISTS upstreams JSONB,
+                ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS view uuid,
+                ADD COLUMN IF NOT EXISTS timestamp NUMERIC`);
+            for(const { id, addr } of (await db.query(`SELECT id, addr FROM proxy_rules WHERE upstreams IS NULL`)).rows)
+                await db.query(`UPDATE proxy_rules SET upstreams = $2 WHERE id = $1`,
+                    [id, JSON.stringify(addr.split(",").map(parseUpstream).filter(x => x))]);
+            // Rules used to be matched in the order they're stored in, so older ones keep that order
+            const unordered = (await db.query(`SELECT id FROM proxy_rules WHERE timestamp IS NULL`)).rows.map(row => row.id);
+            const now = Date.now();
+            for(const [index, id] of unordered.entries())
+                await db.query(`UPDATE proxy_rules SET timestamp = $2 WHERE id = $1`, [id, now - unordered.length + index]);
+            await db.query(`ALTER TABLE proxy_rules ALTER COLUMN timestamp SET NOT NULL`);
+            await db.query(`CREATE TABLE IF NOT EXISTS records (
+                id uuid UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                type varchar(20) NOT NULL,
+                ttl INTEGER NOT NULL,
+                value TEXT,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`ALTER TABLE records
+                ADD COLUMN IF NOT EXISTS priority INTEGER,
+                ADD COLUMN IF NOT EXISTS weight INTEGER,
+                ADD COLUMN IF NOT EXISTS port INTEGER,
+                ADD COLUMN IF NOT EXISTS flags SMALLINT,
+                ADD COLUMN IF NOT EXISTS tag TEXT,
+                ADD COLUMN IF NOT EXISTS view uuid`);
+            await db.query(`CREATE TABLE IF NOT EXISTS settings (
+                name TEXT NOT NULL,
+                value JSONB NOT NULL,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (name)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS views (
+                id uuid UNIQUE NOT NULL,
+                name TEXT UNIQUE NOT NULL,
+                clients TEXT[] NOT NULL,
+                priority INTEGER NOT NULL,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS certs (
+                id uuid UNIQUE NOT NULL,
+                domain TEXT NOT NULL,
+
+                key bytea NOT NULL,
+                cert bytea NOT NULL,
+
+                timestamp NUMERIC NOT NULL,
+                until NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`ALTER TABLE certs
+                ALTER COLUMN key DROP NOT NULL,
+                ADD COLUMN IF NOT EXISTS names TEXT[],
+                ADD COLUMN IF NOT EXISTS key_type TEXT,
+                ADD COLUMN IF NOT EXISTS serial TEXT,
+                ADD COLUMN IF NOT EXISTS superseded NUMERIC,
+                ADD COLUMN IF NOT EXISTS cross_cert bytea,
+                ADD COLUMN IF NOT EXISTS acme_order uuid`);
+            for(const { id, cert } of (await db.query(`SELECT id, cert FROM certs WHERE serial IS NULL`)).rows)
+                await db.query(`UPDATE certs SET serial = $2 WHERE id = $1`, [id, certSerial(cert)]);
+            await db.query(`CREATE TABLE IF NOT EXISTS revoked_certs (
+                id uuid UNIQUE NOT NULL,
+                serial TEXT UNIQUE NOT NULL,
+                domain TEXT NOT NULL,
+                reason SMALLINT NOT NULL,
+                revoked NUMERIC NOT NULL,
+                until NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS dnssec_keys (
+                id uuid UNIQUE NOT NULL,
+                base TEXT NOT NULL,
+                role varchar(3) NOT NULL,
+                algorithm SMALLINT NOT NULL,
+
+                key bytea NOT NULL,
+                public bytea NOT NULL,
+
+                timestamp NUMERIC NOT NULL,
+                activate NUMERIC NOT NULL,
+                retire NUMERIC,
+                remove NUMERIC,
+
+                PRIMARY KEY (id)
+            )`);
+
+            await db.query(`CREATE TABLE IF NOT EXISTS zone_serials (
+                base TEXT NOT NULL,
+                serial BIGINT NOT NULL,
+
+                PRIMARY KEY (base)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS zone_journal (
+                base TEXT NOT NULL,
+                serial BIGINT NOT NULL,
+                removed JSONB NOT NULL,
+                added JSONB NOT NULL,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (base, serial)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS tsig_keys (
+                id uuid UNIQUE NOT NULL,
+                base TEXT NOT NULL,
+                name TEXT UNIQUE NOT NULL,
+                algorithm TEXT NOT NULL,
+                secret bytea NOT NULL,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS acme_accounts (
+                id uuid UNIQUE NOT NULL,
+                thumbprint TEXT UNIQUE NOT NULL,
+                jwk JSONB NOT NULL,
+                contact TEXT[] NOT NULL,
+                status TEXT NOT NULL,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS acme_orders (
+                id uuid UNIQUE NOT NULL,
+                account uuid NOT NULL,
+                status TEXT NOT NULL,
+                identifiers JSONB NOT NULL,
+                authzs uuid[] NOT NULL,
+                expires NUMERIC NOT NULL,
+                error JSONB,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS acme_authzs (
+                id uuid UNIQUE NOT NULL,
+                account uuid NOT NULL,
+                identifier TEXT NOT NULL,
+                wildcard BOOLEAN NOT NULL,
+                status TEXT NOT NULL,
+                token TEXT NOT NULL,
+                expires NUMERIC NOT NULL,
+                validated NUMERIC,
+                error JSONB,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS acme_nonces (
+                nonce TEXT UNIQUE NOT NULL,
+                until NUMERIC NOT NULL,
+
+                PRIMARY KEY (nonce)
+            )`);
+
+            await db.query(`CREATE TABLE IF NOT EXISTS policy_lists (
+                id uuid UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                format varchar(5) NOT NULL,
+                kind varchar(5) NOT NULL,
+                action varchar(8) NOT NULL,
+                redirect TEXT,
+                clients TEXT[] NOT NULL,
+                priority INTEGER NOT NULL,
+                entries INTEGER NOT NULL,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS policy_entries (
+                list uuid NOT NULL,
+                name TEXT NOT NULL,
+                wildcard BOOLEAN NOT NULL,
+                action varchar(8),
+                data JSONB,
+
+                PRIMARY KEY (list, name, wildcard)
+            )`);
+
+            await db.query(`CREATE TABLE IF NOT EXISTS api_tokens (
+                id uuid UNIQUE NOT NULL,
+                owner TEXT NOT NULL,
+                hash TEXT UNIQUE NOT NULL,
+                permissions TEXT[] NOT NULL,
+                name TEXT,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE TABLE IF NOT EXISTS audit_log (
+                id uuid UNIQUE NOT NULL,
+                actor TEXT NOT NULL,
+                action TEXT NOT NULL,
+                target TEXT NOT NULL,
+                before JSONB,
+                after JSONB,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE OR REPLACE FUNCTION yourdns_notify() RETURNS trigger AS $$
+            BEGIN
+                PERFORM pg_notify('${CHANGES_CHANNEL}', TG_TABLE_NAME);
+                RETURN NULL;
+            END;
+            $$ LANGUAGE plpgsql`);
+            for(const table of NOTIFY_TABLES)
+                await db.query(`DO $$ BEGIN
+                    IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = '${table}_notify') THEN
+                        CREATE TRIGGER ${table}_notify AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON ${table}
+                        FOR EACH STATEMENT EXECUTE FUNCTION yourdns_notify();
+                    END IF;
+                END $$`);
+        },
+        // It adopts databases that were set up before migrations, so reverting it would drop all of their data
+        down: null
+    },
+    {
+        version: 2,
+        name: "indexes for name and domain lookups",
+        up: async db => {
+            // Names are matched exactly, by prefix (owner records) and by suffix (everything under a base),
+            // which only a reversed index can serve
+            await db.query(`CREATE INDEX IF NOT EXISTS records_name ON records (name text_pattern_ops, type)`);
+            await db.query(`CREATE INDEX IF NOT EXISTS records_name_reverse ON records (reverse(name) text_pattern_ops)`);
+            await db.query(`CREATE INDEX IF NOT EXISTS records_view ON records (view) WHERE view IS NOT NULL`);
+            await db.query(`CREATE INDEX IF NOT EXISTS certs_domain ON certs (domain)`);
+            await db.query(`CREATE INDEX IF NOT EXISTS certs_domain_reverse ON certs (reverse(domain) text_pattern_ops)`);
+            await db.query(`CREATE INDEX IF NOT EXISTS certs_serial ON certs (serial)`);
+            await db.query(`CREATE INDEX IF NOT EXISTS dnssec_keys_base ON dnssec_keys (base)`);
+            await db.query(`CREATE INDEX IF NOT EXISTS audit_log_timestamp ON audit_log (timestamp)`);
+        },
+        down: async db => {
+            for(const index of ["records_name", "records_name_reverse", "records_view", "certs_domain",
+                "certs_domain_reverse", "certs_serial", "dnssec_keys_base", "audit_log_timestamp"])
+                await db.query(`DROP INDEX IF EXISTS ${index}`);
+        }
+    },
+    {
+        version: 3,
+        name: "no duplicate records or CNAMEs sharing their names",
+        up: async db => {
+            // Duplicates are the same record served twice, so all but the oldest one go
+            await db.query(`DELETE FROM records WHERE id IN (SELECT a.id FROM records a JOIN records b
+                ON a.name = b.name AND a.type = b.type AND a.value IS NOT DISTINCT FROM b.value
+                AND a.priority IS NOT DISTINCT FROM b.priority AND a.weight IS NOT DISTINCT FROM b.weight
+                AND a.port IS NOT DISTINCT FROM b.port AND a.flags IS NOT DISTINCT FROM b.flags
+                AND a.tag IS NOT DISTINCT FROM b.tag AND a.view IS NOT DISTINCT FROM b.view
+                WHERE a.timestamp > b.timestamp OR a.timestamp = b.timestamp AND a.id > b.id)`);
+            // Which of the records next to a CNAME should stay is up to whoever made them
+            const conflicts = (await db.query(`SELECT DISTINCT a.name FROM records a JOIN records b
+                ON a.name = b.name AND a.id != b.id AND a.view IS NOT DISTINCT FROM b.view
+                WHERE a.type = 'CNAME'
+                ORDER BY a.name ASC`)).rows.map(row => row.name);
+            if(conflicts.length > 0)
+                throw new Error(`CNAMEs share their names with other records (${conflicts.join(", ")}), `
+                    + "fix them and run the migrations again");
+
+            // Values are hashed, long TXT records wouldn't fit in an index
+            await db.query(`CREATE UNIQUE INDEX records_unique ON records (name, type, md5(COALESCE(value, '')),
+                COALESCE(priority, -1), COALESCE(weight, -1), COALESCE(port, -1), COALESCE(flags, -1),
+                COALESCE(tag, ''), COALESCE(view, ${NO_VIEW}))`);
+            // A CNAME can't share its name with anything else (RFC 1034 §3.6.2), within the same view
+            await db.query(`CREATE OR REPLACE FUNCTION yourdns_cname_exclusive() RETURNS trigger AS $$
+            BEGIN
+                -- Concurrent transactions adding records under the same name wait for each other
+                PERFORM pg_advisory_xact_lock(hashtext('records:' || NEW.name));
+                IF EXISTS (SELECT 1 FROM records
+                    WHERE name = NEW.name AND id != NEW.id AND view IS NOT DISTINCT FROM NEW.view
+                    AND (type = 'CNAME' OR NEW.type = 'CNAME')) THEN
+                    RAISE EXCEPTION 'A CNAME can''t share its name with other records (%)', NEW.name
+                        USING ERRCODE = 'unique_violation', CONSTRAINT = 'records_cname_exclusive';
+                END IF;
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql`);
+            await db.query(`CREATE TRIGGER records_cname_exclusive BEFORE INSERT OR UPDATE OF name, type, view ON records
+                FOR EACH ROW EXECUTE FUNCTION yourdns_cname_exclusive()`);
+        },
+        down: async db => {
+            await db.query(`DROP TRIGGER IF EXISTS records_cname_exclusive ON records`);
+            await db.query(`DROP FUNCTION IF EXISTS yourdns_cname_exclusive()`);
+            await db.query(`DROP INDEX IF EXISTS records_unique`);
+        }
+    },
+    {
+        version: 4,
+        name: "record history",
+        up: async db => {
+            await db.query(`CREATE TABLE record_history (
+                id uuid UNIQUE NOT NULL,
+                -- Orders changes made within the same millisecond
+                seq BIGSERIAL NOT NULL,
+                record uuid NOT NULL,
+                action varchar(6) NOT NULL,
+                name TEXT NOT NULL,
+                old_name TEXT,
+                before JSONB,
+                after JSONB,
+                timestamp NUMERIC NOT NULL,
+
+                PRIMARY KEY (id)
+            )`);
+            await db.query(`CREATE INDEX record_history_record ON record_history (record, seq)`);
+            await db.query(`CREATE INDEX record_history_name ON record_history (name)`);
+            await db.query(`CREATE INDEX record_history_name_reverse ON record_history (reverse(name) text_pattern_ops)`);
+            await db.query(`CREATE INDEX record_history_old_name ON record_history (old_name) WHERE old_name IS NOT NULL`);
+            await db.query(`CREATE INDEX record_history_old_name_reverse ON record_history (reverse(old_name) text_pattern_ops)
+                WHERE old_name IS NOT NULL`);
+            await db.query(`CREATE INDEX record_history_timestamp ON record_history (timestamp)`);
+        },
+        down: async db => {
+            await db.query(`DROP TABLE IF EXISTS record_history`);
+        }
+    }
+];
+
+export const latestVersion = migrations[migrations.length - 1].version;
+
+/**
+ * Creates the table keeping track of applied migrations, if it's missing.
+ * @param {import("pg").Pool | import("pg").PoolClient} db Pool or client to use
+ */
+const ensureVersionTable = async db => {
+    await db.query(`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        timestamp NUMERIC NOT NULL,
+
+        PRIMARY KEY (version)
+    )`);
+};
+
+/**
+ * Gets the migrations applied to the database, oldest first.
+ * @param {import("pg").Pool | import("pg").PoolClient} db Pool or client to use
+ * @returns {AppliedMigration[]} The migrations
+ */
+export const getAppliedMigrations = async db => {
+    await ensureVersionTable(db);
+    return (await db.query(`SELECT * FROM schema_version ORDER BY version ASC`)).rows;
+};
+
+/**
+ * Gets the schema version of the database.
+ * @param {import("pg").Pool | import("pg").PoolClient} db Pool or client to use
+ * @returns {number} The version (0 if nothing was applied yet)
+ */
+export const getSchemaVersion = async db => {
+    const applied = await getAppliedMigrations(db);
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+};
+
+/**
+ * Brings the database to a schema version, applying or reverting migrations one by one,
+ * each in its own transaction. Instances starting at the same time wait for each other.
+ * @param {import("pg").Pool} pool The pool
+ * @param {number} [target] Version to migrate to (the latest one by default)
+ * @returns {{ version: number, name: string, direction: "up" | "down" }[]} The migrations applied or reverted, in order
+ * @throws {Error} If the database is newer than the migrations we know, a migration can't be reverted or fails
+ */
+export const migrate = async (pool, target = latestVersion) => {
+    if(target < 0 || target > latestVersion) throw new Error(`Unknown schema version ${target}`);
+    const client = await pool.connect();
+    try {
+        await client.query(`SELECT pg_advisory_lock(hashtext($1))`, [LOCK_KEY]);
+        const current = await getSchemaVersion(client);
+        if(current > latestVersion)
+            throw new Error(`The database schema is at version ${current}, newer than this server knows (${latestVersion})`);
+
+        const steps = current < target
+            ? migrations.filter(migration => migration.version > current && migration.version <= target)
+                .map(migration => ({ migration, direction: "up" }))
+            : migrations.filter(migration => migration.version <= current && migration.version > target).reverse()
+                .map(migration => ({ migration, direction: "down" }));
+        const irreversible = steps.find(({ migration, direction }) => direction === "down" && !migration.down);
+        if(irreversible)
+            throw new Error(`Migration ${irreversible.migration.version} (${irreversible.migration.name}) can't be reverted`);
+        const done = [];
+        for(const { migration, direction } of steps) {
+            try {
+                await client.query("BEGIN");
+                await migration[direction](client);
+                if(direction === "up")
+                    await client.query(`INSERT INTO schema_version (version, name, timestamp) VALUES ($1, $2, $3)`,
+                        [migration.version, migration.name, Date.now()]);
+                else await client.query(`DELETE FROM schema_version WHERE version = $1`, [migration.version]);
+                await client.query("COMMIT");
+            } catch(e) {
+                await client.query("ROLLBACK");
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+            }
+            done.push({ version: migration.version, name: migration.name, direction });
+        }
+        return done;
+    } finally {
+        await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+};
\ No newline at end of file
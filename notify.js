@@ -0,0 +1,99 @@
+import dgram from "dgram";
+import { isIPv6 } from "net";
+import { randomInt } from "crypto";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { changes, getZone, getZoneSerials } from "./index.js";
+import { makeSOA } from "./zone.js";
+
+const OPCODE_NOTIFY = 4;
+const NOTIFY_DELAY_MS = 1000;
+const NOTIFY_TIMEOUT_MS = 2000;
+const NOTIFY_ATTEMPTS = 5;
+
+/**
+ * Parses a secondary from SECONDARIES ("address", "address:port" or "[IPv6]:port").
+ * @param {string} entry The entry
+ * @returns {{ address: string, port: number }} The secondary
+ */
+const parseSecondary = entry => {
+    const match = entry.match(/^\[(.+)\](?::(\d+))?$/) ?? (isIPv6(entry) ? null : entry.match(/^([^:]+)(?::(\d+))?$/));
+    return match ? { address: match[1], port: parseInt(match[2] ?? "53") } : { address: entry, port: 53 };
+};
+/** @type {{ address: string, port: number }[]} Secondaries that get NOTIFYs */
+export const secondaries = (process.env.SECONDARIES ?? "").split(",").map(x => x.trim()).filter(x => x).map(parseSecondary);
+
+/**
+ * Tells a secondary that a base changed (RFC 1996), retrying until it acknowledges.
+ * @param {string} base The base
+ * @param {object} soa The current SOA resource of the base
+ * @param {{ address: string, port: number }} secondary The secondary
+ */
+const sendNotify = (base, soa, secondary) => new Promise(resolve => {
+    const socket = dgram.createSocket(isIPv6(secondary.address) ? "udp6" : "udp4");
+    const message = new Packet({ id: randomInt(65536), opcode: OPCODE_NOTIFY, aa: 1 });
+    message.questions.push({ name: base, type: Packet.TYPE.SOA, class: Packet.CLASS.IN });
+    message.answers.push(soa);
+    const buf = message.toBuffer();
+
+    let attempts = 0, timer = null, finished = false;
+    const finish = () => {
+        if(finished) return;
+        finished = true;
+        clearTimeout(timer);
+        socket.close();
+        resolve();
+    };
+    const attempt = () => {
+        if(attempts++ === NOTIFY_ATTEMPTS) {
+            console.error(`${secondary.address} didn't acknowledge the NOTIFY for ${base}`);
+            return finish();
+        }
+        socket.send(buf, secondary.port, secondary.address);
+        timer = setTimeout(attempt, NOTIFY_TIMEOUT_MS);
+    };
+    socket.on("message", data => {
+        if(data.length >= 4 && data.readUInt16BE(0) === message.header.id && (data[2] & 0x80)) finish();
+    });
+    socket.on("error", e => {
+        console.error(`Couldn't send a NOTIFY to ${secondary.address}:`, e.message);
+        finish();
+    });
+    attempt();
+});
+
+/**
+ * Starts sending NOTIFYs to the secondaries whenever the serial of a base changes.
+ * @returns {() => void} Stops it
+ */
+export const startNotify = () => {
+    if(secondaries.length === 0) return () => {};
+    /** @type {Map<string, number> | null} */
+    let known = null;
+    let timer = null;
+    const check = async () => {
+        timer = null;
+        try {
+            const serials = new Map((await getZoneSerials()).map(row => [row.base, Number(row.serial)]));
+            if(known)
+                for(const [base, serial] of serials)
+                    if(known.get(base) !== serial && await getZone(base) === base) {
+                        const soa = { ...await makeSOA(base), serial };
+                        for(const secondary of secondaries) sendNotify(base, soa, secondary);
+                    }
+            known = serials;
+        } catch(e) {
+            console.error("Couldn't check for zone changes:", e.message);
+        }
+    };
+    // Changes come in bursts (batches, zone imports, updates), so they're collected for a moment
+    const schedule = () => {
+        timer ??= setTimeout(check, NOTIFY_DELAY_MS);
+    };
+    changes.on("zone_serials", schedule);
+    check();
+    return () => {
+        changes.off("zone_serials", schedule);
+        clearTimeout(timer);
+    };
+};
\ No newline at end of file
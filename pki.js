@@ -0,0 +1,299 @@
+import { createHash, createPrivateKey, createPublicKey, sign, verify } from "crypto";
+import forge from "node-forge";
+const { pki, asn1 } = forge;
+
+const OID_SHA256_RSA = "1.2.840.113549.1.1.11";
+const OID_OCSP = "1.3.6.1.5.5.7.48.1";
+const OID_OCSP_BASIC = "1.3.6.1.5.5.7.48.1.1";
+const OID_OCSP_NONCE = "1.3.6.1.5.5.7.48.1.2";
+const OID_AUTHORITY_INFO_ACCESS = "1.3.6.1.5.5.7.1.1";
+const OID_CRL_NUMBER = "2.5.29.20";
+const OID_CRL_REASON = "2.5.29.21";
+const OID_EXTENSION_REQUEST = "1.2.840.113549.1.9.14";
+const OID_SUBJECT_ALT_NAME = "2.5.29.17";
+const OID_COMMON_NAME = "2.5.4.3";
+const HASH_OIDS = {
+    "1.3.14.3.2.26": "sha1",
+    "2.16.840.1.101.3.4.2.1": "sha256",
+    "2.16.840.1.101.3.4.2.2": "sha384",
+    "2.16.840.1.101.3.4.2.3": "sha512"
+};
+const SIGNATURE_OIDS = {
+    "1.2.840.113549.1.1.5": "sha1",
+    "1.2.840.113549.1.1.11": "sha256",
+    "1.2.840.113549.1.1.12": "sha384",
+    "1.2.840.113549.1.1.13": "sha512",
+    "1.2.840.10045.4.3.2": "sha256",
+    "1.2.840.10045.4.3.3": "sha384",
+    "1.2.840.10045.4.3.4": "sha512"
+};
+// OCSP response statuses (RFC 6960 §4.2.1)
+const OCSP_SUCCESSFUL = 0;
+const OCSP_MALFORMED = 1;
+
+const CRL_VALID_MS = 24 * 3600 * 1000;
+const OCSP_VALID_MS = 3600 * 1000;
+
+/** @typedef {"unspecified" | "keyCompromise" | "affiliationChanged" | "superseded" | "cessationOfOperation"} RevocationReason */
+/** Revocation reason codes (RFC 5280 §5.3.1) */
+export const revocationReasons = {
+    unspecified: 0,
+    keyCompromise: 1,
+    affiliationChanged: 3,
+    superseded: 4,
+    cessationOfOperation: 5
+};
+
+/**
+ * @typedef {object} RevokedCert A revoked certificate
+ * @prop {string} serial Serial number (hex)
+ * @prop {string} revoked Revocation timestamp (decimal string)
+ * @prop {number} reason Reason code
+ */
+/**
+ * @typedef {object} CertStatus What OCSP says about a certificate
+ * @prop {"good" | "revoked" | "unknown"} status The status
+ * @prop {number} [revoked] Revocation timestamp
+ * @prop {number} [reason] Reason code
+ */
+
+// Bit strings are kept as raw bytes, forge would otherwise try to decode keys and signatures in them
+const fromBuffer = buf => asn1.fromDer(buf.toString("binary"), { decodeBitStrings: false });
+const toBuffer = obj => Buffer.from(asn1.toDer(obj).getBytes(), "binary");
+const seq = values => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+const oid = id => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(id).getBytes());
+const int = n => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(n).getBytes());
+const octets = buf => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, buf.toString("binary"));
+const bits = buf => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, "\0" + buf.toString("binary"));
+const generalizedTime = date => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+    asn1.dateToGeneralizedTime(date));
+const explicit = (tag, value) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, [value]);
+const sha256RSA = () => seq([oid(OID_SHA256_RSA), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, "")]);
+
+/**
+ * Normalizes a hex serial number so that serials from different sources compare equal.
+ * @param {string} serial Serial number (hex)
+ * @returns {string} Uppercase serial as minimally encoded in DER (a leading zero byte only keeps it positive)
+ */
+export const normalizeSerial = serial => {
+    serial = serial.toUpperCase();
+    while(serial.startsWith("00") && serial.length > 2 && parseInt(serial[2], 16) < 8)
+        serial = serial.slice(2);
+    return serial;
+};
+
+/**
+ * Reads the serial number of a certificate.
+ * @param {Buffer} cert The certificate (DER)
+ * @returns {string} The serial (normalized hex)
+ */
+export const certSerial = cert => normalizeSerial(forge.util.bytesToHex(fromBuffer(cert).value[0].value[1].value));
+
+/**
+ * Signs data with the CA key.
+ * @param {Buffer} data Data to sign
+ * @param {import("./index.js").CertPair} ca The CA pair
+ * @returns {Buffer} The signature (RSA PKCS#1 v1.5 with SHA-256)
+ */
+const caSign = (data, ca) => sign("sha256", data,
+    createPrivateKey({ key: Buffer.from(ca.key, "hex"), format: "der", type: "pkcs1" }));
+
+/**
+ * Gets parts of the CA certificate that go into CRLs and OCSP responses.
+ * @param {import("./index.js").CertPair} ca The CA pair
+ * @returns {{ subject: object, publicKey: Buffer }} Subject name (ASN.1) and the public key bits
+ */
+const caParts = ca => {
+    const tbs = fromBuffer(Buffer.from(ca.cert, "hex")).value[0];
+    const spki = tbs.value[6];
+    return {
+        subject: tbs.value[5],
+        publicKey: Buffer.from(spki.value[1].value, "binary").subarray(1)
+    };
+};
+
+/**
+ * Signs a certificate built with forge using the CA key.
+ * forge only knows RSA keys, so the subject public key is spliced in as-is, which also allows ECDSA keys.
+ * @param {import("node-forge").pki.Certificate} cert The certificate (without a public key)
+ * @param {Buffer} publicKey Subject public key (SPKI DER)
+ * @param {import("./index.js").CertPair} ca The CA pair
+ * @returns {Buffer} The certificate (DER)
+ */
+export const signCertificate = (cert, publicKey, ca) => {
+    cert.publicKey = pki.setRsaPublicKey(new forge.jsbn.BigInteger("1"), new forge.jsbn.BigInteger("1"));
+    cert.siginfo.algorithmOid = cert.signatureOid = OID_SHA256_RSA;
+    const tbs = pki.getTBSCertificate(cert);
+    tbs.value[6] = fromBuffer(publicKey);
+    const tbsDer = toBuffer(tbs);
+    return toBuffer(seq([tbs, sha256RSA(), bits(caSign(tbsDer, ca))]));
+};
+
+/**
+ * Builds the Authority Information Access extension pointing to our OCSP responder.
+ * @param {string} url OCSP responder URL
+ * @returns {object} The extension (for forge)
+ */
+export const ocspExtension = url => ({
+    id: OID_AUTHORITY_INFO_ACCESS,
+    value: seq([seq([
+        oid(OID_OCSP),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 6, false, url)
+    ])])
+});
+
+/**
+ * Parses and verifies a PKCS#10 certificate signing request.
+ * @param {string | Buffer} pem The CSR (PEM, or DER as ACME sends it)
+ * @returns {{ publicKey: Buffer, keyType: "rsa" | "ec", names: string[] }} Subject public key (SPKI DER),
+ * its type and the requested names (common name first)
+ */
+export const parseCSR = pem => {
+    let der = pem;
+    if(!Buffer.isBuffer(pem)) {
+        const match = pem.match(/-----BEGIN (?:NEW )?CERTIFICATE REQUEST-----([\s\S]+?)-----END (?:NEW )?CERTIFICATE REQUEST-----/);
+        if(!match) throw new Error("Not a PEM certificate request");
+        der = Buffer.from(match[1].replace(/\s/g, ""), "base64");
+    }
+    const csr = fromBuffer(der);
+    const [ info, algorithm, signature ] = csr.value;
+
+    const publicKey = toBuffer(info.value[2]);
+    const key = createPublicKey({ key: publicKey, format: "der", type: "spki" });
+    if(key.asymmetricKeyType !== "rsa" && key.asymmetricKeyType !== "ec")
+        throw new Error("Unsupported key type");
+    const hash = SIGNATURE_OIDS[asn1.derToOid(algorithm.value[0].value)];
+    if(!hash) throw new Error("Unsupported signature algorithm");
+    if(!verify(hash, toBuffer(info), key, Buffer.from(signature.value, "binary").subarray(1)))
+        throw new Error("Invalid signature");
+
+    const names = [];
+    for(const rdn of info.value[1].value)
+        for(const attr of rdn.value)
+            if(asn1.derToOid(attr.value[0].value) === OID_COMMON_NAME) names.push(attr.value[1].value);
+    for(const attribute of info.value[3]?.value ?? []) {
+        if(asn1.derToOid(attribute.value[0].value) !== OID_EXTENSION_REQUEST) continue;
+        for(const extension of attribute.value[1].value[0]?.value ?? []) {
+            if(asn1.derToOid(extension.value[0].value) !== OID_SUBJECT_ALT_NAME) continue;
+            const altNames = asn1.fromDer(extension.value[extension.value.length - 1].value);
+            for(const altName of altNames.value)
+                if(altName.type === 2 && !names.includes(altName.value)) names.push(altName.value);
+        }
+    }
+    return { publicKey, keyType: key.asymmetricKeyType, names };
+};
+
+/**
+ * Builds a CRL signed by the CA (RFC 5280 §5).
+ * @param {import("./index.js").CertPair} ca The CA pair
+ * @param {RevokedCert[]} revoked Revoked certificates
+ * @param {number} number CRL number (must increase with every CRL issued)
+ * @returns {Buffer} The CRL (DER)
+ */
+export const buildCRL = (ca, revoked, number) => {
+    const now = new Date();
+    const entries = revoked.map(cert => seq([
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, forge.util.hexToBytes(cert.serial)),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(new Date(Number(cert.revoked)))),
+        seq([seq([
+            oid(OID_CRL_REASON),
+            octets(toBuffer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(cert.reason))))
+        ])])
+    ]));
+    const tbs = seq([
+        int(1),
+        sha256RSA(),
+        caParts(ca).subject,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(now)),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(new Date(now.getTime() + CRL_VALID_MS))),
+        ...(entries.length > 0 ? [seq(entries)] : []),
+        explicit(0, seq([seq([oid(OID_CRL_NUMBER), octets(toBuffer(int(number)))])]))
+    ]);
+    return toBuffer(seq([tbs, sha256RSA(), bits(caSign(toBuffer(tbs), ca))]));
+};
+
+/**
+ * Makes an OCSP response that carries no data, just an error status.
+ * @param {number} status Response status
+ * @returns {Buffer} The response (DER)
+ */
+const ocspError = status => toBuffer(seq([
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(status))
+]));
+
+/**
+ * Answers an OCSP request (RFC 6960) directly with the key of the CA that issued the certs in question.
+ * @param {Buffer} request The request (DER)
+ * @param {import("./index.js").CertPair[]} cas CA pairs that may have issued the certs
+ * @param {(serial: string) => Promise<CertStatus>} lookup Looks up the status of a serial we issued
+ * @returns {Buffer} The response (DER)
+ */
+export const answerOCSP = async (request, cas, lookup) => {
+    let requests, nonce;
+    try {
+        const tbsRequest = fromBuffer(request).value[0];
+        // version and requestorName are optional and tagged, the request list is the first plain SEQUENCE
+        const list = tbsRequest.value.find(part => part.tagClass === asn1.Class.UNIVERSAL);
+        requests = list.value.map(single => single.value[0]);
+        const extensions = tbsRequest.value.find(part => part.tagClass === asn1.Class.CONTEXT_SPECIFIC && part.type === 2);
+        nonce = extensions?.value[0].value.find(extension => asn1.derToOid(extension.value[0].value) === OID_OCSP_NONCE);
+    } catch(_) {
+        return ocspError(OCSP_MALFORMED);
+    }
+    if(!requests?.length) return ocspError(OCSP_MALFORMED);
+
+    const issuers = cas.map(ca => {
+        const { subject, publicKey } = caParts(ca);
+        return { ca, subject: toBuffer(subject), publicKey };
+    });
+    const issuerOf = certID => {
+        const [ algorithm, nameHash, keyHash ] = certID.value;
+        const hash = HASH_OIDS[asn1.derToOid(algorithm.value[0].value)];
+        return hash && issuers.find(issuer =>
+            createHash(hash).update(issuer.subject).digest("binary") === nameHash.value
+            && createHash(hash).update(issuer.publicKey).digest("binary") === keyHash.value);
+    };
+    // A response is signed by a single CA, certs of other CAs in the same request are reported as unknown
+    const responder = requests.map(issuerOf).find(issuer => issuer) ?? issuers[0];
+    const { ca, publicKey } = responder;
+    const now = new Date();
+    const responses = [];
+    for(const certID of requests) {
+        const serial = certID.value[3];
+        const status = issuerOf(certID) === responder
+            ? await lookup(normalizeSerial(forge.util.bytesToHex(serial.value)))
+            : { status: "unknown" };
+
+        let certStatus;
+        if(status.status === "good")
+            certStatus = asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, "");
+        else if(status.status === "revoked")
+            certStatus = asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+                generalizedTime(new Date(status.revoked)),
+                explicit(0, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(status.reason)))
+            ]);
+        else certStatus = asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, "");
+        responses.push(seq([
+            certID,
+            certStatus,
+            generalizedTime(now),
+            explicit(0, generalizedTime(new Date(now.getTime() + OCSP_VALID_MS)))
+        ]));
+    }
+
+    const responseData = seq([
+        explicit(2, octets(createHash("sha1").update(publicKey).digest())),
+        generalizedTime(now),
+        seq(responses),
+        ...(nonce ? [explicit(1, seq([nonce]))] : [])
+    ]);
+    const basic = seq([
+        responseData,
+        sha256RSA(),
+        bits(caSign(toBuffer(responseData), ca))
+    ]);
+    return toBuffer(seq([
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(OCSP_SUCCESSFUL)),
+        explicit(0, seq([oid(OID_OCSP_BASIC), octets(toBuffer(basic))]))
+    ]));
+};
\ No newline at end of file
@@ -0,0 +1,288 @@
+import { isIP, isIPv4, isIPv6 } from "net";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { getPolicies } from "./index.js";
+import { parseZone } from "./zone.js";
+import { recordToResource, resolveQuery, typeName } from "./resolver.js";
+import { inAddressList, makeAddressList } from "./acl.js";
+import { REGEX_HOSTNAME } from "./regex.js";
+
+const POLICY_TTL = parseInt(process.env.POLICY_TTL ?? "60");
+const HITS_SIZE = parseInt(process.env.POLICY_HITS_SIZE ?? "1000");
+// Addresses hosts files point blocked names at, rather than somewhere to redirect to
+const SINKHOLES = ["0.0.0.0", "127.0.0.1", "::", "::1"];
+// Names hosts files map for the machine itself
+const LOCAL_NAMES = ["localhost", "localhost.localdomain", "local", "broadcasthost", "ip6-localhost", "ip6-loopback"];
+// RPZ triggers on things other than the queried name (RPZ draft §4)
+const UNSUPPORTED_TRIGGERS = ["rpz-ip", "rpz-nsip", "rpz-nsdname", "rpz-client-ip"];
+
+export const policyFormats = ["hosts", "rpz"];
+export const policyKinds = ["block", "allow"];
+export const policyActions = ["nxdomain", "nodata", "null", "redirect"];
+
+/**
+ * @typedef {object} ParsedPolicyList A parsed blocklist or allowlist
+ * @prop {import("./index.js").PolicyEntry[]} entries Entries to store
+ * @prop {{ line: number, name: string, reason: string }[]} ignored Lines that were skipped
+ */
+/**
+ * @typedef {object} PolicyHit A query a policy list matched
+ * @prop {number} time When it happened (ms)
+ * @prop {string} client Who sent the query
+ * @prop {string} name The queried name
+ * @prop {string | number} type The queried type
+ * @prop {import("crypto").UUID} list The list that matched
+ * @prop {string} action What the query got
+ */
+
+/**
+ * Gets the key telling entries apart within a list.
+ * @param {string} name The name
+ * @param {boolean} wildcard Whether the entry is a wildcard
+ * @returns {string} The key
+ */
+const entryKey = (name, wildcard) => wildcard ? `*.${name}` : name;
+
+/**
+ * Parses a hosts file ("0.0.0.0 ads.example.com"), a list of plain names or an Adblock-style list ("||ads.example.com^").
+ * Names pointed at 0.0.0.0 or localhost are blocked with the list's action, names pointed anywhere else are redirected there.
+ * @param {string} text The list
+ * @returns {ParsedPolicyList} The parsed list
+ */
+export const parseHostsList = text => {
+    /** @type {Map<string, import("./index.js").PolicyEntry>} */
+    const entries = new Map();
+    const ignored = [];
+    for(const [index, raw] of text.split("\n").entries()) {
+        const line = index + 1;
+        const tokens = raw.replace(/#.*/, "").replace(/^\s*!.*/, "").trim().split(/\s+/).filter(x => x);
+        if(tokens.length === 0) continue;
+        const address = isIP(tokens[0]) ? tokens.shift() : null;
+        for(const token of tokens) {
+            let name = token.replace(/^\|\|/, "").replace(/\^$/, "").replace(/\.$/, "").toLowerCase();
+            if(LOCAL_NAMES.includes(name) || isIP(name)) continue;
+            const wildcard = name.startsWith("*.");
+            if(wildcard) name = name.slice(2);
+            if(!REGEX_HOSTNAME.test(name)) {
+                ignored.push({ line, name: token, reason: "Invalid name" });
+                continue;
+            }
+            const key = entryKey(name, wildcard);
+            const entry = entries.get(key) ?? { name, wildcard, action: null, data: null };
+            if(address !== null && !SINKHOLES.includes(address)) {
+                entry.action = "redirect";
+                entry.data = [...entry.data ?? [], { type: isIPv4(address) ? "A" : "AAAA", value: address, ttl: POLICY_TTL }];
+            }
+            entries.set(key, entry);
+        }
+    }
+    return { entries: [...entries.values()], ignored };
+};
+
+/**
+ * Parses a response policy zone (RPZ draft §3, QNAME triggers only).
+ * "CNAME ." blocks with NXDOMAIN, "CNAME *." with NODATA, "CNAME rpz-passthru." lets the name through,
+ * and any other records are answered instead of the real ones.
+ * @param {string} text The zone file
+ * @param {string} [origin] Origin of the zone (taken from $ORIGIN or the SOA if not given)
+ * @returns {ParsedPolicyList} The parsed list
+ * @throws {Error} If the zone file is invalid
+ */
+export const parseRpzList = (text, origin) => {
+    origin ??= text.match(/^\$ORIGIN\s+(\S+)/im)?.[1] ?? text.match(/^(\S+\.)\s+(?:\S+\s+){0,2}SOA\s/im)?.[1];
+    if(!origin) throw new Error("Missing origin");
+    origin = origin.toLowerCase().replace(/\.$/, "");
+    const zone = parseZone(text, origin);
+    /** @type {Map<string, import("./index.js").PolicyEntry>} */
+    const entries = new Map();
+    const ignored = zone.ignored.map(({ line, name, reason }) => ({ line, name, reason }));
+    for(const record of zone.records) {
+        const skip = reason => ignored.push({ line: record.line, name: record.name, reason });
+        if(record.name === origin) {
+            skip("Not a trigger");
+            continue;
+        }
+        let name = record.name.slice(0, -origin.length - 1);
+        if(name.split(".").some(label => UNSUPPORTED_TRIGGERS.includes(label))) {
+            skip("Unsupported trigger");
+            continue;
+        }
+        const wildcard = name.startsWith("*.");
+        if(wildcard) name = name.slice(2);
+
+        let action = "redirect", data = null;
+        if(record.type === "CNAME") {
+            if(record.value === "") action = "nxdomain";
+            else if(record.value === "*") action = "nodata";
+            else if(record.value === "rpz-passthru") action = "passthru";
+            else if(record.value.startsWith("rpz-") || record.value.startsWith("*.")) {
+                skip("Unsupported action");
+                continue;
+            } else data = [{ type: "CNAME", value: record.value, ttl: record.ttl }];
+        } else if((record.type === "A" && isIPv4(record.value)) || (record.type === "AAAA" && isIPv6(record.value))
+                || record.type === "TXT")
+            data = [{ type: record.type, value: record.value, ttl: record.ttl }];
+        else {
+            skip("Unsupported record");
+            continue;
+        }
+
+        const key = entryKey(name, wildcard);
+        const entry = entries.get(key);
+        if(!entry) entries.set(key, { name, wildcard, action, data });
+        else if(entry.action === "redirect" && action === "redirect" && !entry.data.some(x => x.type === "CNAME")
+                && data[0].type !== "CNAME")
+            entry.data.push(...data);
+        else skip("Conflicts with an earlier record");
+    }
+    return { entries: [...entries.values()], ignored };
+};
+
+/**
+ * Parses a policy list in either format.
+ * @param {"hosts" | "rpz"} format The format
+ * @param {string} text The list
+ * @param {string} [origin] Origin of an RPZ
+ * @returns {ParsedPolicyList} The parsed list
+ * @throws {Error} If the list is invalid
+ */
+export const parsePolicyList = (format, text, origin) => format === "rpz" ? parseRpzList(text, origin) : parseHostsList(text);
+
+/**
+ * @typedef {object} CompiledList A policy list ready for lookups
+ * @prop {import("./index.js").PolicyList} list The list
+ * @prop {import("net").BlockList | null} clients Who it applies to (null for everyone)
+ * @prop {Map<string, import("./index.js").PolicyEntry>} exact Entries by name
+ * @prop {Map<string, import("./index.js").PolicyEntry>} wildcards Wildcard entries by the name they're under
+ */
+/** @type {{ source: object, lists: CompiledList[] } | null} */
+let compiled = null;
+
+/**
+ * Gets the policy lists ready for lookups, compiling them again only if they changed.
+ * @returns {CompiledList[]} The lists, allowlists first
+ */
+const getCompiledLists = async () => {
+    const source = await getPolicies();
+    if(compiled?.source === source) return compiled.lists;
+    const lists = new Map(source.lists.map(list => [list.id, {
+        list,
+        clients: list.clients.length > 0 ? makeAddressList(list.clients) : null,
+        exact: new Map(),
+        wildcards: new Map()
+    }]));
+    for(const entry of source.entries)
+        lists.get(entry.list)?.[entry.wildcard ? "wildcards" : "exact"].set(entry.name, entry);
+    const allow = list => list.list.kind === "allow" ? 0 : 1;
+    compiled = { source, lists: [...lists.values()].sort((a, b) => allow(a) - allow(b)) };
+    return compiled.lists;
+};
+
+/**
+ * Finds the first list with an entry for a name, among the ones applying to a client.
+ * Exact entries win over wildcards, and closer wildcards over farther ones.
+ * @param {CompiledList[]} lists The lists
+ * @param {string} name The name
+ * @param {string} address The client's address
+ * @returns {{ list: import("./index.js").PolicyList, entry: import("./index.js").PolicyEntry } | null} The match
+ */
+const findEntry = (lists, name, address) => {
+    const labels = name.split(".");
+    for(const { list, clients, exact, wildcards } of lists) {
+        if(clients && !inAddressList(clients, address)) continue;
+        let entry = exact.get(name);
+        for(let i = 1; !entry && i < labels.length; i++) entry = wildcards.get(labels.slice(i).join("."));
+        if(entry) return { list, entry };
+    }
+    return null;
+};
+
+/** @type {PolicyHit[]} */
+const hits = [];
+/** @type {Map<import("crypto").UUID, number>} */
+const hitCounts = new Map();
+
+/**
+ * Keeps a policy hit around for the API.
+ * @param {PolicyHit} hit The hit
+ */
+const recordHit = hit => {
+    hits.push(hit);
+    if(hits.length > HITS_SIZE) hits.shift();
+    hitCounts.set(hit.list, (hitCounts.get(hit.list) ?? 0) + 1);
+};
+
+/**
+ * Gets the latest policy hits, newest first.
+ * @param {{ list?: string, client?: string, limit?: number }} [filter] Only hits of a list or client, and how many
+ * @returns {PolicyHit[]} The hits
+ */
+export const getPolicyHits = ({ list, client, limit = HITS_SIZE } = {}) => hits
+    .filter(hit => (!list || hit.list === list) && (!client || hit.client === client))
+    .slice(-limit).reverse();
+/**
+ * Gets how many queries each policy list matched since we started.
+ * @param {import("crypto").UUID} list List ID
+ * @returns {number} The number of hits
+ */
+export const getPolicyHitCount = list => hitCounts.get(list) ?? 0;
+
+/**
+ * Fills a response with redirect records, resolving a CNAME target right away like RPZ resolvers do.
+ * @param {Packet} res The response
+ * @param {Packet} req The query
+ * @param {{ type: string, value: string, ttl: number }[]} data The records
+ * @param {{ address: string, port: number }} rinfo Who sent the query
+ */
+const answerRedirect = async (res, req, data, rinfo) => {
+    const [ question ] = req.questions;
+    const cname = data.find(record => record.type === "CNAME");
+    if(cname && question.type !== Packet.TYPE.CNAME) {
+        res.answers.push(recordToResource(question.name, cname));
+        const query = new Packet();
+        query.header.rd = 1;
+        query.questions.push({ name: cname.value, type: question.type, class: Packet.CLASS.IN });
+        const target = await resolveQuery(query, rinfo);
+        res.answers.push(...target.answers);
+        res.header.rcode = target.header.rcode;
+        return;
+    }
+    for(const record of data)
+        if(question.type === Packet.TYPE.ANY || Packet.TYPE[record.type] === question.type)
+            res.answers.push(recordToResource(question.name, record));
+};
+
+/**
+ * Checks a query against the policy lists.
+ * @param {Packet} req The query
+ * @param {{ address: string, port: number }} rinfo Who sent the query
+ * @returns {Packet | null} The response for a blocked name (or null if the query should be resolved as usual)
+ */
+export const applyPolicy = async (req, rinfo) => {
+    const [ question ] = req.questions;
+    if(!question) return null;
+    const name = question.name.toLowerCase().replace(/\.$/, "");
+    const match = findEntry(await getCompiledLists(), name, rinfo.address ?? "");
+    if(!match) return null;
+
+    const { list, entry } = match;
+    const action = list.kind === "allow" ? "passthru" : entry.action ?? list.action;
+    recordHit({ time: Date.now(), client: rinfo.address, name, type: typeName(question.type) ?? question.type, list: list.id, action });
+    if(action === "passthru") return null;
+
+    const res = Packet.createResponseFromRequest(req);
+    res.source = "policy";
+    if(action === "nxdomain") res.header.rcode = Packet.RCODE.NXDOMAIN;
+    else if(action === "null")
+        await answerRedirect(res, req, [
+            { type: "A", value: "0.0.0.0", ttl: POLICY_TTL },
+            { type: "AAAA", value: "::", ttl: POLICY_TTL }
+        ], rinfo);
+    else if(action === "redirect")
+        await answerRedirect(res, req, entry.data ?? [{
+            type: isIPv4(list.redirect) ? "A" : isIPv6(list.redirect) ? "AAAA" : "CNAME",
+            value: list.redirect,
+            ttl: POLICY_TTL
+        }], rinfo);
+    return res;
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { typeName } from "./resolver.js";
+import { queriesTotal, queryDuration } from "./metrics.js";
+
+// "stdout", a directory to write daily files to, or nothing to turn logging off
+const QUERY_LOG = process.env.QUERY_LOG ?? "";
+const SAMPLE_RATE = parseFloat(process.env.QUERY_LOG_SAMPLE ?? "1");
+const RETENTION_DAYS = parseInt(process.env.QUERY_LOG_DAYS ?? "7");
+const PRUNE_MS = 3600 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+const LOG_FILE = /^queries-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * @typedef {"policy" | "owner" | "rule" | "local" | "upstream" | "transfer" | "error"} AnswerSource What answered a query:
+ * a blocklist or allowlist, an owner stub, a proxy rule, our own records, the default upstreams, a transfer or nothing (it failed)
+ */
+/**
+ * @typedef {object} QueryLogEntry A line of the query log
+ * @prop {string} time When the query was answered (ISO 8601)
+ * @prop {string} transport What it came in over (udp, tcp, dot or doh)
+ * @prop {string} client Address of the client
+ * @prop {string} name The queried name
+ * @prop {string} type The queried type
+ * @prop {string} rcode Response code
+ * @prop {AnswerSource} source What answered it
+ * @prop {number} answers Amount of answer records
+ * @prop {number} duration Milliseconds it took to answer
+ */
+
+/** @type {{ day: string, stream: fs.WriteStream } | null} The file being written to */
+let current = null;
+
+/**
+ * Writes an entry to the query log.
+ * @param {QueryLogEntry} entry The entry
+ */
+const writeEntry = entry => {
+    const line = JSON.stringify(entry);
+    if(QUERY_LOG === "stdout") return console.log(line);
+    const day = entry.time.slice(0, 10);
+    if(current?.day !== day) {
+        current?.stream.end();
+        const stream = fs.createWriteStream(path.join(QUERY_LOG, `queries-${day}.jsonl`), { flags: "a" });
+        stream.on("error", e => console.error("Couldn't write the query log:", e.message));
+        current = { day, stream };
+    }
+    current.stream.write(line + "\n");
+};
+
+/**
+ * Records an answered query in the metrics and (if it's sampled) in the query log.
+ * @param {string} transport What the query came in over (udp, tcp, dot or doh)
+ * @param {{ address: string, port: number }} rinfo Who sent the query
+ * @param {Packet} req The query
+ * @param {(Packet & { source?: AnswerSource }) | null} res The response (or null if it couldn't be answered)
+ * @param {number} started When the query came in (performance.now())
+ */
+export const observeQuery = (transport, rinfo, req, res, started) => {
+    const duration = performance.now() - started;
+    const [ question ] = req.questions;
+    // Unknown types are lumped together, so odd queries can't blow up the amount of series
+    const type = (question && typeName(question.type)) ?? "OTHER";
+    const rcode = res ? Object.keys(Packet.RCODE).find(key => Packet.RCODE[key] === res.header.rcode) ?? String(res.header.rcode) : "SERVFAIL";
+    const source = res?.source ?? "error";
+    queriesTotal.inc({ transport, source, qtype: type, rcode });
+    queryDuration.observe({ source, qtype: type, rcode }, duration / 1000);
+
+    if(!QUERY_LOG || Math.random() >= SAMPLE_RATE) return;
+    writeEntry({
+        time: new Date().toISOString(),
+        transport,
+        client: rinfo.address,
+        name: question?.name ?? "",
+        type,
+        rcode,
+        source,
+        answers: res?.answers.length ?? 0,
+        duration: Math.round(duration * 1000) / 1000
+    });
+};
+
+/**
+ * Deletes log files older than QUERY_LOG_DAYS.
+ */
+const pruneLogs = async () => {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+    for(const file of await fs.promises.readdir(QUERY_LOG)) {
+        const match = file.match(LOG_FILE);
+        if(match && match[1] < cutoff) await fs.promises.unlink(path.join(QUERY_LOG, file));
+    }
+};
+
+/**
+ * Starts deleting old query logs, when they're written to a directory.
+ * @returns {() => void} Stops it and closes the current file
+ */
+export const startQueryLog = () => {
+    if(!QUERY_LOG || QUERY_LOG === "stdout") return () => {};
+    fs.mkdirSync(QUERY_LOG, { recursive: true });
+    const prune = () => pruneLogs().catch(e => console.error("Couldn't delete old query logs:", e.message));
+    prune();
+    const timer = setInterval(prune, PRUNE_MS).unref();
+    return () => {
+        clearInterval(timer);
+        current?.stream.end();
+        current = null;
+    };
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { changes, getSetting, putSetting } from "./index.js";
+import { addressPrefix, inAddressList, makeAddressList } from "./acl.js";
+import { rateLimitedTotal } from "./metrics.js";
+
+const SETTING = "ratelimit";
+const SWEEP_MS = 10000;
+// Clients tracked at once, so that a flood from random addresses can't eat up the memory
+const MAX_BUCKETS = parseInt(process.env.RATE_LIMIT_MAX_CLIENTS ?? "100000");
+
+/**
+ * @typedef {object} RateLimits Rate limiting settings
+ * @prop {boolean} enabled Whether anything is limited at all
+ * @prop {number} queriesPerSecond Queries a client network may send per second (0 for no limit)
+ * @prop {number} burst Queries a client network may send at once, on top of the rate
+ * @prop {number} responsesPerSecond Identical responses a client network gets per second over UDP (0 turns RRL off)
+ * @prop {number} slip Every slip-th response over the limit is sent truncated instead of dropped, so real clients retry over TCP (0 drops all of them)
+ * @prop {number} ipv4Prefix Length of the IPv4 prefixes clients are grouped by
+ * @prop {number} ipv6Prefix Length of the IPv6 prefixes clients are grouped by
+ * @prop {string[]} exempt Trusted addresses and subnets that are never limited
+ */
+/** @type {RateLimits} */
+export const defaultRateLimits = {
+    enabled: true,
+    queriesPerSecond: 100,
+    burst: 200,
+    responsesPerSecond: 20,
+    slip: 2,
+    ipv4Prefix: 24,
+    ipv6Prefix: 56,
+    exempt: ["127.0.0.0/8", "::1"]
+};
+
+/**
+ * @typedef {object} Bucket A token bucket
+ * @prop {number} tokens Tokens left
+ * @prop {number} updated When it was last refilled (ms)
+ * @prop {number} dropped Responses dropped since it ran out (for slipping)
+ */
+
+/** @type {RateLimits & { exemptList: import("net").BlockList }} */
+let limits = { ...defaultRateLimits, exemptList: makeAddressList(defaultRateLimits.exempt) };
+/** @type {Map<string, Bucket>} Query buckets by client network */
+const queryBuckets = new Map();
+/** @type {Map<string, Bucket>} Response buckets by client network and response */
+const responseBuckets = new Map();
+
+/**
+ * Gets the rate limiting settings in effect.
+ * @returns {RateLimits} The settings
+ */
+export const getRateLimits = () => {
+    const { exemptList: _, ...settings } = limits;
+    return settings;
+};
+
+/**
+ * Applies rate limiting settings, dropping the buckets built up under the old ones.
+ * @param {RateLimits} settings The settings
+ */
+const applyRateLimits = settings => {
+    limits = { ...defaultRateLimits, ...settings, exemptList: makeAddressList(settings.exempt ?? defaultRateLimits.exempt) };
+    queryBuckets.clear();
+    responseBuckets.clear();
+};
+
+/**
+ * Stores and applies new rate limiting settings.
+ * @param {RateLimits} settings The settings
+ * @returns {RateLimits} The settings
+ */
+export const setRateLimits = async settings => {
+    applyRateLimits(await putSetting(SETTING, settings));
+    return getRateLimits();
+};
+
+/**
+ * Loads the rate limiting settings from the database, if they changed.
+ */
+const loadRateLimits = async () => {
+    const settings = { ...defaultRateLimits, ...await getSetting(SETTING) };
+    const { exemptList: _, ...current } = limits;
+    if(JSON.stringify(settings) !== JSON.stringify(current)) applyRateLimits(settings);
+};
+
+/**
+ * Takes a token from a bucket, refilling it for the time that passed.
+ * @param {Map<string, Bucket>} buckets The buckets
+ * @param {string} key Key of the bucket
+ * @param {number} rate Tokens added per second
+ * @param {number} size Most tokens it holds
+ * @returns {Bucket | null} The bucket if it ran out of tokens (or null if a token was taken)
+ */
+const take = (buckets, key, rate, size) => {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if(!bucket) {
+        if(buckets.size >= MAX_BUCKETS) buckets.delete(buckets.keys().next().value);
+        bucket = { tokens: size, updated: now, dropped: 0 };
+        buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(size, bucket.tokens + (now - bucket.updated) / 1000 * rate);
+    bucket.updated = now;
+    if(bucket.tokens >= 1) {
+        bucket.tokens--;
+        bucket.dropped = 0;
+        return null;
+    }
+    return bucket;
+};
+
+/**
+ * Checks whether a client is exempt from rate limiting.
+ * @param {string} address Address of the client
+ * @returns {boolean} Whether it's exempt
+ */
+const isExempt = address => !limits.enabled || inAddressList(limits.exemptList, address);
+
+/**
+ * Checks whether a query may be answered, as far as the query rate of its client's network goes.
+ * @param {{ address: string, port: number }} rinfo Who sent the query
+ * @returns {boolean} Whether it may be answered
+ */
+export const allowQuery = rinfo => {
+    if(limits.queriesPerSecond <= 0 || isExempt(rinfo.address)) return true;
+    const key = addressPrefix(rinfo.address, limits.ipv4Prefix, limits.ipv6Prefix);
+    if(!take(queryBuckets, key, limits.queriesPerSecond, limits.queriesPerSecond + limits.burst)) return true;
+    rateLimitedTotal.inc({ kind: "query", action: "drop" });
+    return false;
+};
+
+/**
+ * Builds the key responses are counted under: the same answer, the same nonexistent name or type in a zone
+ * (spoofed floods of random names all get the same denial) or the same error.
+ * @param {Packet} res The response
+ * @returns {string} The key
+ */
+const responseKey = res => {
+    const [ question ] = res.questions;
+    const name = question?.name.toLowerCase() ?? "";
+    if(res.header.rcode === Packet.RCODE.NOERROR && res.answers.length > 0) return `${name} ${question.type}`;
+    const soa = res.authorities.find(authority => authority.type === Packet.TYPE.SOA);
+    if(res.header.rcode === Packet.RCODE.NOERROR || res.header.rcode === Packet.RCODE.NXDOMAIN)
+        return `${res.header.rcode === Packet.RCODE.NOERROR ? "nodata" : "nxdomain"} ${soa?.name.toLowerCase() ?? name}`;
+    return `error ${res.header.rcode}`;
+};
+
+/**
+ * Response rate limiting (RRL) for UDP: decides what to do with a response, so that we can't be used
+ * to flood a spoofed address with identical responses.
+ * @param {{ address: string, port: number }} rinfo Who sent the query
+ * @param {Packet} res The response
+ * @returns {"send" | "drop" | "slip"} Whether to send it, drop it or send it truncated
+ */
+export const limitResponse = (rinfo, res) => {
+    if(limits.responsesPerSecond <= 0 || isExempt(rinfo.address)) return "send";
+    const key = `${addressPrefix(rinfo.address, limits.ipv4Prefix, limits.ipv6Prefix)} ${responseKey(res)}`;
+    const bucket = take(responseBuckets, key, limits.responsesPerSecond, limits.responsesPerSecond);
+    if(!bucket) return "send";
+    const action = limits.slip > 0 && ++bucket.dropped % limits.slip === 0 ? "slip" : "drop";
+    rateLimitedTotal.inc({ kind: "response", action });
+    return action;
+};
+
+/**
+ * Builds the truncated response sent instead of a limited one.
+ * @param {Packet} req The query
+ * @returns {Packet} The response, empty and with TC set
+ */
+export const makeSlip = req => {
+    const res = Packet.createResponseFromRequest(req);
+    res.header.tc = 1;
+    return res;
+};
+
+/**
+ * Deletes the buckets of clients that have been quiet long enough to have refilled them.
+ */
+const sweep = () => {
+    const now = Date.now();
+    const full = (bucket, rate, size) => bucket.tokens + (now - bucket.updated) / 1000 * rate >= size;
+    for(const [key, bucket] of queryBuckets)
+        if(full(bucket, limits.queriesPerSecond, limits.queriesPerSecond + limits.burst)) queryBuckets.delete(key);
+    for(const [key, bucket] of responseBuckets)
+        if(full(bucket, limits.responsesPerSecond, limits.responsesPerSecond)) responseBuckets.delete(key);
+};
+
+/**
+ * Starts keeping the rate limiting settings up to date and forgetting idle clients.
+ * @returns {() => void} Stops it
+ */
+export const startRateLimiting = () => {
+    const reload = () => loadRateLimits().catch(e => console.error("Couldn't load the rate limits:", e.message));
+    reload();
+    changes.on("settings", reload);
+    // Settings are also reloaded now and then, in case a change notification was missed
+    const timer = setInterval(() => {
+        sweep();
+        reload();
+    }, SWEEP_MS).unref();
+    return () => {
+        changes.off("settings", reload);
+        clearInterval(timer);
+    };
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { isIPv4, isIPv6 } from "net";
+import Validator from "./validator.js";
+import { recordTypes } from "./index.js";
+import { REGEX_CAA_TAG, REGEX_HOSTNAME, REGEX_UUID } from "./regex.js";
+
+// TTLs are unsigned 32-bit numbers with the top bit clear (RFC 2181 §8), which is also what fits in the database
+export const MAX_TTL = 2 ** 31 - 1;
+
+/** @type {Record<import("./index.js").RecordType, (valid: Validator) => boolean>} */
+const recordValidators = {
+    A: valid => isIPv4(valid.body.value),
+    AAAA: valid => isIPv6(valid.body.value),
+    CNAME: valid => valid.str("value", { regex: REGEX_HOSTNAME }),
+    TXT: () => true,
+    MX: valid => Validator.check([
+        valid.str("value", { regex: REGEX_HOSTNAME }),
+        valid.int("priority", { min: 0, max: 65535 })
+    ]),
+    NS: valid => valid.str("value", { regex: REGEX_HOSTNAME }),
+    SRV: valid => Validator.check([
+        valid.str("value", { regex: REGEX_HOSTNAME }),
+        valid.int("priority", { min: 0, max: 65535 }),
+        valid.int("weight", { min: 0, max: 65535 }),
+        valid.int("port", { min: 0, max: 65535 })
+    ]),
+    CAA: valid => Validator.check([
+        valid.int("flags", { min: 0, max: 255 }),
+        valid.str("tag", { regex: REGEX_CAA_TAG })
+    ]),
+    PTR: valid => valid.str("value", { regex: REGEX_HOSTNAME }),
+};
+
+/**
+ * Validates a record, however it came in (API, zone file or dynamic update).
+ * @param {object} body The record (name, type, ttl, value, view and multi-field record fields)
+ * @returns {"badRequest" | "invalidType" | "invalidValue" | null} What's wrong with the record (or null if it's valid)
+ */
+export const validateRecord = body => {
+    const valid = new Validator(body);
+    if(!valid.str("name", { min: 1 }) || !valid.str("type", { min: 1, max: 20 })
+            || !valid.int("ttl", { min: 1, max: MAX_TTL }) || !valid.str("value", { min: 1 })
+            || !valid.str("view", { optional: true, regex: REGEX_UUID }))
+        return "badRequest";
+    // Owner records decide who owns a base, which can't depend on who's asking
+    if(body.view && body.name.startsWith("-."))
+        return "badRequest";
+    if(!recordTypes.includes(body.type))
+        return "invalidType";
+    if(!recordValidators[body.type](valid))
+        return "invalidValue";
+    return null;
+};
\ No newline at end of file
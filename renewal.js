@@ -0,0 +1,86 @@
+import { generateCert, getCert, getExpiringCerts, pool, purgeDnssecKeys, purgeSupersededCerts, pushAudit, renewCert } from "./index.js";
+import { certInfo, keyInfo } from "./audit.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+const RENEW_BEFORE_MS = parseInt(process.env.CERT_RENEW_DAYS ?? "30") * DAY_MS;
+const GRACE_MS = parseInt(process.env.CERT_GRACE_DAYS ?? "7") * DAY_MS;
+const CA_RENEW_BEFORE_MS = parseInt(process.env.CA_RENEW_DAYS ?? "730") * DAY_MS;
+const CHECK_MS = parseInt(process.env.CERT_RENEW_INTERVAL ?? "3600") * 1000;
+const FIRST_CHECK_MS = 10 * 1000;
+// Arbitrary key for the advisory lock that keeps several instances from renewing the same certs
+const LOCK_KEY = 0x79647263;
+
+/**
+ * Runs a function while holding the renewal lock, or doesn't run it if another instance holds it.
+ * @param {() => Promise<void>} fn The function
+ */
+const withLock = async fn => {
+    const client = await pool.connect();
+    try {
+        if(!(await client.query(`SELECT pg_try_advisory_lock($1) AS locked`, [LOCK_KEY])).rows[0].locked)
+            return;
+        try {
+            await fn();
+        } finally {
+            await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Gets how long before expiry a leaf cert is renewed: CERT_RENEW_DAYS, or the last third of its lifetime
+ * if it's shorter, so that short-lived certs aren't renewed again on every check.
+ * @param {import("./index.js").CertPair} pair The pair
+ * @returns {number} Milliseconds before expiry
+ */
+const renewBefore = pair => Math.min(RENEW_BEFORE_MS, (Number(pair.until) - Number(pair.timestamp)) / 3);
+
+/**
+ * Renews leaf certs approaching expiry, purges the ones past their grace window, rolls the CA over
+ * when it's getting old and deletes the DNSSEC keys rolled over far enough ago.
+ */
+const checkCerts = async () => {
+    const now = Date.now();
+    for(const pair of await getExpiringCerts(now + RENEW_BEFORE_MS)) {
+        if(Number(pair.until) - now >= renewBefore(pair)) continue;
+        try {
+            const renewed = await renewCert(pair);
+            await pushAudit("scheduler", "cert.renew", pair.domain, certInfo(pair), certInfo(renewed));
+        } catch(e) {
+            console.error(`Couldn't renew the certificate for ${pair.domain}:`, e.message);
+        }
+    }
+    for(const pair of await purgeSupersededCerts(now - GRACE_MS))
+        await pushAudit("scheduler", "cert.purge", pair.domain, certInfo(pair), null);
+
+    const ca = await getCert(".");
+    if(ca && Number(ca.until) - now < CA_RENEW_BEFORE_MS) {
+        const renewed = await generateCert(".", true);
+        await pushAudit("scheduler", "ca.rollover", ".", certInfo(ca), certInfo(renewed));
+    }
+
+    for(const key of await purgeDnssecKeys(now))
+        await pushAudit("scheduler", "dnssec.purge", key.base, keyInfo(key), null);
+};
+
+/**
+ * Starts the background certificate renewal (and DNSSEC key cleanup).
+ * @returns {() => void} Stops it
+ */
+export const startRenewal = () => {
+    const run = async () => {
+        try {
+            await withLock(checkCerts);
+        } catch(e) {
+            console.error("Certificate renewal failed:", e.message);
+        }
+    };
+    const first = setTimeout(run, FIRST_CHECK_MS).unref();
+    const timer = setInterval(run, CHECK_MS).unref();
+    return () => {
+        clearTimeout(first);
+        clearInterval(timer);
+    };
+};
\ No newline at end of file
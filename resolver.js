@@ -0,0 +1,262 @@
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { getClientView, getProxyDNS, getRecords, getZone, getZoneKeys, hasRecordsBelow } from "./index.js";
+import { agedResponse, cacheKey, resolverCache, responseTTL } from "./cache.js";
+import { makeNS, makeSOA } from "./zone.js";
+import { addDenial, isSigned, makeDNSKEYs, signResponse } from "./dnssec.js";
+import { defaultUpstreams, queryUpstreams, upstreamKey } from "./upstream.js";
+import { addressPrefix } from "./acl.js";
+import { checkEdns, getClientSubnet, getOpt } from "./edns.js";
+
+const MAX_CNAME_CHAIN = 8;
+
+/**
+ * Maps a stored record onto the RDATA fields dns2 expects for its type.
+ * @param {import("./index.js").Record} record The record
+ * @returns {object} RDATA fields
+ */
+const recordData = record => {
+    switch(record.type) {
+        case "CNAME":
+        case "PTR":
+            return { domain: record.value };
+        case "NS":
+            return { ns: record.value };
+        case "TXT":
+            return { data: record.value };
+        case "MX":
+            return { exchange: record.value, priority: record.priority };
+        case "SRV":
+            return { target: record.value, priority: record.priority, weight: record.weight, port: record.port };
+        case "CAA":
+            return { flags: record.flags, tag: record.tag, value: record.value };
+        default:
+            return { address: record.value };
+    }
+};
+
+/**
+ * Builds a resource from a stored record.
+ * @param {string} name Owner name to answer with
+ * @param {import("./index.js").Record} record The record
+ * @returns {object} The resource
+ */
+export const recordToResource = (name, record) => Object.assign({
+    name,
+    type: Packet.TYPE[record.type],
+    class: Packet.CLASS.IN,
+    ttl: record.ttl
+}, recordData(record));
+
+/**
+ * Gets the name of a record type by its number.
+ * @param {number} type Type number
+ * @returns {string | undefined} Type name
+ */
+export const typeName = type => Object.keys(Packet.TYPE).find(key => Packet.TYPE[key] === type);
+// Common types dns2 doesn't know the names of
+const extraTypes = { DS: 43, RRSIG: 46, NSEC: 47, NSEC3: 50, TLSA: 52, SVCB: 64, HTTPS: 65 };
+/**
+ * Gets the number of a record type by its name, RFC 3597 names (TYPE65) included.
+ * @param {string} name Type name (in any case)
+ * @returns {number | undefined} Type number
+ */
+export const typeNumber = name => {
+    name = name.toUpperCase();
+    const number = name.match(/^TYPE(\d{1,5})$/)?.[1];
+    if(number !== undefined) return parseInt(number);
+    return Object.hasOwn(Packet.TYPE, name) ? Packet.TYPE[name] : Object.hasOwn(extraTypes, name) ? extraTypes[name] : undefined;
+};
+
+/**
+ * Adds address records of hosts referenced by MX, SRV and NS answers to the additional section,
+ * as long as we are authoritative for them.
+ * @param {Packet} res The response
+ * @param {import("crypto").UUID | null} view View of the client
+ */
+const addAdditionals = async (res, view) => {
+    const hosts = new Set();
+    for(const answer of res.answers) {
+        const host = answer.exchange ?? answer.target ?? answer.ns;
+        if(typeof host === "string") hosts.add(host.replace(/\.$/, "").toLowerCase());
+    }
+    for(const host of hosts) {
+        if(await getZone(host) === null) continue;
+        for(const record of await getRecords(host, view))
+            if(record.type === "A" || record.type === "AAAA")
+                res.additionals.push(recordToResource(host, record));
+    }
+};
+
+/**
+ * Answers a question from our own records, following CNAMEs as long as they stay local.
+ * @param {Packet} res The response to fill
+ * @param {string} name The queried name
+ * @param {number} type The queried type
+ * @param {boolean} dnssec Whether the client wants DNSSEC records
+ * @param {import("crypto").UUID | null} view View of the client
+ * @returns {boolean} Whether the question was answered locally
+ */
+const answerLocal = async (res, name, type, dnssec, view) => {
+    const seen = new Set();
+    let current = name;
+    for(let i = 0; i < MAX_CNAME_CHAIN; i++) {
+        const records = await getRecords(current, view);
+        const zone = await getZone(current);
+        // The CNAME chain left our data, the client resolves the rest itself
+        if(records.length === 0 && zone === null) return i > 0;
+        if(i === 0 && zone !== null) res.header.aa = 1;
+        seen.add(current.toLowerCase());
+
+        const cname = records.find(record => record.type === "CNAME");
+        if(cname && type !== Packet.TYPE.CNAME && type !== Packet.TYPE.ANY) {
+            res.answers.push(recordToResource(current, cname));
+            current = cname.value.replace(/\.$/, "");
+            if(seen.has(current.toLowerCase())) return true;
+            continue;
+        }
+
+        const answered = res.answers.length;
+        if(zone !== null && current.toLowerCase() === zone) {
+            if(type === Packet.TYPE.SOA || type === Packet.TYPE.ANY)
+                res.answers.push(Object.assign(await makeSOA(zone), { name: current }));
+            if((type === Packet.TYPE.NS || type === Packet.TYPE.ANY)
+                    && !records.some(record => record.type === "NS"))
+                res.answers.push(...makeNS(zone).map(ns => Object.assign(ns, { name: current })));
+            if(type === Packet.TYPE.DNSKEY || type === Packet.TYPE.ANY)
+                res.answers.push(...makeDNSKEYs(current, await getZoneKeys(zone)));
+        }
+        for(const record of records)
+            if(type === Packet.TYPE.ANY || Packet.TYPE[record.type] === type)
+                res.answers.push(recordToResource(current, record));
+
+        if(res.answers.length === answered && zone !== null) {
+            // Nothing here: NODATA if the name exists (apex, other types or empty non-terminal), NXDOMAIN otherwise
+            if(records.length === 0 && current.toLowerCase() !== zone && !(await hasRecordsBelow(current)))
+                res.header.rcode = Packet.RCODE.NXDOMAIN;
+            res.authorities.push(await makeSOA(zone));
+            if(dnssec && await isSigned(zone))
+                await addDenial(res, zone, current, res.header.rcode === Packet.RCODE.NXDOMAIN, view);
+        }
+        await addAdditionals(res, view);
+        return true;
+    }
+    return true;
+};
+
+/**
+ * Answers a question through upstream servers, using the resolver cache.
+ * Answers SERVFAIL if none of them answer.
+ * @param {Packet & { subnetScope?: number }} res The response to fill
+ * @param {import("./upstream.js").Upstream[]} upstreams Upstream servers, in order
+ * @param {string} name The queried name
+ * @param {string} type The queried type name (TYPEnn for types dns2 doesn't know)
+ * @param {import("./edns.js").ClientSubnet | null} subnet Client subnet to pass along
+ */
+const answerUpstream = async (res, upstreams, name, type, subnet) => {
+    // Answers to different subnets may differ, so they're cached apart
+    const server = upstreams.map(upstreamKey).join(",")
+        + (subnet ? `#${addressPrefix(subnet.ip, subnet.sourcePrefixLength, subnet.sourcePrefixLength)}` : "");
+    const key = cacheKey(server, name, type);
+    const entry = resolverCache.get(key);
+    let response;
+    if(entry) response = agedResponse(entry);
+    else {
+        let upstream;
+        try {
+            upstream = await queryUpstreams(upstreams, name, type, { subnet });
+        } catch(_) {
+            res.header.rcode = Packet.RCODE.SERVFAIL;
+            return;
+        }
+        response = {
+            answers: upstream.answers,
+            authorities: upstream.authorities,
+            rcode: upstream.header.rcode
+        };
+        if(subnet) response.subnetScope = getClientSubnet(upstream)?.scopePrefixLength ?? 0;
+        resolverCache.set(key, response, responseTTL(response));
+    }
+    res.answers = response.answers;
+    res.authorities = response.authorities;
+    res.header.rcode = response.rcode;
+    res.subnetScope = response.subnetScope;
+};
+
+/**
+ * Checks whether a query is one we answer (RFC 1035 §4.1.1): a standard query for a single question
+ * in the IN class, with valid EDNS.
+ * @param {Packet} req The query
+ * @returns {number | null} The response code to refuse it with (or null if it's fine)
+ */
+export const checkQuery = req => {
+    if(req.header.opcode !== 0) return Packet.RCODE.NOTIMP;
+    if(req.questions.length !== 1) return Packet.RCODE.FORMERR;
+    const edns = checkEdns(req);
+    if(edns !== null) return edns;
+    if(req.questions[0].class !== Packet.CLASS.IN) return Packet.RCODE.REFUSED;
+    return null;
+};
+
+/**
+ * Builds an empty response to a query.
+ * @param {Packet} req The query
+ * @param {number} rcode Response code
+ * @returns {Packet} The response
+ */
+export const errorResponse = (req, rcode) => {
+    const res = Packet.createResponseFromRequest(req);
+    res.header.rcode = rcode;
+    return res;
+};
+
+/**
+ * Resolves a query: owner stubs, proxy rules, local records and finally the default upstream.
+ * Shared by every transport we serve DNS on.
+ * Proxy rules and records are picked by the view the client is in, unless a view is given.
+ * @param {Packet} req The query
+ * @param {{ address: string, port: number }} rinfo Who sent the query
+ * @param {import("crypto").UUID | null} [view] View to answer from
+ * @returns {Packet & { source: import("./querylog.js").AnswerSource }} The response, with what answered it
+ */
+export const resolveQuery = async (req, rinfo, view) => {
+    const res = Packet.createResponseFromRequest(req);
+    const [ question ] = req.questions;
+    const { name } = question;
+
+    if(name.startsWith("-.")) {
+        res.source = "owner";
+        if(question.type === Packet.TYPE.A || question.type === Packet.TYPE.ANY)
+            res.answers = [{
+                name: name,
+                type: Packet.TYPE.A,
+                class: Packet.CLASS.IN,
+                ttl: 604800,
+                address: "0.0.0.0"
+            }];
+        return res;
+    }
+
+    res.source = "local";
+    // Types dns2 doesn't know (HTTPS, SVCB, TLSA...) go by their RFC 3597 names
+    const type = typeName(question.type) ?? `TYPE${question.type}`;
+
+    view ??= rinfo?.address ? await getClientView(rinfo.address) : null;
+    const toAsk = await getProxyDNS(name, view);
+    if(toAsk !== null) {
+        res.source = "rule";
+        await answerUpstream(res, toAsk, name, type, getClientSubnet(req));
+        return res;
+    }
+
+    // Only our own answers get signed, upstream ones are passed along as they are
+    const dnssec = !!getOpt(req)?.doFlag;
+    if(await answerLocal(res, name, question.type, dnssec, view)) {
+        if(dnssec) await signResponse(res);
+        return res;
+    }
+
+    res.source = "upstream";
+    await answerUpstream(res, defaultUpstreams, name, type, getClientSubnet(req));
+    return res;
+};
\ No newline at end of file
@@ -1,84 +1,157 @@
 import "dotenv/config";
 
+import net from "net";
 import dns2 from "dns2";
-const { Packet, UDPClient } = dns2;
-import { deinit, getProxyDNS, getRecords, init } from "./index.js";
+const { Packet } = dns2;
+import { deinit, init } from "./index.js";
 import { app } from "./api.js";
+import { checkQuery, errorResponse, resolveQuery } from "./resolver.js";
+import { createDoTServer } from "./dot.js";
+import { startRenewal } from "./renewal.js";
+import { handleUpdate, isUpdate, OPCODE_UPDATE } from "./update.js";
+import { answerUdpTransfer, isTransferQuery } from "./transfer.js";
+import { startNotify } from "./notify.js";
+import { createStreamHandler } from "./stream.js";
+import { startHealthChecks } from "./upstream.js";
+import { applyPolicy } from "./policy.js";
+import { observeQuery, startQueryLog } from "./querylog.js";
+import { allowQuery, limitResponse, makeSlip, startRateLimiting } from "./ratelimit.js";
+import { finishResponse } from "./edns.js";
 
-const defaultResolve = UDPClient({
-    dns: process.env.DEFAULT_SERVER
-});
+// Milliseconds shutting down waits for queries that are still being answered
+const DRAIN_TIMEOUT_MS = parseInt(process.env.DRAIN_TIMEOUT ?? "5000");
 
 await init();
+const stopRenewal = startRenewal();
+const stopNotify = startNotify();
+const stopHealthChecks = startHealthChecks();
+const stopQueryLog = startQueryLog();
+const stopRateLimiting = startRateLimiting();
 
-const server = dns2.createServer({
-    udp: true,
-    handle: async (req, send, _rinfo) => {
-        const res = Packet.createResponseFromRequest(req);
-        const [ question ] = req.questions;
-        const { name } = question;
-
-        if(name.startsWith("-.")) {
-            res.answers = [{
-                name: name,
-                type: Packet.TYPE.A,
-                class: Packet.CLASS.IN,
-                ttl: 604800,
-                address: "0.0.0.0"
-            }];
-            send(res);
-            return;
-        }
-        
-        const toAsk = await getProxyDNS(name);
-        if(toAsk !== null) {
-            const resolve = UDPClient({
-                dns: toAsk
-            });
-            res.answers = (await resolve(name)).answers;
-            send(res);
-            return;
-        }
+/** @type {Set<Promise<void>>} Queries and updates being answered, which shutting down waits for */
+const inFlight = new Set();
+let stopping = false;
 
-        const records = await getRecords(name);
-        if(records.length > 0) {
-            for(const record of records)
-                res.answers.push(Object.assign({
-                    name,
-                    type: Packet.TYPE[record.type],
-                    class: Packet.CLASS.IN,
-                    ttl: record.ttl
-                }, record.type === "CNAME" ? {
-                    domain: record.value
-                } : record.type === "TXT" ? {
-                    data: record.value
-                } : {
-                    address: record.value
-                }));
-            send(res);
-            return;
-        }
+/**
+ * Keeps track of a query or update while it's being answered.
+ * @param {Promise<void>} answering The answering
+ * @returns {Promise<void>} The same promise
+ */
+const track = answering => {
+    inFlight.add(answering);
+    answering.catch(() => {}).finally(() => inFlight.delete(answering));
+    return answering;
+};
 
-        res.answers = (await defaultResolve(name)).answers;
-        send(res);
+/**
+ * Handles a query coming in on any of our listeners.
+ * @param {import("dns2").DnsRequest} req The query
+ * @param {(res: import("dns2").DnsResponse) => void} send Sends the response
+ * @param {import("dgram").RemoteInfo | import("net").Socket} client UDP peer info or TCP/TLS socket
+ */
+const answer = async (req, send, client) => {
+    const started = performance.now();
+    const transport = client.encrypted ? "dot" : client.remoteAddress ? "tcp" : "udp";
+    const rinfo = {
+        address: client.remoteAddress ?? client.address,
+        port: client.remotePort ?? client.port
+    };
+    // Updates are handled off the raw UDP socket below (and by the stream handler over TCP),
+    // TSIG needs the exact bytes dns2 doesn't keep. Responses are never answered, that's how loops start
+    if(req.header.opcode === OPCODE_UPDATE || req.header.qr) return;
+    // While shutting down, UDP clients are left to retry elsewhere
+    if(stopping && transport === "udp") return;
+    // Floods are turned away before they cost us anything, silently over UDP since the source may be spoofed
+    if(!allowQuery(rinfo)) {
+        if(transport === "udp") return;
+        return send(errorResponse(req, Packet.RCODE.REFUSED));
+    }
+    let res;
+    try {
+        const rcode = checkQuery(req);
+        // Streams handle transfers themselves, so these came in over UDP
+        res = rcode !== null ? errorResponse(req, rcode)
+            : isTransferQuery(req) ? await answerUdpTransfer(req)
+            // Blocklists and allowlists come before proxy rules and our own records
+            : await applyPolicy(req, rinfo) ?? await resolveQuery(req, rinfo);
+    } catch(e) {
+        console.error("Couldn't answer a query:", e.message);
+        res = errorResponse(req, Packet.RCODE.SERVFAIL);
+    }
+    // Stream clients can't be spoofed, so only UDP responses are rate limited
+    const action = transport === "udp" ? limitResponse(rinfo, res) : "send";
+    try {
+        if(action === "send") await send(finishResponse(req, res, transport === "udp"));
+        else if(action === "slip") await send(finishResponse(req, makeSlip(req), true));
+    } catch(e) {
+        console.error("Couldn't send a response:", e.message);
     }
+    observeQuery(transport, rinfo, req, res, started);
+};
+/**
+ * Handles a query coming in on any of our listeners, keeping track of it until it's answered.
+ * @param {import("dns2").DnsRequest} req The query
+ * @param {(res: import("dns2").DnsResponse) => void} send Sends the response
+ * @param {import("dgram").RemoteInfo | import("net").Socket} client UDP peer info or TCP/TLS socket
+ * @returns {Promise<void>} Resolves once it's answered
+ */
+const handle = (req, send, client) => track(answer(req, send, client));
+
+const server = dns2.createServer({
+    udp: true,
+    handle
 });
+server.servers.udp.on("message", (data, rinfo) => {
+    if(!isUpdate(data) || stopping) return;
+    track((async () => {
+        try {
+            const res = await handleUpdate(data);
+            if(res) server.servers.udp.send(res, rinfo.port, rinfo.address);
+        } catch(e) {
+            console.error("Couldn't handle an update:", e.message);
+        }
+    })());
+});
+app.locals.track = track;
+const tcp = net.createServer({ allowHalfOpen: true }, createStreamHandler(handle));
+const dot = await createDoTServer(handle);
 
 server.listen({
     udp: {
         port: 5335,
         address: "0.0.0.0"
-    },
-    tcp: {
-        port: 5335,
-        address: "0.0.0.0"
     }
 });
-app.listen(5339);
+tcp.listen(5335, "0.0.0.0");
+dot.listen(parseInt(process.env.DOT_PORT ?? "853"), "0.0.0.0");
+const http = app.listen(5339);
 
+/**
+ * Shuts down gracefully: stops taking queries, waits for the ones being answered (up to DRAIN_TIMEOUT)
+ * and closes the database connections. A second signal while it's waiting exits right away.
+ */
 const stop = async () => {
-    deinit();
-    server.close();
+    if(stopping) process.exit(1);
+    stopping = true;
+    stopRenewal();
+    stopNotify();
+    stopHealthChecks();
+    stopRateLimiting();
+    tcp.close();
+    dot.close();
+    http.close();
+    await Promise.race([
+        Promise.allSettled(inFlight),
+        new Promise(resolve => setTimeout(resolve, DRAIN_TIMEOUT_MS))
+    ]);
+    if(inFlight.size > 0) console.error(`Shutting down with ${inFlight.size} queries unanswered`);
+    stopQueryLog();
+    await server.close();
+    try {
+        await deinit();
+    } catch(e) {
+        console.error("Couldn't close the database connections:", e.message);
+    }
     process.exit(0);
 };
 process.on("SIGHUP", async () => await stop());
@@ -0,0 +1,61 @@
+import { once } from "events";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { handleUpdate, isUpdate } from "./update.js";
+import { handleTransfer, isTransfer } from "./transfer.js";
+
+const DEFAULT_IDLE_TIMEOUT = 10000;
+
+/**
+ * Makes a connection handler serving DNS over a stream, TCP or TLS (RFC 7766).
+ * Unlike dns2's TCP server it keeps the raw messages around, which TSIG needs for updates and transfers.
+ * @param {(req: import("dns2").DnsRequest, send: (res: import("dns2").DnsResponse) => void, client: import("net").Socket) => void} handle Handler for ordinary queries
+ * @param {number} [idleTimeout] Milliseconds an idle connection is kept open
+ * @returns {(socket: import("net").Socket) => void} The connection handler
+ */
+export const createStreamHandler = (handle, idleTimeout = DEFAULT_IDLE_TIMEOUT) => socket => {
+    let buffered = Buffer.alloc(0), inFlight = 0, ended = false;
+
+    /**
+     * Writes a length-prefixed message, waiting for the socket to drain if needed.
+     * @param {Buffer} message The message
+     */
+    const send = async message => {
+        if(socket.destroyed || !socket.writable) throw new Error("Connection closed");
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(message.length);
+        if(socket.write(Buffer.concat([length, message]))) return;
+        const controller = new AbortController();
+        await Promise.race([
+            once(socket, "drain", { signal: controller.signal }),
+            once(socket, "close", { signal: controller.signal })
+        ]).finally(() => controller.abort());
+    };
+    const dispatch = async data => {
+        if(isUpdate(data)) {
+            const res = await handleUpdate(data);
+            if(res) await send(res);
+        } else if(isTransfer(data)) await handleTransfer(data, send, socket.remoteAddress);
+        else await handle(Packet.parse(data), res => send(res.toBuffer()).catch(() => socket.destroy()), socket);
+    };
+
+    if(idleTimeout > 0) socket.setTimeout(idleTimeout);
+    socket.on("timeout", () => socket.end());
+    socket.on("error", () => socket.destroy());
+    socket.on("end", () => {
+        // Responses to queries that are still being handled have to make it out first
+        ended = true;
+        if(inFlight === 0) socket.end();
+    });
+    socket.on("data", chunk => {
+        buffered = Buffer.concat([buffered, chunk]);
+        while(buffered.length >= 2 && buffered.length >= 2 + buffered.readUInt16BE(0)) {
+            const data = buffered.subarray(2, 2 + buffered.readUInt16BE(0));
+            buffered = buffered.subarray(2 + data.length);
+            inFlight++;
+            dispatch(data).catch(() => socket.destroy()).finally(() => {
+                if(--inFlight === 0 && ended && !socket.destroyed) socket.end();
+            });
+        }
+    });
+};
\ No newline at end of file
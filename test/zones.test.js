@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findZone } from "../index.js";
+
+// sub.example.com is nested in example.com, but has an owner of its own
+const bases = new Set(["example.com", "sub.example.com"]);
+const owners = { alice: ["example.com"], bob: ["sub.example.com"] };
+const owns = (owner, name) => owners[owner].includes(findZone(bases, name));
+
+test("names belong to the longest base they're under", () => {
+    assert.equal(findZone(bases, "example.com"), "example.com");
+    assert.equal(findZone(bases, "www.example.com"), "example.com");
+    assert.equal(findZone(bases, "sub.example.com"), "sub.example.com");
+    assert.equal(findZone(bases, "www.SUB.Example.com"), "sub.example.com");
+    assert.equal(findZone(bases, "notsub.example.com"), "example.com");
+    assert.equal(findZone(bases, "example.org"), null);
+});
+
+test("owners of a base don't own the bases nested in it", () => {
+    assert.ok(owns("alice", "www.example.com"));
+    assert.ok(!owns("alice", "sub.example.com"));
+    assert.ok(!owns("alice", "www.sub.example.com"));
+    assert.ok(owns("bob", "www.sub.example.com"));
+    assert.ok(!owns("bob", "example.com"));
+    assert.ok(!owns("bob", "www.example.com"));
+});
\ No newline at end of file
@@ -0,0 +1,202 @@
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { getJournal, getRecordsByBase, getZone, getZoneKeys } from "./index.js";
+import { recordToResource } from "./resolver.js";
+import { makeNS, makeSOA } from "./zone.js";
+import { isSigned, makeDNSKEYs, makeNSECs, signResponse } from "./dnssec.js";
+import { parseMessage, RCODE, readName, verifyTsig } from "./tsig.js";
+import { secondaries } from "./notify.js";
+import { inAddressList, makeAddressList } from "./acl.js";
+
+const TYPE_IXFR = 251;
+// Transfers are split into messages of about this size
+const MESSAGE_SIZE = 16384;
+const SERIAL_MODULO = 2 ** 32;
+const REQUIRE_TSIG = process.env.TRANSFER_REQUIRE_TSIG === "true";
+
+const allowList = makeAddressList((process.env.TRANSFER_ALLOW ?? secondaries.map(secondary => secondary.address).join(","))
+    .split(",").map(x => x.trim()).filter(x => x));
+
+/**
+ * Checks whether a raw DNS message asks for a zone transfer (AXFR or IXFR).
+ * @param {Buffer} buf The message
+ * @returns {boolean} Whether it's a transfer query
+ */
+export const isTransfer = buf => {
+    // QR unset, opcode QUERY and a single question
+    if(buf.length < 12 || (buf[2] & 0xf8) !== 0 || buf.readUInt16BE(4) !== 1) return false;
+    try {
+        const { end } = readName(buf, 12);
+        return end + 2 <= buf.length && [Packet.TYPE.AXFR, TYPE_IXFR].includes(buf.readUInt16BE(end));
+    } catch(_) {
+        return false;
+    }
+};
+
+/**
+ * Builds an empty response to a transfer query.
+ * @param {import("./tsig.js").WireMessage} request The query
+ * @param {number} [rcode] Response code
+ * @returns {Packet} The response
+ */
+const makeResponse = (request, rcode = RCODE.NOERROR) => {
+    const res = new Packet({ id: request.id, qr: 1, aa: 1, rcode });
+    if(request.question) res.questions.push(request.question);
+    return res;
+};
+
+/**
+ * Gets the serial an IXFR query says the secondary has (RFC 1995 §3).
+ * @param {Buffer} buf The raw query
+ * @param {import("./tsig.js").WireMessage} request The query
+ * @returns {number | null} The serial (or null if the query doesn't carry an SOA)
+ */
+const clientSerial = (buf, request) => {
+    const soa = request.authorities.find(record => record.type === Packet.TYPE.SOA);
+    if(!soa) return null;
+    const { end } = readName(buf, readName(buf, soa.rdataOffset).end);
+    if(end + 4 > soa.rdataOffset + soa.rdata.length) return null;
+    return buf.readUInt32BE(end);
+};
+
+/**
+ * Gets everything in a base for a full transfer, between two copies of the SOA (RFC 5936 §2.2).
+ * Signed bases come with their DNSKEYs, NSEC chain and signatures.
+ * @param {string} zone The base
+ * @param {object} soa The SOA resource
+ * @returns {object[]} The resources
+ */
+const zoneResources = async (zone, soa) => {
+    const records = [];
+    for(const record of await getRecordsByBase(zone))
+        if(!record.name.startsWith("-.") && !record.view && await getZone(record.name) === zone) records.push(record);
+    const resources = [soa];
+    if(!records.some(record => record.name === zone && record.type === "NS"))
+        resources.push(...makeNS(zone));
+    resources.push(...records.map(record => recordToResource(record.name, record)));
+    if(await isSigned(zone)) {
+        resources.push(...makeDNSKEYs(zone, await getZoneKeys(zone)), ...await makeNSECs(zone));
+        const signed = { answers: resources, authorities: [], additionals: [] };
+        await signResponse(signed);
+    }
+    return [...resources, soa];
+};
+
+/**
+ * Gets the changes that bring a base from one serial to the current one, in IXFR format (RFC 1995 §4).
+ * @param {string} zone The base
+ * @param {object} soa The current SOA resource
+ * @param {number} since The serial the secondary has
+ * @returns {object[] | null} The resources (or null if the journal doesn't go back that far)
+ */
+const journalResources = async (zone, soa, since) => {
+    const entries = await getJournal(zone);
+    const start = entries.findIndex(entry => Number(entry.serial) === (since + 1) % SERIAL_MODULO);
+    if(start === -1) return null;
+    const steps = entries.slice(start);
+    if(steps.some((entry, index) => Number(entry.serial) !== (since + 1 + index) % SERIAL_MODULO)
+            || Number(steps.at(-1).serial) !== soa.serial)
+        return null;
+
+    const toResources = records => records
+        .filter(record => !record.name.startsWith("-."))
+        .map(record => recordToResource(record.name, record));
+    const resources = [soa];
+    let serial = since;
+    for(const entry of steps) {
+        resources.push({ ...soa, serial }, ...toResources(entry.removed));
+        serial = Number(entry.serial);
+        resources.push({ ...soa, serial }, ...toResources(entry.added));
+    }
+    return [...resources, soa];
+};
+
+/**
+ * Sends resources as a series of responses.
+ * @param {import("./tsig.js").WireMessage} request The query
+ * @param {import("./tsig.js").TsigResult | null} tsig The TSIG of the query
+ * @param {object[]} resources The resources
+ * @param {(message: Buffer) => Promise<void>} send Sends a message
+ */
+const sendResources = async (request, tsig, resources, send) => {
+    const finish = res => tsig ? tsig.sign(res.toBuffer()) : res.toBuffer();
+    let res = makeResponse(request), size = 0;
+    for(const resource of resources) {
+        const length = Packet.Resource.encode(resource).length;
+        if(res.answers.length > 0 && size + length > MESSAGE_SIZE) {
+            await send(finish(res));
+            res = makeResponse(request);
+            size = 0;
+        }
+        res.answers.push(resource);
+        size += length;
+    }
+    await send(finish(res));
+};
+
+/**
+ * Handles an AXFR (RFC 5936) or IXFR (RFC 1995) query coming in over a stream.
+ * Secondaries have to be in TRANSFER_ALLOW or sign the query with a TSIG key of the base (or both, with TRANSFER_REQUIRE_TSIG).
+ * @param {Buffer} buf The raw query
+ * @param {(message: Buffer) => Promise<void>} send Sends a message
+ * @param {string} address Who sent the query
+ */
+export const handleTransfer = async (buf, send, address) => {
+    let request, tsig;
+    try {
+        request = parseMessage(buf);
+        tsig = await verifyTsig(buf, request);
+    } catch(_) {
+        return await send(makeResponse({ id: buf.readUInt16BE(0), question: null }, RCODE.FORMERR).toBuffer());
+    }
+    const reply = async rcode => await send(tsig ? tsig.sign(makeResponse(request, rcode).toBuffer())
+        : makeResponse(request, rcode).toBuffer());
+    if(tsig?.error) return await reply(RCODE.NOTAUTH);
+
+    const zone = request.question.name;
+    if(request.question.class !== Packet.CLASS.IN || await getZone(zone) !== zone)
+        return await reply(RCODE.NOTAUTH);
+    const signed = tsig !== null && tsig.key.base === zone;
+    const allowed = inAddressList(allowList, address);
+    if(REQUIRE_TSIG ? !(signed && allowed) : !(signed || allowed))
+        return await reply(RCODE.REFUSED);
+
+    // The SOA is taken before the records, so the records are at least as new as the serial secondaries get
+    const soa = await makeSOA(zone);
+    if(request.question.type === TYPE_IXFR) {
+        const since = clientSerial(buf, request);
+        if(since === null) return await reply(RCODE.FORMERR);
+        if(since === soa.serial) return await sendResources(request, tsig, [soa], send);
+        // Signatures change with every record, so signed bases are always transferred in full
+        const diff = await isSigned(zone) ? null : await journalResources(zone, soa, since);
+        if(diff) return await sendResources(request, tsig, diff, send);
+    }
+    await sendResources(request, tsig, await zoneResources(zone, soa), send);
+};
+
+/**
+ * Answers a transfer query that came in over UDP.
+ * AXFR needs a stream, while IXFR only gets the current SOA so the secondary can tell whether to retry over TCP (RFC 1995 §2).
+ * @param {Packet} req The query
+ * @returns {Packet} The response
+ */
+export const answerUdpTransfer = async req => {
+    const res = Packet.createResponseFromRequest(req);
+    res.source = "transfer";
+    const [ question ] = req.questions;
+    const zone = question.name.toLowerCase();
+    if(question.type !== TYPE_IXFR || await getZone(zone) !== zone) {
+        res.header.rcode = question.type === TYPE_IXFR ? RCODE.NOTAUTH : RCODE.NOTIMP;
+        return res;
+    }
+    res.header.aa = 1;
+    res.answers.push(await makeSOA(zone));
+    return res;
+};
+
+/**
+ * Checks whether a parsed query asks for a zone transfer.
+ * @param {Packet} req The query
+ * @returns {boolean} Whether it's a transfer query
+ */
+export const isTransferQuery = req => [Packet.TYPE.AXFR, TYPE_IXFR].includes(req.questions[0]?.type);
\ No newline at end of file
@@ -0,0 +1,289 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { getTsigKeyByName } from "./index.js";
+
+const TYPE_TSIG = 250;
+// RFC 2136 §2.2 adds these to the response codes dns2 knows about
+export const RCODE = { ...Packet.RCODE, YXDOMAIN: 6, YXRRSET: 7, NXRRSET: 8, NOTAUTH: 9, NOTZONE: 10 };
+// TSIG error codes (RFC 8945 §5.3)
+const BADSIG = 16;
+const BADKEY = 17;
+const BADTIME = 18;
+const TSIG_FUDGE = 300;
+const MAX_POINTERS = 64;
+
+/** @type {Record<string, string>} TSIG algorithm names (RFC 8945 §6) and the hashes they use */
+export const tsigAlgorithms = {
+    "hmac-sha1": "sha1",
+    "hmac-sha224": "sha224",
+    "hmac-sha256": "sha256",
+    "hmac-sha384": "sha384",
+    "hmac-sha512": "sha512"
+};
+
+/**
+ * @typedef {object} WireRecord A resource record as it appears in the message
+ * @prop {string} name Owner name (lowercase, no trailing dot)
+ * @prop {number} type Type number
+ * @prop {number} class Class number
+ * @prop {number} ttl TTL
+ * @prop {Buffer} rdata Raw RDATA
+ * @prop {number} rdataOffset Where the RDATA starts in the message, to follow compressed names in it
+ * @prop {number} start Where the record starts in the message
+ */
+/**
+ * @typedef {object} WireMessage A message parsed just far enough for TSIG, updates and transfers
+ * @prop {number} id Message ID
+ * @prop {number} opcode Opcode
+ * @prop {{ name: string, type: number, class: number } | null} question The question (or zone) section, if it has exactly one entry
+ * @prop {WireRecord[]} answers Answer (or prerequisite) section
+ * @prop {WireRecord[]} authorities Authority (or update) section
+ * @prop {WireRecord | null} tsig The TSIG record, if the message is signed
+ */
+
+/**
+ * Reads a domain name from a message, following compression pointers.
+ * @param {Buffer} buf The message
+ * @param {number} offset Where the name starts
+ * @returns {{ name: string, end: number }} The name and where it ends in the message
+ */
+export const readName = (buf, offset) => {
+    const labels = [];
+    let end = null, pointers = 0;
+    while(true) {
+        if(offset >= buf.length) throw new Error("Truncated name");
+        const length = buf[offset];
+        if((length & 0xc0) === 0xc0) {
+            if(offset + 2 > buf.length || ++pointers > MAX_POINTERS) throw new Error("Invalid compression pointer");
+            end ??= offset + 2;
+            offset = buf.readUInt16BE(offset) & 0x3fff;
+            continue;
+        }
+        if(length & 0xc0) throw new Error("Invalid label type");
+        if(length === 0) break;
+        if(offset + 1 + length > buf.length) throw new Error("Truncated label");
+        const label = buf.toString("latin1", offset + 1, offset + 1 + length);
+        if(label.includes(".")) throw new Error("Dot in label");
+        labels.push(label.toLowerCase());
+        offset += 1 + length;
+    }
+    return { name: labels.join("."), end: end ?? offset + 1 };
+};
+/**
+ * Reads a resource record from a message.
+ * @param {Buffer} buf The message
+ * @param {number} offset Where the record starts
+ * @returns {{ record: WireRecord, end: number }} The record and where it ends
+ */
+const readRecord = (buf, offset) => {
+    const { name, end } = readName(buf, offset);
+    if(end + 10 > buf.length) throw new Error("Truncated record");
+    const rdataOffset = end + 10;
+    const rdataEnd = rdataOffset + buf.readUInt16BE(end + 8);
+    if(rdataEnd > buf.length) throw new Error("Truncated RDATA");
+    return {
+        record: {
+            name,
+            type: buf.readUInt16BE(end),
+            class: buf.readUInt16BE(end + 2),
+            ttl: buf.readUInt32BE(end + 4),
+            rdata: buf.subarray(rdataOffset, rdataEnd),
+            rdataOffset,
+            start: offset
+        },
+        end: rdataEnd
+    };
+};
+
+/**
+ * Parses a message without decoding the RDATA.
+ * dns2 throws the raw message away after parsing it, but TSIG signs exactly those bytes.
+ * @param {Buffer} buf The message
+ * @returns {WireMessage} The message
+ */
+export const parseMessage = buf => {
+    if(buf.length < 12) throw new Error("Truncated header");
+    const counts = [4, 6, 8, 10].map(offset => buf.readUInt16BE(offset));
+    let offset = 12;
+    const questions = [];
+    for(let i = 0; i < counts[0]; i++) {
+        const { name, end } = readName(buf, offset);
+        if(end + 4 > buf.length) throw new Error("Truncated question section");
+        questions.push({ name, type: buf.readUInt16BE(end), class: buf.readUInt16BE(end + 2) });
+        offset = end + 4;
+    }
+    const sections = [[], [], []];
+    for(const [index, section] of sections.entries())
+        for(let i = 0; i < counts[index + 1]; i++) {
+            const { record, end } = readRecord(buf, offset);
+            section.push(record);
+            offset = end;
+        }
+    const [answers, authorities, additionals] = sections;
+    const tsigIndex = additionals.findIndex(record => record.type === TYPE_TSIG);
+    if(tsigIndex !== -1 && tsigIndex !== additionals.length - 1) throw new Error("TSIG isn't the last record");
+    return {
+        id: buf.readUInt16BE(0),
+        opcode: (buf[2] >> 3) & 0xf,
+        question: questions.length === 1 ? questions[0] : null,
+        answers,
+        authorities,
+        tsig: additionals[tsigIndex] ?? null
+    };
+};
+
+/**
+ * Writes a domain name without compression.
+ * @param {string} name The name
+ * @returns {Buffer} The name in wire format
+ */
+export const writeName = name => Buffer.concat([
+    ...name.split(".").filter(label => label.length > 0).map(label => {
+        const bytes = Buffer.from(label, "latin1");
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    }),
+    Buffer.from([0])
+]);
+/**
+ * Writes unsigned big-endian integers.
+ * @param {number} size Bytes per integer
+ * @param {...number} values The integers
+ * @returns {Buffer} The integers in wire format
+ */
+export const writeUInt = (size, ...values) => {
+    const buf = Buffer.alloc(size * values.length);
+    values.forEach((value, index) => buf.writeUIntBE(value, index * size, size));
+    return buf;
+};
+
+/**
+ * @typedef {object} TsigData The RDATA of a TSIG record (RFC 8945 §4.2)
+ * @prop {string} algorithm Algorithm name
+ * @prop {number} time Time signed (seconds)
+ * @prop {number} fudge Allowed clock skew (seconds)
+ * @prop {Buffer} mac The MAC
+ * @prop {number} originalId The ID the message had when it was signed
+ * @prop {number} error TSIG error code
+ * @prop {Buffer} other Other data
+ */
+/**
+ * Parses the RDATA of a TSIG record.
+ * @param {Buffer} buf The message
+ * @param {WireRecord} record The TSIG record
+ * @returns {TsigData} The TSIG fields
+ */
+const parseTsig = (buf, record) => {
+    const { name: algorithm, end } = readName(buf, record.rdataOffset);
+    const data = buf.subarray(end, record.rdataOffset + record.rdata.length);
+    const macSize = data.readUInt16BE(8);
+    const rest = 10 + macSize;
+    const otherSize = data.readUInt16BE(rest + 4);
+    if(rest + 6 + otherSize !== data.length) throw new Error("Invalid TSIG length");
+    return {
+        algorithm,
+        time: data.readUIntBE(0, 6),
+        fudge: data.readUInt16BE(6),
+        mac: data.subarray(10, rest),
+        originalId: data.readUInt16BE(rest),
+        error: data.readUInt16BE(rest + 2),
+        other: data.subarray(rest + 6)
+    };
+};
+
+/**
+ * Builds the TSIG variables that get signed along with the message (RFC 8945 §4.3.3).
+ * @param {string} keyName Key name
+ * @param {TsigData} tsig TSIG fields
+ * @returns {Buffer} The variables
+ */
+const tsigVariables = (keyName, tsig) => Buffer.concat([
+    writeName(keyName), writeUInt(2, Packet.CLASS.ANY), writeUInt(4, 0),
+    writeName(tsig.algorithm), writeUInt(6, tsig.time), writeUInt(2, tsig.fudge, tsig.error, tsig.other.length), tsig.other
+]);
+/**
+ * Appends a TSIG record to a message.
+ * @param {Buffer} message The message
+ * @param {string} keyName Key name
+ * @param {TsigData} tsig TSIG fields
+ * @returns {Buffer} The message with the TSIG record
+ */
+const appendTsig = (message, keyName, tsig) => {
+    const rdata = Buffer.concat([
+        writeName(tsig.algorithm), writeUInt(6, tsig.time), writeUInt(2, tsig.fudge, tsig.mac.length), tsig.mac,
+        writeUInt(2, tsig.originalId, tsig.error, tsig.other.length), tsig.other
+    ]);
+    const signed = Buffer.concat([
+        message, writeName(keyName), writeUInt(2, TYPE_TSIG, Packet.CLASS.ANY), writeUInt(4, 0), writeUInt(2, rdata.length), rdata
+    ]);
+    signed.writeUInt16BE(signed.readUInt16BE(10) + 1, 10);
+    return signed;
+};
+/**
+ * Computes a TSIG MAC.
+ * @param {import("./index.js").TsigKey} key The key
+ * @param {Buffer[]} data What to sign
+ * @returns {Buffer} The MAC
+ */
+const computeMac = (key, data) => {
+    const hmac = createHmac(tsigAlgorithms[key.algorithm], key.secret);
+    for(const chunk of data) hmac.update(chunk);
+    return hmac.digest();
+};
+
+/**
+ * @typedef {object} TsigResult The outcome of checking the TSIG record of a request
+ * @prop {import("./index.js").TsigKey | null} key The key (null if we don't know it)
+ * @prop {number} error TSIG error code (0 if the request is properly signed)
+ * @prop {(response: Buffer) => Buffer} sign Signs a response, or the next message of a multi-message response.
+ * Responses to requests with errors get the error in their TSIG record (and no MAC, unless the error is BADTIME).
+ */
+/**
+ * Checks the TSIG record of a request (RFC 8945 §5.2).
+ * @param {Buffer} buf The raw request
+ * @param {WireMessage} request The parsed request
+ * @returns {TsigResult | null} The outcome (or null if the request isn't signed)
+ * @throws {Error} If the TSIG record is malformed
+ */
+export const verifyTsig = async (buf, request) => {
+    if(!request.tsig) return null;
+    const tsig = parseTsig(buf, request.tsig);
+    const now = Math.floor(Date.now() / 1000);
+    // Errors about the key or the MAC itself can't be signed (RFC 8945 §5.3.2)
+    const reject = error => ({
+        key: null,
+        error,
+        sign: response => appendTsig(response, request.tsig.name,
+            { ...tsig, time: now, mac: Buffer.alloc(0), error, other: Buffer.alloc(0) })
+    });
+    const key = await getTsigKeyByName(request.tsig.name);
+    if(!key || key.algorithm !== tsig.algorithm || !tsigAlgorithms[key.algorithm])
+        return reject(BADKEY);
+
+    const unsigned = Buffer.from(buf.subarray(0, request.tsig.start));
+    unsigned.writeUInt16BE(tsig.originalId, 0);
+    unsigned.writeUInt16BE(unsigned.readUInt16BE(10) - 1, 10);
+    const mac = computeMac(key, [unsigned, tsigVariables(key.name, tsig)]);
+    if(tsig.mac.length !== mac.length || !timingSafeEqual(tsig.mac, mac))
+        return reject(BADSIG);
+
+    const error = Math.abs(now - tsig.time) > tsig.fudge ? BADTIME : 0;
+    let previous = tsig.mac, first = true;
+    return {
+        key,
+        error,
+        sign: response => {
+            const fields = {
+                algorithm: key.algorithm, time: Math.floor(Date.now() / 1000), fudge: TSIG_FUDGE, originalId: tsig.originalId,
+                error, other: error === BADTIME ? writeUInt(6, now) : Buffer.alloc(0)
+            };
+            // Later messages of a transfer only sign the timers along with the previous MAC (RFC 8945 §5.3.1)
+            const variables = first ? tsigVariables(key.name, fields)
+                : Buffer.concat([writeUInt(6, fields.time), writeUInt(2, fields.fudge)]);
+            const mac = computeMac(key, [writeUInt(2, previous.length), previous, response, variables]);
+            previous = mac;
+            first = false;
+            return appendTsig(response, key.name, { ...fields, mac });
+        }
+    };
+};
\ No newline at end of file
@@ -0,0 +1,301 @@
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { deleteRecordByID, getRecordsByBase, getZone, lockBase, pushAudit, pushRecord, recordTypes, transaction, updateRecord } from "./index.js";
+import { REGEX_CAA_TAG, REGEX_HOSTNAME } from "./regex.js";
+import { validateRecord } from "./records.js";
+import { typeName } from "./resolver.js";
+import { makeNS } from "./zone.js";
+import { parseMessage, RCODE, readName, verifyTsig, writeName, writeUInt } from "./tsig.js";
+
+export const OPCODE_UPDATE = 5;
+const CLASS_NONE = 254;
+const NAME_TYPES = ["CNAME", "NS", "PTR", "MX", "SRV"];
+
+/**
+ * An update that can't be applied, along with the response code to report.
+ */
+class UpdateError extends Error {
+    /**
+     * @param {number} rcode Response code
+     * @param {string} msg What went wrong
+     */
+    constructor(rcode, msg) {
+        super(msg);
+        this.rcode = rcode;
+    }
+}
+
+/**
+ * Builds a response to an UPDATE, echoing its zone section.
+ * @param {import("./tsig.js").WireMessage} request The request
+ * @param {number} rcode Response code
+ * @returns {Buffer} The unsigned response
+ */
+const makeResponse = (request, rcode) => {
+    const header = writeUInt(2, request.id, 0x8000 | (OPCODE_UPDATE << 11) | rcode, request.question ? 1 : 0, 0, 0, 0);
+    if(!request.question) return header;
+    return Buffer.concat([header, writeName(request.question.name), writeUInt(2, request.question.type, request.question.class)]);
+};
+
+/**
+ * Decodes the RDATA of a record into the value and fields we store.
+ * @param {Buffer} buf The message
+ * @param {import("./tsig.js").WireRecord} record The record
+ * @returns {{ type: import("./index.js").RecordType, value: string, fields: import("./index.js").RecordFields }} The record data
+ */
+const decodeRecord = (buf, record) => {
+    const type = typeName(record.type);
+    const { rdata } = record;
+    const name = offset => {
+        const { name, end } = readName(buf, record.rdataOffset + offset);
+        if(end !== record.rdataOffset + rdata.length || !REGEX_HOSTNAME.test(name)) throw new Error(`Invalid ${type} target`);
+        return name;
+    };
+    switch(type) {
+        case "A":
+            if(rdata.length !== 4) throw new Error("Invalid A record");
+            return { type, value: [...rdata].join("."), fields: {} };
+        case "AAAA": {
+            if(rdata.length !== 16) throw new Error("Invalid AAAA record");
+            const groups = [];
+            for(let i = 0; i < 16; i += 2) groups.push(rdata.readUInt16BE(i).toString(16));
+            return { type, value: canonicalValue(type, groups.join(":")), fields: {} };
+        }
+        case "CNAME":
+        case "NS":
+        case "PTR":
+            return { type, value: name(0), fields: {} };
+        case "MX":
+            if(rdata.length < 3) throw new Error("Invalid MX record");
+            return { type, value: name(2), fields: { priority: rdata.readUInt16BE(0) } };
+        case "SRV":
+            if(rdata.length < 7) throw new Error("Invalid SRV record");
+            return { type, value: name(6), fields: { priority: rdata.readUInt16BE(0), weight: rdata.readUInt16BE(2), port: rdata.readUInt16BE(4) } };
+        case "TXT": {
+            // Like zone files, several strings make up one value
+            const strings = [];
+            for(let offset = 0; offset < rdata.length; offset += 1 + rdata[offset]) {
+                if(offset + 1 + rdata[offset] > rdata.length) throw new Error("Invalid TXT record");
+                strings.push(rdata.toString("utf8", offset + 1, offset + 1 + rdata[offset]));
+            }
+            return { type, value: strings.join(""), fields: {} };
+        }
+        case "CAA": {
+            if(rdata.length < 2 || 2 + rdata[1] > rdata.length) throw new Error("Invalid CAA record");
+            const tag = rdata.toString("latin1", 2, 2 + rdata[1]);
+            if(!REGEX_CAA_TAG.test(tag)) throw new Error("Invalid CAA tag");
+            return { type, value: rdata.toString("utf8", 2 + rdata[1]), fields: { flags: rdata[0], tag } };
+        }
+    }
+    throw new Error(`Unsupported type ${type ?? record.type}`);
+};
+/**
+ * Brings a record value into a form that can be compared.
+ * @param {import("./index.js").RecordType} type The record's type
+ * @param {string} value The record's value
+ * @returns {string} The normalized value
+ */
+const canonicalValue = (type, value) => {
+    if(type === "AAAA") {
+        try {
+            return new URL(`http://[${value}]`).hostname.slice(1, -1);
+        } catch(_) {
+            return value.toLowerCase();
+        }
+    }
+    if(NAME_TYPES.includes(type)) return value.toLowerCase().replace(/\.$/, "");
+    return value;
+};
+/**
+ * Checks whether a stored record has the same data as a decoded one.
+ * @param {import("./index.js").Record} record The stored record
+ * @param {{ type: string, value: string, fields: import("./index.js").RecordFields }} data The decoded data
+ * @returns {boolean} Whether they match
+ */
+const sameData = (record, data) => record.type === data.type
+    && canonicalValue(record.type, record.value) === canonicalValue(data.type, data.value)
+    && ["priority", "weight", "port", "flags", "tag"].every(field => (record[field] ?? null) === (data.fields[field] ?? null));
+
+/**
+ * Checks the prerequisites and applies the updates of a message in one transaction (RFC 2136 §3.2-3.4).
+ * @param {Buffer} buf The message
+ * @param {import("./tsig.js").WireMessage} request The parsed message
+ * @param {import("./index.js").TsigKey} key The key the message was signed with
+ */
+const applyUpdate = async (buf, request, key) => await transaction(async db => {
+    // The sections of an UPDATE are zone, prerequisite, update and additional data (RFC 2136 §2)
+    const zone = request.question.name;
+    const { answers: prerequisites, authorities: updates } = request;
+    const actor = `tsig:${key.id}`;
+    const inZone = async name => (name === zone || name.endsWith("." + zone)) && await getZone(name) === zone;
+    // Generated records count towards prerequisites, but updates leave them alone (just like zone imports)
+    const generated = (name, type) => name === zone && (type === "SOA" || type === "NS");
+
+    await lockBase(zone, db);
+    const records = [];
+    // Updates only see and change what clients outside of every view get
+    for(const record of await getRecordsByBase(zone, db))
+        if(!record.name.startsWith("-.") && !record.view && await getZone(record.name) === zone) records.push(record);
+    const nameInUse = name => name === zone || records.some(record => record.name === name);
+    const rrsetExists = (name, type) => generated(name, type) || records.some(record => record.name === name && record.type === type);
+
+    const expected = new Map();
+    for(const prerequisite of prerequisites) {
+        if(prerequisite.ttl !== 0) throw new UpdateError(RCODE.FORMERR, "Prerequisite with a TTL");
+        if(!await inZone(prerequisite.name)) throw new UpdateError(RCODE.NOTZONE, `${prerequisite.name} is outside of ${zone}`);
+        const type = typeName(prerequisite.type) ?? String(prerequisite.type);
+        if(prerequisite.class === Packet.CLASS.ANY || prerequisite.class === CLASS_NONE) {
+            if(prerequisite.rdata.length !== 0) throw new UpdateError(RCODE.FORMERR, "Prerequisite with RDATA");
+            const exists = type === "ANY" ? nameInUse(prerequisite.name) : rrsetExists(prerequisite.name, type);
+            if(prerequisite.class === Packet.CLASS.ANY && !exists)
+                throw new UpdateError(type === "ANY" ? RCODE.NXDOMAIN : RCODE.NXRRSET, `${prerequisite.name} ${type} doesn't exist`);
+            if(prerequisite.class === CLASS_NONE && exists)
+                throw new UpdateError(type === "ANY" ? RCODE.YXDOMAIN : RCODE.YXRRSET, `${prerequisite.name} ${type} exists`);
+        } else if(prerequisite.class === request.question.class) {
+            const key = `${prerequisite.name} ${type}`;
+            if(!expected.has(key)) expected.set(key, { name: prerequisite.name, type, values: [] });
+            let data;
+            try {
+                data = decodeRecord(buf, prerequisite);
+            } catch(_) {
+                // Can't be stored, so it can't exist either
+                throw new UpdateError(RCODE.NXRRSET, `${prerequisite.name} ${type} doesn't exist`);
+            }
+            expected.get(key).values.push(data);
+        } else throw new UpdateError(RCODE.FORMERR, "Invalid prerequisite class");
+    }
+    for(const { name, type, values } of expected.values()) {
+        const rrset = generated(name, type)
+            ? (type === "NS" ? makeNS(zone).map(ns => ({ type, value: ns.ns })) : [])
+            : records.filter(record => record.name === name && record.type === type);
+        if(!values.every(data => rrset.some(record => sameData(record, data)))
+                || !rrset.every(record => values.some(data => sameData(record, data))))
+            throw new UpdateError(RCODE.NXRRSET, `${name} ${type} doesn't match`);
+    }
+
+    const changes = [];
+    for(const update of updates) {
+        if(!await inZone(update.name)) throw new UpdateError(RCODE.NOTZONE, `${update.name} is outside of ${zone}`);
+        if(update.name.startsWith("-.")) throw new UpdateError(RCODE.REFUSED, "Owner records can't be updated");
+        const type = typeName(update.type) ?? String(update.type);
+        if(["AXFR", "MAILA", "MAILB"].includes(type) || (type === "ANY" && update.class !== Packet.CLASS.ANY))
+            throw new UpdateError(RCODE.FORMERR, `Invalid type ${type}`);
+        if(update.class === Packet.CLASS.ANY) {
+            if(update.ttl !== 0 || update.rdata.length !== 0) throw new UpdateError(RCODE.FORMERR, "Invalid deletion");
+            changes.push({ update, type });
+            continue;
+        }
+        if(update.class === CLASS_NONE && update.ttl !== 0) throw new UpdateError(RCODE.FORMERR, "Invalid deletion");
+        if(update.class !== CLASS_NONE && update.class !== request.question.class)
+            throw new UpdateError(RCODE.FORMERR, "Invalid update class");
+        if(generated(update.name, type)) {
+            changes.push({ update, type });
+            continue;
+        }
+        if(!recordTypes.includes(type)) throw new UpdateError(RCODE.REFUSED, `Unsupported type ${type}`);
+        let data;
+        try {
+            data = decodeRecord(buf, update);
+        } catch(e) {
+            throw new UpdateError(RCODE.FORMERR, e.message);
+        }
+        // Added records have to be ones the API would take too (TTL 0 and TTLs that don't fit are refused)
+        if(update.class !== CLASS_NONE) {
+            const error = validateRecord({ name: update.name, type, ttl: update.ttl, value: data.value, ...data.fields });
+            if(error !== null)
+                throw new UpdateError(error === "invalidValue" ? RCODE.FORMERR : RCODE.REFUSED, `Invalid ${type} record ${update.name}`);
+        }
+        changes.push({ update, type, data });
+    }
+
+    const remove = async record => {
+        await deleteRecordByID(record.id, db);
+        await pushAudit(actor, "record.delete", record.name, record, null, db);
+        records.splice(records.indexOf(record), 1);
+    };
+    for(const { update, type, data } of changes) {
+        if(generated(update.name, type)) continue;
+        if(update.class === Packet.CLASS.ANY && type === "ANY") {
+            if(update.name === zone) {
+                for(const record of records.filter(record => record.name === zone && !generated(zone, record.type)))
+                    await remove(record);
+                continue;
+            }
+            for(const record of records.filter(record => record.name === update.name))
+                await remove(record);
+        } else if(update.class === Packet.CLASS.ANY) {
+            for(const record of records.filter(record => record.name === update.name && record.type === type))
+                await remove(record);
+        } else if(update.class === CLASS_NONE) {
+            for(const record of records.filter(record => record.name === update.name && sameData(record, data)))
+                await remove(record);
+        } else {
+            const existing = records.filter(record => record.name === update.name);
+            // A CNAME can't share its name with anything else (RFC 2136 §3.4.2.2)
+            if(type === "CNAME" ? existing.some(record => record.type !== "CNAME") : existing.some(record => record.type === "CNAME"))
+                continue;
+            const old = existing.find(record => type === "CNAME" ? record.type === "CNAME" : sameData(record, data));
+            if(old) {
+                if(type !== "CNAME" && old.ttl === update.ttl) continue;
+                const record = await updateRecord(old.id, old.name, type, update.ttl, data.value, data.fields, db);
+                await pushAudit(actor, "record.update", record.name, old, record, db);
+                records[records.indexOf(old)] = record;
+            } else {
+                const record = await pushRecord(update.name, type, update.ttl, data.value, data.fields, db);
+                await pushAudit(actor, "record.create", record.name, null, record, db);
+                records.push(record);
+            }
+        }
+    }
+});
+
+/**
+ * Checks whether a raw DNS message is an UPDATE.
+ * @param {Buffer} buf The message
+ * @returns {boolean} Whether it's an UPDATE request
+ */
+export const isUpdate = buf => buf.length >= 12 && (buf[2] & 0x80) === 0 && ((buf[2] >> 3) & 0xf) === OPCODE_UPDATE;
+
+/**
+ * Handles a dynamic update (RFC 2136) authenticated with TSIG (RFC 8945).
+ * @param {Buffer} buf The raw message
+ * @returns {Buffer | null} The response (or null if the message is too broken to answer)
+ */
+export const handleUpdate = async buf => {
+    let request;
+    try {
+        request = parseMessage(buf);
+    } catch(_) {
+        if(buf.length < 12) return null;
+        return makeResponse({ id: buf.readUInt16BE(0), question: null }, RCODE.FORMERR);
+    }
+    if(!request.question || request.question.type !== Packet.TYPE.SOA)
+        return makeResponse(request, RCODE.FORMERR);
+
+    let tsig;
+    try {
+        tsig = await verifyTsig(buf, request);
+    } catch(_) {
+        return makeResponse(request, RCODE.FORMERR);
+    }
+    if(!tsig)
+        return makeResponse(request, RCODE.REFUSED);
+    if(tsig.error)
+        return tsig.sign(makeResponse(request, RCODE.NOTAUTH));
+
+    const zone = request.question;
+    if(zone.class !== Packet.CLASS.IN || await getZone(zone.name) !== zone.name)
+        return tsig.sign(makeResponse(request, RCODE.NOTAUTH));
+    if(tsig.key.base !== zone.name)
+        return tsig.sign(makeResponse(request, RCODE.REFUSED));
+    try {
+        await applyUpdate(buf, request, tsig.key);
+    } catch(e) {
+        if(!(e instanceof UpdateError)) {
+            console.error("Couldn't apply an update:", e.message);
+            return tsig.sign(makeResponse(request, RCODE.SERVFAIL));
+        }
+        return tsig.sign(makeResponse(request, e.rcode));
+    }
+    return tsig.sign(makeResponse(request, RCODE.NOERROR));
+};
\ No newline at end of file
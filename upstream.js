@@ -0,0 +1,316 @@
+import net from "net";
+import dgram from "dgram";
+import { once } from "events";
+import { randomInt } from "crypto";
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { Collector, upstreamDuration, upstreamQueriesTotal } from "./metrics.js";
+import { makeOpt } from "./edns.js";
+import { isPublicAddress } from "./acl.js";
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT ?? "2000");
+const MAX_FAILURES = parseInt(process.env.UPSTREAM_MAX_FAILURES ?? "3");
+const HEALTH_CHECK_MS = parseInt(process.env.UPSTREAM_HEALTH_INTERVAL ?? "10") * 1000;
+export const upstreamProtocols = ["udp", "tcp", "doh"];
+
+/**
+ * @typedef {object} Upstream An upstream DNS server
+ * @prop {string} address IP address or hostname (the URL for DoH)
+ * @prop {number} port Port (ignored for DoH)
+ * @prop {"udp" | "tcp" | "doh"} protocol Transport to ask it over
+ * @prop {number} [timeout] Milliseconds to wait for an answer (UPSTREAM_TIMEOUT by default)
+ */
+/**
+ * @typedef {object} UpstreamHealth Health of an upstream
+ * @prop {number} failures Failed queries in a row
+ * @prop {boolean} down Whether it's skipped until a health check gets an answer out of it
+ * @prop {string | null} error The last error
+ * @prop {number | null} checked When it last answered or failed (ms)
+ */
+/**
+ * @typedef {object} UpstreamQueryOptions
+ * @prop {import("./edns.js").ClientSubnet | null} [subnet] Client subnet to pass along (RFC 7871)
+ */
+
+/**
+ * Parses an upstream from its short form: "address", "address:port", "[IPv6]:port",
+ * any of those prefixed with "udp://" or "tcp://", or a DoH URL ("https://...").
+ * @param {string} spec The upstream
+ * @returns {Upstream | null} The upstream (or null if it's invalid)
+ */
+export const parseUpstream = spec => {
+    spec = spec.trim();
+    // DoH is only asked over TLS, plain HTTP URLs (and any other scheme) are rejected
+    if(/^https:\/\//i.test(spec)) {
+        try {
+            return { address: new URL(spec).href, port: 443, protocol: "doh" };
+        } catch(_) {
+            return null;
+        }
+    }
+    const [, protocol = "udp", rest] = spec.match(/^(?:(udp|tcp):\/\/)?(.*)$/i);
+    const match = rest.match(/^\[(.+)\](?::(\d+))?$/) ?? (net.isIPv6(rest) ? [rest, rest] : rest.match(/^([^:/\s]+)(?::(\d+))?$/));
+    if(!match) return null;
+    const port = parseInt(match[2] ?? "53");
+    if(port < 1 || port > 65535) return null;
+    return { address: match[1], port, protocol: protocol.toLowerCase() };
+};
+
+/**
+ * Checks an upstream as given to the API, either in its short form or as an object.
+ * @param {string | object} input The upstream
+ * @returns {Upstream | null} The upstream with its defaults filled in (or null if it's invalid)
+ */
+export const normalizeUpstream = input => {
+    if(typeof input === "string") return parseUpstream(input);
+    if(typeof input !== "object" || input === null || typeof input.address !== "string") return null;
+    const protocol = input.protocol ?? "udp";
+    if(!upstreamProtocols.includes(protocol)) return null;
+    if(protocol === "doh") {
+        const upstream = parseUpstream(input.address);
+        if(upstream?.protocol !== "doh") return null;
+        return input.timeout === undefined ? upstream : { ...upstream, timeout: input.timeout };
+    }
+    const port = input.port ?? 53;
+    if(!Number.isInteger(port) || port < 1 || port > 65535 || !/^[^\s/]+$/.test(input.address)) return null;
+    if(input.timeout !== undefined && (!Number.isInteger(input.timeout) || input.timeout < 1 || input.timeout > 60000))
+        return null;
+    const upstream = { address: input.address, port, protocol };
+    if(input.timeout !== undefined) upstream.timeout = input.timeout;
+    return upstream;
+};
+
+/**
+ * Checks whether an upstream is at a public address, which is all tenants' proxy rules may send queries to.
+ * Hostnames (DoH URLs included) could resolve to anything, so only addresses count.
+ * @param {Upstream} upstream The upstream
+ * @returns {boolean} Whether it is
+ */
+export const isPublicUpstream = upstream => isPublicAddress(upstream.protocol === "doh"
+    ? new URL(upstream.address).hostname.replace(/^\[(.*)\]$/, "$1") : upstream.address);
+
+/** @type {Upstream[]} Upstreams from DEFAULT_SERVER, asked when nothing else answers */
+export const defaultUpstreams = (process.env.DEFAULT_SERVER ?? "").split(",").filter(x => x.trim())
+    .map(parseUpstream).filter(x => x);
+
+/**
+ * Builds a key identifying an upstream.
+ * @param {Upstream} upstream The upstream
+ * @returns {string} The key
+ */
+export const upstreamKey = upstream => upstream.protocol === "doh" ? upstream.address
+    : `${upstream.protocol}://${net.isIPv6(upstream.address) ? `[${upstream.address}]` : upstream.address}:${upstream.port}`;
+
+/** @type {Map<string, { upstream: Upstream } & UpstreamHealth>} */
+const health = new Map();
+
+/**
+ * Gets (and starts tracking) the health of an upstream.
+ * @param {Upstream} upstream The upstream
+ * @returns {{ upstream: Upstream } & UpstreamHealth} Its health
+ */
+const healthOf = upstream => {
+    const key = upstreamKey(upstream);
+    if(!health.has(key)) health.set(key, { upstream, failures: 0, down: false, error: null, checked: null });
+    return health.get(key);
+};
+
+/**
+ * Gets the health of every upstream we've asked so far.
+ * @returns {({ key: string } & UpstreamHealth)[]} Their health
+ */
+export const getUpstreamHealth = () => [...health.entries()]
+    .map(([key, { failures, down, error, checked }]) => ({ key, failures, down, error, checked }));
+new Collector("yourdns_upstream_up", "Whether an upstream server is being asked (0 while it's skipped as down)", "gauge",
+    () => [...health.keys()].map(key => [{ upstream: key }, health.get(key).down ? 0 : 1]));
+
+/**
+ * Builds a query message, advertising our UDP payload size.
+ * @param {string} name The queried name
+ * @param {string} type The queried type name (TYPEnn for types dns2 doesn't know)
+ * @param {UpstreamQueryOptions} [options] What to pass along
+ * @returns {Packet} The query
+ */
+const makeQuery = (name, type, { subnet = null } = {}) => {
+    const query = new Packet({ id: randomInt(65536), rd: 1 });
+    query.questions.push({ name, type: Packet.TYPE[type] ?? parseInt(type.replace(/^TYPE/, "")), class: Packet.CLASS.IN });
+    query.additionals.push(makeOpt({ subnet: subnet && { ...subnet, scopePrefixLength: 0 } }));
+    return query;
+};
+
+/**
+ * Checks whether a response answers a query, so that stray or spoofed packets are ignored.
+ * @param {Packet} query The query
+ * @param {Packet} response The response
+ * @returns {boolean} Whether it does
+ */
+const isResponseTo = (query, response) => {
+    const name = question => question?.name.toLowerCase().replace(/\.$/, "");
+    return response.header.id === query.header.id
+        && name(response.questions[0]) === name(query.questions[0])
+        && response.questions[0]?.type === query.questions[0].type;
+};
+
+/**
+ * Asks an upstream over UDP.
+ * @param {Upstream} upstream The upstream
+ * @param {Packet} query The query
+ * @param {number} timeout Milliseconds to wait
+ * @returns {Promise<Packet>} The response
+ */
+const queryUDP = async (upstream, query, timeout) => {
+    const socket = dgram.createSocket(net.isIPv6(upstream.address) ? "udp6" : "udp4");
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+    });
+    try {
+        socket.send(query.toBuffer(), upstream.port, upstream.address);
+        for(;;) {
+            const [message, rinfo] = await Promise.race([once(socket, "message"), timedOut]);
+            if(rinfo.port !== upstream.port || (net.isIP(upstream.address) && rinfo.address !== upstream.address)) continue;
+            let response;
+            try {
+                response = Packet.parse(message);
+            } catch(_) {
+                continue;
+            }
+            if(isResponseTo(query, response)) return response;
+        }
+    } finally {
+        clearTimeout(timer);
+        socket.close();
+    }
+};
+
+/**
+ * Asks an upstream over TCP.
+ * @param {Upstream} upstream The upstream
+ * @param {Packet} query The query
+ * @param {number} timeout Milliseconds to wait
+ * @returns {Promise<Packet>} The response
+ */
+const queryTCP = async (upstream, query, timeout) => {
+    const message = query.toBuffer();
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(message.length);
+
+    const socket = net.connect({ host: upstream.address, port: upstream.port });
+    const timer = setTimeout(() => socket.destroy(new Error(`Timed out after ${timeout}ms`)), timeout);
+    try {
+        socket.write(Buffer.concat([length, message]));
+        let buffered = Buffer.alloc(0);
+        while(buffered.length < 2 || buffered.length < 2 + buffered.readUInt16BE(0)) {
+            const [chunk] = await Promise.race([once(socket, "data"), once(socket, "end").then(() => {
+                throw new Error("Connection closed");
+            })]);
+            buffered = Buffer.concat([buffered, chunk]);
+        }
+        const response = Packet.parse(buffered.subarray(2, 2 + buffered.readUInt16BE(0)));
+        if(!isResponseTo(query, response)) throw new Error("Mismatched response");
+        return response;
+    } finally {
+        clearTimeout(timer);
+        socket.destroy();
+    }
+};
+
+/**
+ * Asks an upstream over DNS-over-HTTPS (RFC 8484).
+ * @param {Upstream} upstream The upstream
+ * @param {Packet} query The query
+ * @param {number} timeout Milliseconds to wait
+ * @returns {Promise<Packet>} The response
+ */
+const queryDoH = async (upstream, query, timeout) => {
+    query.header.id = 0;
+    // Rules stored before plain HTTP was rejected may still have such URLs
+    if(new URL(upstream.address).protocol !== "https:") throw new Error("DoH upstreams have to use HTTPS");
+    const res = await fetch(upstream.address, {
+        method: "POST",
+        // A redirect could point us anywhere, internal addresses included
+        redirect: "error",
+        headers: { "Content-Type": "application/dns-message", "Accept": "application/dns-message" },
+        body: query.toBuffer(),
+        signal: AbortSignal.timeout(timeout)
+    });
+    if(!res.ok) throw new Error(`HTTP ${res.status}`);
+    return Packet.parse(Buffer.from(await res.arrayBuffer()));
+};
+
+/**
+ * Asks a single upstream, without failing over.
+ * @param {Upstream} upstream The upstream
+ * @param {string} name The queried name
+ * @param {string} type The queried type name
+ * @param {UpstreamQueryOptions} [options] What to pass along
+ * @returns {Promise<Packet>} The response
+ */
+const queryOne = async (upstream, name, type, options) => {
+    const timeout = upstream.timeout ?? DEFAULT_TIMEOUT_MS;
+    const query = makeQuery(name, type, options);
+    if(upstream.protocol === "doh") return await queryDoH(upstream, query, timeout);
+    if(upstream.protocol === "tcp") return await queryTCP(upstream, query, timeout);
+    const started = performance.now();
+    const response = await queryUDP(upstream, query, timeout);
+    // Truncated answers are asked again over TCP, within the same timeout
+    return response.header.tc ? await queryTCP(upstream, query, Math.max(timeout - (performance.now() - started), 1)) : response;
+};
+
+/**
+ * Asks a list of upstreams in order, moving on to the next one when one fails or times out.
+ * Upstreams that keep failing are skipped until a health check finds them answering again,
+ * unless all of them are down.
+ * @param {Upstream[]} upstreams The upstreams
+ * @param {string} name The queried name
+ * @param {string} type The queried type name
+ * @param {UpstreamQueryOptions} [options] What to pass along
+ * @returns {Promise<Packet>} The response
+ * @throws {Error} If none of them answered
+ */
+export const queryUpstreams = async (upstreams, name, type, options = {}) => {
+    const up = upstreams.filter(upstream => !healthOf(upstream).down);
+    let error = new Error("No upstreams configured");
+    for(const upstream of up.length > 0 ? up : upstreams) {
+        const state = healthOf(upstream);
+        const labels = { upstream: upstreamKey(upstream) };
+        const started = performance.now();
+        try {
+            const response = await queryOne(upstream, name, type, options);
+            upstreamDuration.observe(labels, (performance.now() - started) / 1000);
+            upstreamQueriesTotal.inc({ ...labels, result: "ok" });
+            Object.assign(state, { failures: 0, down: false, error: null, checked: Date.now() });
+            return response;
+        } catch(e) {
+            upstreamDuration.observe(labels, (performance.now() - started) / 1000);
+            upstreamQueriesTotal.inc({ ...labels, result: "error" });
+            error = e;
+            state.failures++;
+            Object.assign(state, { down: state.failures >= MAX_FAILURES, error: e.message, checked: Date.now() });
+        }
+    }
+    throw error;
+};
+
+/**
+ * Starts checking on upstreams that are down, so they're asked again once they answer.
+ * @returns {() => void} Stops it
+ */
+export const startHealthChecks = () => {
+    let running = false;
+    const check = async () => {
+        if(running) return;
+        running = true;
+        await Promise.all([...health.values()].filter(state => state.down).map(async state => {
+            try {
+                await queryOne(state.upstream, ".", "NS");
+                Object.assign(state, { failures: 0, down: false, error: null, checked: Date.now() });
+            } catch(e) {
+                Object.assign(state, { error: e.message, checked: Date.now() });
+            }
+        }));
+        running = false;
+    };
+    const timer = setInterval(check, HEALTH_CHECK_MS).unref();
+    return () => clearInterval(timer);
+};
\ No newline at end of file
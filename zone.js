@@ -0,0 +1,354 @@
+import dns2 from "dns2";
+const { Packet } = dns2;
+import { getZoneSerial, recordTypes } from "./index.js";
+
+const SOA_REFRESH = 3600;
+const SOA_RETRY = 600;
+const SOA_EXPIRE = 604800;
+const SOA_MINIMUM = 300;
+const APEX_TTL = 3600;
+const DEFAULT_TTL = 3600;
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const CLASSES = ["IN", "CH", "HS", "CS"];
+
+/**
+ * Gets the nameservers announced for a base.
+ * @param {string} base The base
+ * @returns {string[]} Nameserver hostnames
+ */
+export const getNameservers = base => process.env.NAMESERVERS
+    ? process.env.NAMESERVERS.split(",").map(x => x.trim()).filter(x => x)
+    : [`ns.${base}`];
+
+/**
+ * Checks whether a name is one of the nameservers we generate NS records for.
+ * @param {string} base The base
+ * @param {string} name The name
+ * @returns {boolean} Whether it is
+ */
+export const isOwnNameserver = (base, name) =>
+    getNameservers(base).some(ns => ns.toLowerCase().replace(/\.$/, "") === name.toLowerCase().replace(/\.$/, ""));
+
+/**
+ * Builds the SOA resource of a base.
+ * @param {string} base The base
+ * @returns {object} The SOA resource
+ */
+export const makeSOA = async base => ({
+    name: base,
+    type: Packet.TYPE.SOA,
+    class: Packet.CLASS.IN,
+    ttl: SOA_MINIMUM,
+    primary: getNameservers(base)[0],
+    admin: process.env.HOSTMASTER?.replace?.("@", ".") ?? `hostmaster.${base}`,
+    serial: await getZoneSerial(base),
+    refresh: SOA_REFRESH,
+    retry: SOA_RETRY,
+    expiration: SOA_EXPIRE,
+    minimum: SOA_MINIMUM
+});
+
+/**
+ * Builds the NS resources of a base.
+ * @param {string} base The base
+ * @returns {object[]} The NS resources
+ */
+export const makeNS = base => getNameservers(base).map(ns => ({
+    name: base,
+    type: Packet.TYPE.NS,
+    class: Packet.CLASS.IN,
+    ttl: APEX_TTL,
+    ns
+}));
+
+/**
+ * @typedef {object} ZoneRecord A record parsed from a zone file
+ * @prop {string} name The domain name
+ * @prop {import("./index.js").RecordType} type The record type
+ * @prop {number} ttl TTL
+ * @prop {string} value Record value
+ * @prop {import("./index.js").RecordFields} fields Extra fields of multi-field records
+ * @prop {number} line Line the record was defined on
+ */
+/**
+ * @typedef {object} ParsedZone A parsed zone file
+ * @prop {ZoneRecord[]} records Records to store
+ * @prop {{ line: number, name: string, type: string, reason: string }[]} ignored Records we generate ourselves and thus skip
+ */
+
+const absolute = name => name.endsWith(".") ? name : name + ".";
+
+/**
+ * Quotes a string for a zone file.
+ * @param {string} str The string
+ * @returns {string} The quoted string
+ */
+const quote = str => `"${str.replace(/["\\]/g, "\\$&")}"`;
+
+/**
+ * Renders the RDATA of a stored record in master file format.
+ * @param {import("./index.js").Record} record The record
+ * @returns {string} The RDATA
+ */
+const renderData = record => {
+    switch(record.type) {
+        case "CNAME":
+        case "NS":
+        case "PTR":
+            return absolute(record.value);
+        case "TXT":
+            return (record.value.match(/[\s\S]{1,255}/g) ?? [""]).map(quote).join(" ");
+        case "MX":
+            return `${record.priority} ${absolute(record.value)}`;
+        case "SRV":
+            return `${record.priority} ${record.weight} ${record.port} ${absolute(record.value)}`;
+        case "CAA":
+            return `${record.flags} ${record.tag} ${quote(record.value)}`;
+        default:
+            return record.value;
+    }
+};
+
+/**
+ * Renders a base as an RFC 1035 master file.
+ * Owner records are yourdns metadata rather than DNS data, so they're left out.
+ * @param {string} base The base
+ * @param {import("./index.js").Record[]} records Records of the base
+ * @returns {string} The zone file
+ */
+export const renderZone = async (base, records) => {
+    base = base.toLowerCase();
+    records = records.filter(record => !record.name.startsWith("-."));
+    const counts = new Map();
+    for(const record of records) counts.set(record.ttl, (counts.get(record.ttl) ?? 0) + 1);
+    const defaultTTL = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? DEFAULT_TTL;
+    const relative = name => name === base ? "@" : name.endsWith("." + base) ? name.slice(0, -base.length - 1) : absolute(name);
+
+    const soa = await makeSOA(base);
+    const lines = [
+        `$ORIGIN ${absolute(base)}`,
+        `$TTL ${defaultTTL}`,
+        `@\t${soa.ttl}\tIN\tSOA\t${absolute(soa.primary)} ${absolute(soa.admin)} (`
+            + ` ${soa.serial} ${soa.refresh} ${soa.retry} ${soa.expiration} ${soa.minimum} )`
+    ];
+    if(!records.some(record => record.type === "NS" && record.name === base))
+        for(const ns of makeNS(base))
+            lines.push(`@\t${ns.ttl}\tIN\tNS\t${absolute(ns.ns)}`);
+    for(const record of records)
+        lines.push(`${relative(record.name)}\t${record.ttl}\tIN\t${record.type}\t${renderData(record)}`);
+    return lines.join("\n") + "\n";
+};
+
+/**
+ * Splits a zone file into logical lines of tokens, taking care of comments, quotes and parentheses.
+ * @param {string} text The zone file
+ * @returns {{ line: number, indented: boolean, tokens: { text: string, quoted: boolean }[] }[]} Logical lines
+ */
+const tokenize = text => {
+    const lines = [];
+    let lineNo = 1;
+    let current = { line: lineNo, indented: text[0] === " " || text[0] === "\t", tokens: [] };
+    let token = null;
+    let inQuote = false;
+    let depth = 0;
+    const endToken = () => {
+        if(token !== null) current.tokens.push(token);
+        token = null;
+    };
+
+    for(let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if(inQuote) {
+            if(char === "\\") token.text += char + (text[++i] ?? "");
+            else if(char === "\"") {
+                inQuote = false;
+                endToken();
+            } else {
+                if(char === "\n") lineNo++;
+                token.text += char;
+            }
+            continue;
+        }
+        if(char === ";") {
+            while(i + 1 < text.length && text[i + 1] !== "\n") i++;
+            continue;
+        }
+        if(char === "\n") {
+            endToken();
+            lineNo++;
+            if(depth === 0) {
+                if(current.tokens.length > 0) lines.push(current);
+                current = { line: lineNo, indented: text[i + 1] === " " || text[i + 1] === "\t", tokens: [] };
+            }
+            continue;
+        }
+        if(char === " " || char === "\t" || char === "\r") {
+            endToken();
+            continue;
+        }
+        if(char === "(" || char === ")") {
+            endToken();
+            depth += char === "(" ? 1 : -1;
+            if(depth < 0) throw new Error(`Line ${lineNo}: unbalanced parentheses`);
+            continue;
+        }
+        if(char === "\"") {
+            endToken();
+            token = { text: "", quoted: true };
+            inQuote = true;
+            continue;
+        }
+        if(token === null) token = { text: "", quoted: false };
+        if(char === "\\") token.text += char + (text[++i] ?? "");
+        else token.text += char;
+    }
+    if(inQuote) throw new Error(`Line ${lineNo}: unterminated string`);
+    if(depth !== 0) throw new Error(`Line ${lineNo}: unbalanced parentheses`);
+    endToken();
+    if(current.tokens.length > 0) lines.push(current);
+    return lines;
+};
+
+/**
+ * Resolves escape sequences (\X and \DDD) in a token.
+ * @param {string} text The token
+ * @returns {string} Unescaped text
+ */
+const unescape = text => text.replace(/\\(\d{3}|[\s\S])/g, (_, escaped) =>
+    escaped.length === 3 ? String.fromCharCode(parseInt(escaped)) : escaped);
+
+/**
+ * Parses a TTL, with or without BIND-style units (e.g. 1h30m).
+ * @param {string} text The TTL
+ * @returns {number | null} TTL in seconds (or null if it isn't a TTL)
+ */
+const parseTTL = text => {
+    if(/^\d+$/.test(text)) return parseInt(text);
+    if(!/^(\d+[smhdw])+$/i.test(text)) return null;
+    let ttl = 0;
+    for(const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/gi))
+        ttl += parseInt(amount) * TTL_UNITS[unit.toLowerCase()];
+    return ttl;
+};
+
+/**
+ * Parses an RFC 1035 master file of a base.
+ * @param {string} text The zone file
+ * @param {string} base The base the zone file describes
+ * @returns {ParsedZone} The parsed zone
+ */
+export const parseZone = (text, base) => {
+    base = base.toLowerCase().replace(/\.$/, "");
+    let origin = base;
+    let defaultTTL = null;
+    let lastTTL = null;
+    let lastOwner = null;
+    /** @type {ParsedZone} */
+    const zone = { records: [], ignored: [] };
+
+    const resolveName = name => {
+        name = unescape(name).toLowerCase();
+        if(name === "@") return origin;
+        if(name.endsWith(".")) return name.slice(0, -1);
+        return origin === "" ? name : `${name}.${origin}`;
+    };
+    const int = (text, max, line) => {
+        if(!/^\d+$/.test(text ?? "") || parseInt(text) > max)
+            throw new Error(`Line ${line}: invalid number "${text ?? ""}"`);
+        return parseInt(text);
+    };
+
+    for(const { line, indented, tokens } of tokenize(text)) {
+        const first = tokens[0];
+        if(!first.quoted && first.text.startsWith("$")) {
+            const directive = first.text.toUpperCase();
+            if(directive === "$ORIGIN" && tokens[1])
+                origin = resolveName(tokens[1].text);
+            else if(directive === "$TTL" && tokens[1] && parseTTL(tokens[1].text) !== null)
+                defaultTTL = parseTTL(tokens[1].text);
+            else throw new Error(`Line ${line}: unsupported directive ${first.text}`);
+            continue;
+        }
+
+        let name;
+        if(indented) {
+            if(lastOwner === null) throw new Error(`Line ${line}: missing owner name`);
+            name = lastOwner;
+        } else name = resolveName(tokens.shift().text);
+        lastOwner = name;
+
+        let ttl = null;
+        for(let i = 0; i < 2 && tokens.length > 0 && !tokens[0].quoted; i++) {
+            const upper = tokens[0].text.toUpperCase();
+            if(CLASSES.includes(upper)) {
+                if(upper !== "IN") throw new Error(`Line ${line}: unsupported class ${upper}`);
+                tokens.shift();
+            } else if(ttl === null && parseTTL(tokens[0].text) !== null)
+                ttl = parseTTL(tokens.shift().text);
+            else break;
+        }
+        if(tokens.length === 0) throw new Error(`Line ${line}: missing record type`);
+        const type = tokens.shift().text.toUpperCase();
+        ttl ??= defaultTTL ?? lastTTL ?? DEFAULT_TTL;
+        lastTTL = ttl;
+        const data = tokens.map(token => token.text);
+
+        if(name !== base && !name.endsWith("." + base))
+            throw new Error(`Line ${line}: ${name} is outside of ${base}`);
+        // Only the apex NS records pointing at our own nameservers are generated, others are stored
+        if(type === "SOA" || (type === "NS" && name === base && data.length === 1 && isOwnNameserver(base, resolveName(data[0])))) {
+            zone.ignored.push({ line, name, type, reason: "Generated by yourdns" });
+            continue;
+        }
+        if(name.startsWith("-.")) {
+            zone.ignored.push({ line, name, type, reason: "Owner records can't be imported" });
+            continue;
+        }
+        if(!recordTypes.includes(type))
+            throw new Error(`Line ${line}: unsupported record type ${type}`);
+
+        const expect = count => {
+            if(data.length !== count) throw new Error(`Line ${line}: ${type} takes ${count} value(s)`);
+        };
+        /** @type {ZoneRecord} */
+        const record = { name, type, ttl, value: null, fields: {}, line };
+        switch(type) {
+            case "A":
+            case "AAAA":
+                expect(1);
+                record.value = data[0];
+                break;
+            case "CNAME":
+            case "NS":
+            case "PTR":
+                expect(1);
+                record.value = resolveName(data[0]);
+                break;
+            case "TXT":
+                if(data.length === 0) throw new Error(`Line ${line}: TXT takes at least 1 value`);
+                record.value = data.map(unescape).join("");
+                break;
+            case "MX":
+                expect(2);
+                record.fields.priority = int(data[0], 65535, line);
+                record.value = resolveName(data[1]);
+                break;
+            case "SRV":
+                expect(4);
+                record.fields.priority = int(data[0], 65535, line);
+                record.fields.weight = int(data[1], 65535, line);
+                record.fields.port = int(data[2], 65535, line);
+                record.value = resolveName(data[3]);
+                break;
+            case "CAA":
+                expect(3);
+                record.fields.flags = int(data[0], 255, line);
+                record.fields.tag = data[1];
+                record.value = unescape(data[2]);
+                break;
+        }
+        zone.records.push(record);
+    }
+    return zone;
+};
\ No newline at end of file